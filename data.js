@@ -12,14 +12,41 @@ const FORMAT_TYPES = {
     GEMINI: 'gemini'                    // Gemini/Google Takeout export
 };
 
+// Selection key for the top level of a branch tree (nodes without a parent)
+const BRANCH_ROOT_KEY = '__root__';
+
+// Rapid edits within this window are written in a single transaction
+const SAVE_DEBOUNCE_MS = 300;
+
+// Version written by exportProject (files with a newer major version are refused)
+const PROJECT_VERSION = '1.0';
+
+// Gemini activity records further apart than this start a new conversation
+const GEMINI_SESSION_GAP_SECONDS = 30 * 60;
+
+// Share of the shorter conversation's pairs that must appear in the other for a content match
+const CONTENT_MATCH_THRESHOLD = 0.8;
+
+// Pairs found in more conversations than this ("hi" / "Hello! How can I help?") are not used to match
+const MAX_FINGERPRINT_BUCKET = 50;
+
 class ChatGPTData {
     constructor() {
         this.conversations = [];
         this.folders = []; // Custom folders
         this.currentSort = 'newestCreated'; // Default sort option
         this.currentConversationId = null;
+        this.assetCache = new Map(); // Assets kept in memory when IndexedDB is unavailable
+        this.assetUrls = new Map(); // Object URLs for rendered assets, by asset id
         this.storageKey = 'chatgpt_parser_data';
 
+        // Dirty tracking: only changed conversations are written back
+        this.dirtyConversationIds = new Set();
+        this.deletedConversationIds = new Set();
+        this.foldersDirty = false;
+        this.saveTimer = null;
+        this.savePromise = null;
+
         // Initialize IndexedDB if supported, otherwise use localStorage only
         this.idbStorage = IndexedDBStorage.isSupported()
             ? new IndexedDBStorage()
@@ -28,6 +55,9 @@ class ChatGPTData {
         // Storage mode: 'indexeddb' or 'localstorage'
         this.storageMode = this.idbStorage ? 'indexeddb' : 'localstorage';
 
+        // Full-text index (needs IndexedDB; searches fall back to scanning without it)
+        this.searchIndex = this.idbStorage ? new SearchIndex(this.idbStorage) : null;
+
         // Initialize with one default folder on first use
         this.initializeDefaultFolder();
     }
@@ -167,7 +197,10 @@ class ChatGPTData {
             createTime: conv.createTime || Date.now() / 1000,
             updateTime: conv.updateTime || Date.now() / 1000,
             source: conv.source || 'app_export',
-            title: conv.title
+            title: conv.title,
+            starred: !!conv.starred,
+            messageTree: conv.messageTree || null,
+            conversationMetadata: conv.conversationMetadata || null
         };
     }
 
@@ -202,14 +235,20 @@ class ChatGPTData {
     /**
      * Parses ChatGPT mapping format
      * ChatGPT uses mapping with current_node for traversal
+     * Regenerated answers and edited prompts are kept in a message tree
      */
     parseChatGPTMappingFormat(conv) {
+        const messageTree = this.buildMessageTree(conv.mapping, conv.current_node);
+
         return {
-            pairs: this.parseMappingMessages(conv.mapping, conv.current_node),
+            pairs: messageTree
+                ? this.buildPairsFromTree(messageTree)
+                : this.parseMappingMessages(conv.mapping, conv.current_node),
             createTime: conv.create_time || Date.now() / 1000,
             updateTime: conv.update_time || Date.now() / 1000,
             source: 'chatgpt',
-            title: conv.title
+            title: conv.title,
+            messageTree: messageTree
         };
     }
 
@@ -239,6 +278,7 @@ class ChatGPTData {
      * Parses Gemini/Google Takeout Activity format
      * Format: { header, title, time, safeHtmlItem: [{ html }] }
      * Each entry is a prompt-response pair encoded in the title/html fields
+     * (exports are grouped into conversations by groupGeminiActivity; this parses a lone entry)
      */
     parseGeminiFormat(conv) {
         return {
@@ -318,7 +358,14 @@ class ChatGPTData {
             return { conversations: [], warnings };
         }
 
+        // Gemini activity records are single prompts; they are grouped into conversations afterwards
+        const geminiRecords = [];
+
         conversationList.forEach((conv, index) => {
+            if (this.isGeminiFormat(conv)) {
+                geminiRecords.push({ record: conv, index });
+                return;
+            }
             try {
                 const parsed = this.parseSingleConversation(conv);
                 if (parsed) {
@@ -331,6 +378,8 @@ class ChatGPTData {
             }
         });
 
+        conversations.push(...this.groupGeminiActivity(geminiRecords, warnings));
+
         return {
             conversations: conversations.filter(c => c !== null),
             warnings
@@ -379,14 +428,19 @@ class ChatGPTData {
                 createTime: normalizedTimestamps.createTime,
                 updateTime: normalizedTimestamps.updateTime,
                 pairs: parsed.pairs,
-                starred: false,
+                starred: parsed.starred || false,
                 source: parsed.source,
                 folderId: conv.folderId || null, // Preserve folder assignment
 
-                // Add conversation metadata (only if non-empty)
-                ...(Object.keys(conversationMetadata).some(key => conversationMetadata[key] !== null) && {
-                    conversationMetadata: conversationMetadata
-                })
+                // Keep the full branch tree (only present for conversations with forks)
+                ...(parsed.messageTree && { messageTree: parsed.messageTree }),
+
+                // Add conversation metadata (only if non-empty; app exports carry it already)
+                ...(parsed.conversationMetadata
+                    ? { conversationMetadata: parsed.conversationMetadata }
+                    : Object.keys(conversationMetadata).some(key => conversationMetadata[key] !== null) && {
+                        conversationMetadata: conversationMetadata
+                    })
             };
         } catch (error) {
             console.error('Error parsing conversation:', error, 'Conversation:', conv);
@@ -505,74 +559,9 @@ class ChatGPTData {
         const tempMessages = [];
         while (currentNode && mapping[currentNode]) {
             const node = mapping[currentNode];
-            const message = node.message;
-
-            if (message && message.content && message.content.parts) {
-                const parts = message.content.parts;
-                let content = '';
-
-                // Filter and join text parts only
-                for (const part of parts) {
-                    if (typeof part === 'string' && part.trim().length > 0) {
-                        content += part;
-                    }
-                    // Ignore non-text parts (assets, transcripts, etc.)
-                }
-
-                // Skip empty content
-                if (!content.trim()) {
-                    currentNode = node.parent;
-                    continue;
-                }
-
-                // Filter out system messages (unless it's a user system message)
-                const role = message.author?.role;
-                const isSystem = role === 'system';
-                const isUserSystemMessage = message.metadata?.is_user_system_message;
-
-                if (isSystem && !isUserSystemMessage) {
-                    currentNode = node.parent;
-                    continue;
-                }
-
-                // Build complete message object with all metadata
-                const msgObj = {
-                    id: message.id,
-                    role: role,
-                    content: content,
-                    timestamp: message.create_time || Date.now() / 1000,
-                    // Preserve all non-empty metadata
-                    metadata: message.metadata || {},
-                    author: message.author || {},
-                    recipient: message.recipient || null,
-                    channel: message.channel || null,
-                    status: message.status || null,
-                    weight: message.weight || null,
-                    end_turn: message.end_turn || null
-                };
-
-                // Add model name for assistant messages
-                if (role === 'assistant' || role === 'tool') {
-                    msgObj.model = message.metadata?.model_slug ||
-                                  message.metadata?.default_model_slug ||
-                                  'GPT';
-                }
-
-                // Extract ChatGPT citations if present
-                if (message.metadata?.content_references && Array.isArray(message.metadata.content_references)) {
-                    msgObj.citations = message.metadata.content_references;
-                }
-
-                // Extract search results if present
-                if (message.metadata?.search_result_groups && Array.isArray(message.metadata.search_result_groups)) {
-                    msgObj.searchResults = message.metadata.search_result_groups;
-                }
-
-                // Extract safe URLs if present
-                if (message.metadata?.safe_urls && Array.isArray(message.metadata.safe_urls)) {
-                    msgObj.safeUrls = message.metadata.safe_urls;
-                }
+            const msgObj = this.buildMappingMessage(node.message);
 
+            if (msgObj) {
                 tempMessages.push(msgObj);
             }
 
@@ -608,6 +597,297 @@ class ChatGPTData {
         return pairs;
     }
 
+    /**
+     * Build a standardized message object from a ChatGPT mapping message
+     * @returns {Object|null} Message object, or null if the message should be skipped
+     */
+    buildMappingMessage(message) {
+        if (!message || !message.content || !message.content.parts) {
+            return null;
+        }
+
+        const parts = message.content.parts;
+        let content = '';
+        const assets = [];
+
+        // Join text parts and collect asset pointers (uploaded images, DALL-E output, audio)
+        for (const part of parts) {
+            if (typeof part === 'string' && part.trim().length > 0) {
+                content += part;
+            } else if (part && typeof part === 'object' && part.asset_pointer) {
+                assets.push(this.buildAssetFromPointer(part));
+            }
+            // Ignore other non-text parts (transcripts, etc.)
+        }
+
+        // Uploaded files are listed in metadata (images also appear as parts)
+        (message.metadata?.attachments || []).forEach(attachment => {
+            const existing = assets.find(asset => asset.id === attachment.id);
+            if (existing) {
+                existing.name = attachment.name || existing.name;
+                existing.mimeType = attachment.mime_type || existing.mimeType;
+            } else if (attachment.id) {
+                assets.push({
+                    id: attachment.id,
+                    name: attachment.name || attachment.id,
+                    mimeType: attachment.mime_type || 'application/octet-stream',
+                    size: attachment.size || null
+                });
+            }
+        });
+
+        // Skip messages with neither text nor assets
+        if (!content.trim() && assets.length === 0) {
+            return null;
+        }
+
+        // Filter out system messages (unless it's a user system message)
+        const role = message.author?.role;
+        const isSystem = role === 'system';
+        const isUserSystemMessage = message.metadata?.is_user_system_message;
+
+        if (isSystem && !isUserSystemMessage) {
+            return null;
+        }
+
+        // Build complete message object with all metadata
+        const msgObj = {
+            id: message.id,
+            role: role,
+            content: content,
+            timestamp: message.create_time || Date.now() / 1000,
+            // Preserve all non-empty metadata
+            metadata: message.metadata || {},
+            author: message.author || {},
+            recipient: message.recipient || null,
+            channel: message.channel || null,
+            status: message.status || null,
+            weight: message.weight || null,
+            end_turn: message.end_turn || null
+        };
+
+        // Add model name for assistant messages
+        if (role === 'assistant' || role === 'tool') {
+            msgObj.model = message.metadata?.model_slug ||
+                          message.metadata?.default_model_slug ||
+                          'GPT';
+        }
+
+        // Extract ChatGPT citations if present
+        if (message.metadata?.content_references && Array.isArray(message.metadata.content_references)) {
+            msgObj.citations = message.metadata.content_references;
+        }
+
+        // Extract search results if present
+        if (message.metadata?.search_result_groups && Array.isArray(message.metadata.search_result_groups)) {
+            msgObj.searchResults = message.metadata.search_result_groups;
+        }
+
+        // Extract safe URLs if present
+        if (message.metadata?.safe_urls && Array.isArray(message.metadata.safe_urls)) {
+            msgObj.safeUrls = message.metadata.safe_urls;
+        }
+
+        if (assets.length > 0) {
+            msgObj.assets = assets;
+        }
+
+        return msgObj;
+    }
+
+    /**
+     * Build an asset reference from a ChatGPT asset pointer part
+     * e.g. { content_type: 'image_asset_pointer', asset_pointer: 'file-service://file-abc123' }
+     */
+    buildAssetFromPointer(part) {
+        // Export archives name the files after the id: "file-abc123-photo.png"
+        const id = part.asset_pointer.replace(/^[a-z-]+:\/\//, '');
+        const isImage = part.content_type === 'image_asset_pointer';
+
+        return {
+            id: id,
+            name: id,
+            mimeType: isImage ? 'image/png' : 'application/octet-stream',
+            size: part.size_bytes || null,
+            width: part.width || null,
+            height: part.height || null
+        };
+    }
+
+    // =========================================================================
+    // BRANCH HISTORY (regenerated answers and edited prompts)
+    // =========================================================================
+
+    /**
+     * Build a message tree that keeps every branch of a ChatGPT mapping
+     * Skipped nodes (system, empty, non-text) are collapsed into their nearest kept ancestor
+     * @param {Object} mapping - ChatGPT mapping object
+     * @param {string} currentNode - Node shown by ChatGPT (current_node)
+     * @returns {Object|null} { nodes, roots, selections, currentNode }, or null if there are no forks
+     */
+    buildMessageTree(mapping, currentNode) {
+        const nodes = {};
+
+        Object.keys(mapping).forEach(nodeId => {
+            const msgObj = this.buildMappingMessage(mapping[nodeId].message);
+            if (msgObj) {
+                nodes[nodeId] = { id: nodeId, parent: null, children: [], message: msgObj };
+            }
+        });
+
+        // Find the closest ancestor that was kept in the tree
+        const findKeptAncestor = (nodeId) => {
+            let parentId = mapping[nodeId]?.parent;
+            while (parentId && !nodes[parentId]) {
+                parentId = mapping[parentId]?.parent;
+            }
+            return parentId || null;
+        };
+
+        const roots = [];
+        Object.keys(nodes).forEach(nodeId => {
+            const parentId = findKeptAncestor(nodeId);
+            nodes[nodeId].parent = parentId;
+            (parentId ? nodes[parentId].children : roots).push(nodeId);
+        });
+
+        // Only keep a tree when the conversation actually has branches
+        const hasForks = roots.length > 1 || Object.values(nodes).some(node => node.children.length > 1);
+        if (!hasForks) {
+            return null;
+        }
+
+        // Order siblings chronologically and record their position for the branch switcher
+        const byTime = (a, b) => nodes[a].message.timestamp - nodes[b].message.timestamp;
+        const annotateSiblings = (siblings) => {
+            siblings.sort(byTime);
+            if (siblings.length > 1) {
+                siblings.forEach((nodeId, idx) => {
+                    nodes[nodeId].message.branch = { nodeId, index: idx + 1, count: siblings.length };
+                });
+            }
+        };
+        annotateSiblings(roots);
+        Object.values(nodes).forEach(node => annotateSiblings(node.children));
+
+        const tree = { nodes, roots, selections: {}, currentNode: null };
+
+        // Start on the branch ChatGPT was showing
+        let leaf = null;
+        if (currentNode) {
+            leaf = nodes[currentNode] ? currentNode : findKeptAncestor(currentNode);
+        }
+        tree.currentNode = leaf || this.findBranchLeaf(tree, null);
+        this.selectBranchPath(tree, tree.currentNode);
+
+        return tree;
+    }
+
+    /**
+     * Get the children of a tree node (null = root level)
+     */
+    getBranchChildren(tree, nodeId) {
+        return nodeId ? tree.nodes[nodeId].children : tree.roots;
+    }
+
+    /**
+     * Remember the selected child at every fork from the root down to a node
+     */
+    selectBranchPath(tree, nodeId) {
+        let currentId = nodeId;
+        while (currentId) {
+            const parentId = tree.nodes[currentId].parent;
+            tree.selections[parentId || BRANCH_ROOT_KEY] = currentId;
+            currentId = parentId;
+        }
+    }
+
+    /**
+     * Descend from a node to a leaf, following previously selected branches
+     * and falling back to the newest one
+     */
+    findBranchLeaf(tree, nodeId) {
+        let currentId = nodeId;
+        let children = this.getBranchChildren(tree, currentId);
+
+        while (children.length > 0) {
+            const selected = tree.selections[currentId || BRANCH_ROOT_KEY];
+            currentId = children.includes(selected) ? selected : children[children.length - 1];
+            children = this.getBranchChildren(tree, currentId);
+        }
+
+        return currentId;
+    }
+
+    /**
+     * Build pairs for the branch currently selected in the tree
+     * Star and delete state lives on the tree nodes so it survives branch switches
+     */
+    buildPairsFromTree(tree) {
+        const path = [];
+        let nodeId = tree.currentNode;
+        while (nodeId && tree.nodes[nodeId]) {
+            path.push(tree.nodes[nodeId]);
+            nodeId = tree.nodes[nodeId].parent;
+        }
+        path.reverse();
+
+        const pairs = [];
+        let currentPair = null;
+        path.forEach(node => {
+            const msg = node.message;
+            const isUser = msg.role === 'user';
+            const isAssistant = msg.role === 'assistant' || msg.role === 'tool';
+
+            if (isUser) {
+                // Answers of a deleted pair are dropped along with it
+                if (node.deleted) {
+                    currentPair = null;
+                    return;
+                }
+                currentPair = {
+                    id: msg.id,
+                    question: msg,
+                    answers: [],
+                    index: pairs.length + 1,
+                    starred: !!node.starred
+                };
+                pairs.push(currentPair);
+            } else if (isAssistant && currentPair) {
+                currentPair.answers.push(msg);
+            }
+        });
+
+        return pairs;
+    }
+
+    /**
+     * Switch to a sibling branch at a fork and rebuild the conversation's pairs
+     * @param {string} conversationId - Conversation ID
+     * @param {string} nodeId - Tree node currently shown at the fork
+     * @param {number} offset - -1 for the previous sibling, 1 for the next one
+     */
+    async switchBranch(conversationId, nodeId, offset) {
+        const conv = this.getConversation(conversationId);
+        const tree = conv?.messageTree;
+        if (!tree || !tree.nodes[nodeId]) {
+            return false;
+        }
+
+        const siblings = this.getBranchChildren(tree, tree.nodes[nodeId].parent);
+        const targetId = siblings[siblings.indexOf(nodeId) + offset];
+        if (!targetId) {
+            return false;
+        }
+
+        tree.currentNode = this.findBranchLeaf(tree, targetId);
+        this.selectBranchPath(tree, tree.currentNode);
+        conv.pairs = this.buildPairsFromTree(tree);
+
+        this.markConversationsDirty([conv.id]);
+        return true;
+    }
+
     // Parse DeepSeek mapping format with fragments
     parseDeepSeekMapping(mapping) {
         const pairs = [];
@@ -700,7 +980,7 @@ class ChatGPTData {
             let hasToolUse = false;
             let hasAttachments = false; // Track file attachments
             const artifacts = []; // Store artifacts separately
-            const attachmentMarkers = []; // Store file info for display
+            const assets = []; // Attached files, stored in the asset store
             const contentTimings = []; // Store content block timings
 
             if (msg.content && Array.isArray(msg.content)) {
@@ -791,6 +1071,7 @@ class ChatGPTData {
                             artifacts.push({
                                 id: block.input.id,
                                 type: block.input.type,
+                                language: block.input.language,
                                 title: block.input.title || 'Artifact',
                                 content: block.input.content
                             });
@@ -805,22 +1086,33 @@ class ChatGPTData {
             // Check for file attachments
             if (msg.attachments && Array.isArray(msg.attachments) && msg.attachments.length > 0) {
                 hasAttachments = true;
-                msg.attachments.forEach(att => {
-                    const fileName = att.file_name || att.extracted_content?.substring(0, 30) + '...' || 'file';
-                    attachmentMarkers.push(`[file: ${fileName}]`);
-                    // Append extracted content if available
+                msg.attachments.forEach((att, attIdx) => {
+                    const asset = {
+                        id: att.id || `${msg.uuid}_attachment_${attIdx}`,
+                        name: att.file_name || 'file.txt',
+                        mimeType: att.file_type || 'text/plain',
+                        size: att.file_size || null
+                    };
+                    // Claude exports only the extracted text of attachments - store it as the file content
                     if (att.extracted_content) {
+                        asset.text = att.extracted_content;
                         textContent += (textContent ? '\n\n' : '') + att.extracted_content;
                     }
+                    assets.push(asset);
                 });
             }
 
-            // Check for files array
+            // Check for files array (uploaded images and documents; binaries are not in the export)
             if (msg.files && Array.isArray(msg.files) && msg.files.length > 0) {
                 hasAttachments = true;
                 msg.files.forEach(file => {
                     if (file.file_name) {
-                        attachmentMarkers.push(`[file: ${file.file_name}]`);
+                        assets.push({
+                            id: file.file_uuid || file.file_name,
+                            name: file.file_name,
+                            mimeType: null, // Guessed from the file name when rendering
+                            size: null
+                        });
                     }
                 });
             }
@@ -834,20 +1126,16 @@ class ChatGPTData {
 
             if (isUser) {
                 // Start a new pair
-                // Add attachment markers to content for display
-                const displayContent = attachmentMarkers.length > 0
-                    ? attachmentMarkers.join(' ') + (textContent ? '\n\n' + textContent : '')
-                    : textContent;
-
                 currentPair = {
                     id: msg.uuid || `msg_${pairIndex}`,
                     question: {
                         id: msg.uuid,
                         role: 'user',
-                        content: displayContent || '[File upload]',
+                        content: textContent,
                         timestamp: timestamp,
                         metadata: msg,
-                        hasAttachments: hasAttachments // Store flag for potential future UI use
+                        hasAttachments: hasAttachments,
+                        assets: assets.length > 0 ? assets : undefined
                     },
                     answers: [],
                     index: pairIndex++,
@@ -901,16 +1189,24 @@ class ChatGPTData {
     // Parse Gemini Google Takeout Activity format
     // Each activity entry has: { title: "Prompted ...", safeHtmlItem: [{ html: "..." }], time }
     parseGeminiActivity(conv) {
-        const pairs = [];
-        const pairIndex = 1;
+        return [this.buildGeminiActivityPair(conv, 1, `gemini_${Date.now()}`)];
+    }
 
+    /**
+     * Build the question-answer pair of one activity record
+     * @param {Object} record - Takeout activity entry
+     * @param {number} pairIndex - 1-based position in its conversation
+     * @param {string} pairId
+     */
+    buildGeminiActivityPair(record, pairIndex, pairId) {
         // Extract the user prompt from title (remove "Prompted " prefix)
-        const userPrompt = conv.title?.replace(/^Prompted\s+/, '') || '';
+        const userPrompt = record.title?.replace(/^Prompted\s+/, '') || '';
+        const timestamp = this.parseISO8601(record.time);
 
         // Extract the assistant response from HTML
         let htmlContent = '';
-        if (conv.safeHtmlItem && conv.safeHtmlItem.length > 0) {
-            htmlContent = conv.safeHtmlItem[0].html || '';
+        if (record.safeHtmlItem && record.safeHtmlItem.length > 0) {
+            htmlContent = record.safeHtmlItem[0].html || '';
         }
 
         // Decode HTML entities (the content is JSON-encoded with unicode escapes like \u003cp\u003e)
@@ -923,26 +1219,16 @@ class ChatGPTData {
             decodedContent = htmlContent;
         }
 
-        // Strip HTML tags to get plain text (simple approach)
-        const tempDiv = typeof document !== 'undefined' ? document.createElement('div') : null;
-        let plainText = decodedContent;
-        if (tempDiv) {
-            tempDiv.innerHTML = decodedContent;
-            plainText = tempDiv.textContent || tempDiv.innerText || '';
-        } else {
-            // Fallback: remove HTML tags with regex
-            plainText = decodedContent.replace(/<[^>]*>/g, '');
-        }
 
         // Create the question-answer pair
         const pair = {
-            id: `gemini_${Date.now()}`,
+            id: pairId,
             question: {
-                id: `gemini_q_${Date.now()}`,
+                id: `${pairId}_q`,
                 role: 'user',
                 content: userPrompt,
-                timestamp: this.parseISO8601(conv.time),
-                metadata: conv
+                timestamp: timestamp,
+                metadata: record
             },
             answers: [],
             index: pairIndex,
@@ -951,23 +1237,118 @@ class ChatGPTData {
 
         // Create the answer
         const answer = {
-            id: `gemini_a_${Date.now()}`,
+            id: `${pairId}_a`,
             role: 'assistant',
-            content: plainText,
-            timestamp: this.parseISO8601(conv.time),
+            content: HtmlToMarkdown.convert(decodedContent),
+            timestamp: timestamp,
             model: 'Gemini',
-            metadata: conv
+            metadata: record
         };
 
-        // Store the original HTML if needed for future reference
+        // Keep the original HTML: content is re-derived from it when the converter improves
         if (htmlContent) {
             answer.originalHtml = decodedContent;
+            answer.converterVersion = HTML_TO_MARKDOWN_VERSION;
         }
 
         pair.answers.push(answer);
-        pairs.push(pair);
+        return pair;
+    }
 
-        return pairs;
+    /**
+     * Session id of an activity record, when Takeout links it to a Gemini chat
+     * (explicit id fields, or a gemini.google.com/app/<id> or bard.google.com/chat/<id> URL)
+     */
+    getGeminiSessionHint(record) {
+        const explicit = record.conversationId || record.sessionId;
+        if (explicit) return String(explicit);
+
+        const urls = [record.titleUrl, ...(record.subtitles || []).map(subtitle => subtitle.url)];
+        for (const url of urls) {
+            const match = url && url.match(/(?:gemini\.google\.com\/app|bard\.google\.com\/chat)\/([\w-]+)/);
+            if (match) return match[1];
+        }
+        return null;
+    }
+
+    /**
+     * Turn Takeout activity records into conversations
+     * Records linked to the same chat are grouped by that link; the others are grouped
+     * by time, starting a new conversation after a pause of GEMINI_SESSION_GAP_SECONDS
+     * Ids are derived from the record times, so re-importing the same Takeout gives the same ids
+     * @param {Array} records - [{ record, index }]: raw activity entries (any order) and their index in the export
+     * @param {Array} warnings - Receives a warning for each record that could not be read (it is skipped)
+     * @returns {Array} Conversations
+     */
+    groupGeminiActivity(records, warnings = []) {
+        const sorted = records
+            .map(({ record, index }) => ({ record, index, time: this.parseISO8601(record.time) }))
+            .sort((a, b) => a.time - b.time);
+
+        const sessions = [];
+        const hinted = new Map();
+        let current = null;
+
+        sorted.forEach(entry => {
+            const hint = this.getGeminiSessionHint(entry.record);
+            if (hint) {
+                if (!hinted.has(hint)) {
+                    const session = { hint, entries: [] };
+                    hinted.set(hint, session);
+                    sessions.push(session);
+                }
+                hinted.get(hint).entries.push(entry);
+                return;
+            }
+
+            const last = current && current.entries[current.entries.length - 1];
+            if (!last || entry.time - last.time > GEMINI_SESSION_GAP_SECONDS) {
+                current = { hint: null, entries: [] };
+                sessions.push(current);
+            }
+            current.entries.push(entry);
+        });
+
+        const usedIds = new Set();
+        const uniqueId = (base) => {
+            let id = base;
+            for (let n = 2; usedIds.has(id); n++) {
+                id = `${base}_${n}`;
+            }
+            usedIds.add(id);
+            return id;
+        };
+
+        const conversations = [];
+        sessions.forEach(session => {
+            // One bad record only drops its own prompt
+            const pairs = [];
+            const entries = [];
+            session.entries.forEach(entry => {
+                try {
+                    const id = uniqueId(`gemini_${Math.round(entry.time * 1000)}`);
+                    pairs.push(this.buildGeminiActivityPair(entry.record, pairs.length + 1, id));
+                    entries.push(entry);
+                } catch (error) {
+                    warnings.push(`Record at index ${entry.index}: ${error.message}`);
+                }
+            });
+            if (pairs.length === 0) return;
+
+            const first = entries[0];
+            conversations.push({
+                id: uniqueId(session.hint ? `gemini_${session.hint}` : `gemini_session_${Math.round(first.time * 1000)}`),
+                title: pairs[0].question.content || 'Gemini Chat',
+                createTime: first.time,
+                updateTime: entries[entries.length - 1].time,
+                pairs,
+                starred: false,
+                source: 'gemini',
+                folderId: null
+            });
+        });
+
+        return conversations;
     }
 
     // Parse Gemini contents format (for future use with actual Gemini conversation exports)
@@ -984,7 +1365,9 @@ class ChatGPTData {
 
             // Extract text from parts array
             let textContent = '';
+            const assets = [];
             const parts = content.data || content.parts || [];
+            const messageId = content.contentId || `gemini_${idx}`;
 
             parts.forEach(part => {
                 // Handle different part formats
@@ -993,14 +1376,21 @@ class ChatGPTData {
                 } else if (part.text) {
                     textContent += part.text;
                 } else if (part.inlineData) {
-                    // Handle base64 encoded data (images, etc.)
-                    // We'll add a marker for now
-                    textContent += `[${part.inlineData.mimeType || 'data'}]`;
+                    // Base64 encoded data (images, etc.) - moved to the asset store on import
+                    const mimeType = part.inlineData.mimeType || 'application/octet-stream';
+                    const extension = mimeType.split('/').pop().split('+')[0];
+                    assets.push({
+                        id: `${messageId}_inline_${assets.length}`,
+                        name: `${messageId}_${assets.length + 1}.${extension}`,
+                        mimeType: mimeType,
+                        size: null,
+                        data: part.inlineData.data
+                    });
                 }
             });
 
-            // Skip empty content
-            if (!textContent.trim()) {
+            // Skip messages with neither text nor inline data
+            if (!textContent.trim() && assets.length === 0) {
                 return;
             }
 
@@ -1019,7 +1409,8 @@ class ChatGPTData {
                         role: 'user',
                         content: textContent,
                         timestamp: timestamp,
-                        metadata: content
+                        metadata: content,
+                        assets: assets.length > 0 ? assets : undefined
                     },
                     answers: [],
                     index: pairIndex++,
@@ -1034,7 +1425,8 @@ class ChatGPTData {
                     content: textContent,
                     timestamp: timestamp,
                     model: 'Gemini',
-                    metadata: content
+                    metadata: content,
+                    assets: assets.length > 0 ? assets : undefined
                 };
 
                 // Check for thinking/reasoning in metadata
@@ -1200,9 +1592,11 @@ class ChatGPTData {
 
                 const role = isUser ? 'user' : 'assistant';
 
-                // Extract content
+                // Extract content (answers keep their formatting as Markdown)
                 const contentEl = msgEl.querySelector('.markdown, .prose, .message-content, [data-message-content]') || msgEl;
-                const content = contentEl.textContent.trim();
+                const content = role === 'assistant'
+                    ? HtmlToMarkdown.convert(contentEl.innerHTML)
+                    : contentEl.textContent.trim();
 
                 if (content) {
                     const msgObj = {
@@ -1251,68 +1645,163 @@ class ChatGPTData {
         }
     }
 
-    // Storage methods
-    async saveToStorage() {
-        const data = {
-            conversations: this.conversations,
-            folders: this.folders,
-            currentConversationId: this.currentConversationId,
-            currentSort: this.currentSort
-        };
+    // =========================================================================
+    // INCREMENTAL PERSISTENCE
+    // =========================================================================
 
-        // Try IndexedDB first if available
-        if (this.storageMode === 'indexeddb') {
-            try {
-                // Save conversations to IndexedDB
-                await this.idbStorage.saveConversations(this.conversations);
+    /**
+     * Mark conversations as changed and schedule a batched save
+     */
+    markConversationsDirty(ids) {
+        ids.forEach(id => {
+            this.dirtyConversationIds.add(id);
+            this.deletedConversationIds.delete(id);
+        });
+        this.scheduleSave();
+    }
 
-                // Save settings
-                await this.idbStorage.saveSetting('currentConversationId', this.currentConversationId);
-                await this.idbStorage.saveSetting('currentSort', this.currentSort);
-                await this.idbStorage.saveSetting('folders', this.folders);
+    /**
+     * Mark a conversation as removed and schedule a batched save
+     */
+    markConversationDeleted(id) {
+        this.dirtyConversationIds.delete(id);
+        this.deletedConversationIds.add(id);
+        this.scheduleSave();
+    }
 
-                console.log('Data saved to IndexedDB');
-                return;
-            } catch (error) {
-                console.error('IndexedDB save failed, falling back to localStorage:', error);
-                // Fall through to localStorage fallback
-            }
+    markFoldersDirty() {
+        this.foldersDirty = true;
+        this.scheduleSave();
+    }
+
+    hasPendingChanges() {
+        return this.dirtyConversationIds.size > 0 ||
+               this.deletedConversationIds.size > 0 ||
+               this.foldersDirty;
+    }
+
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.flushChanges(), SAVE_DEBOUNCE_MS);
+    }
+
+    /**
+     * Write all pending changes now (also called when the page is hidden)
+     */
+    async flushChanges() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        // Only one write at a time; changes made meanwhile go into the next one
+        while (this.savePromise) {
+            await this.savePromise;
         }
+        if (!this.hasPendingChanges()) return;
 
-        // localStorage fallback (or if IndexedDB is not available)
+        this.savePromise = this.writeChanges();
         try {
-            localStorage.setItem(this.storageKey, JSON.stringify(data));
-            console.log('Data saved to localStorage');
-        } catch (error) {
-            console.error('localStorage save failed:', error);
-            // If localStorage is full, try to clear and save again
-            if (error.name === 'QuotaExceededError') {
-                console.warn('localStorage quota exceeded. Consider clearing old data or using a browser with more storage.');
-            }
+            await this.savePromise;
+        } finally {
+            this.savePromise = null;
         }
     }
 
-    async loadFromStorage() {
-        // Try IndexedDB first if available
+    async writeChanges() {
+        const dirtyIds = new Set(this.dirtyConversationIds);
+        const deletedIds = Array.from(this.deletedConversationIds);
+        const saveFolders = this.foldersDirty;
+
+        this.dirtyConversationIds.clear();
+        this.deletedConversationIds.clear();
+        this.foldersDirty = false;
+
         if (this.storageMode === 'indexeddb') {
             try {
-                // Load conversations from IndexedDB
-                const conversations = await this.idbStorage.loadConversations();
-                if (conversations && conversations.length > 0) {
-                    this.conversations = conversations;
+                if (dirtyIds.size > 0 || deletedIds.length > 0) {
+                    const changed = this.conversations.filter(conv => dirtyIds.has(conv.id));
+                    await this.idbStorage.saveConversationChanges(changed, deletedIds);
+                    this.searchIndex.update(changed, deletedIds);
+                }
+                if (saveFolders) {
+                    await this.idbStorage.saveFolders(this.folders);
+                }
+                return;
+            } catch (error) {
+                console.error('IndexedDB save failed, falling back to localStorage:', error);
+            }
+        }
 
-                    // Load settings
-                    this.currentConversationId = await this.idbStorage.loadSetting('currentConversationId');
-                    this.currentSort = await this.idbStorage.loadSetting('currentSort') || 'newestCreated';
+        this.saveToLocalStorage();
+    }
 
-                    // Load folders
-                    const folders = await this.idbStorage.loadSetting('folders');
+    /**
+     * Save a single setting without touching conversations
+     */
+    async saveSetting(key, value) {
+        if (this.storageMode === 'indexeddb') {
+            try {
+                await this.idbStorage.saveSetting(key, value);
+                return;
+            } catch (error) {
+                console.error('IndexedDB setting save failed, falling back to localStorage:', error);
+            }
+        }
+
+        // localStorage keeps everything in one record
+        this.saveToLocalStorage();
+    }
+
+    /**
+     * Remember the selected conversation
+     */
+    async setCurrentConversation(id) {
+        this.currentConversationId = id;
+        await this.saveSetting('currentConversationId', id);
+    }
+
+    // Storage methods
+    saveToLocalStorage() {
+        const data = {
+            conversations: this.conversations,
+            folders: this.folders,
+            currentConversationId: this.currentConversationId,
+            currentSort: this.currentSort
+        };
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+            console.log('Data saved to localStorage');
+        } catch (error) {
+            console.error('localStorage save failed:', error);
+            // If localStorage is full, try to clear and save again
+            if (error.name === 'QuotaExceededError') {
+                console.warn('localStorage quota exceeded. Consider clearing old data or using a browser with more storage.');
+            }
+        }
+    }
+
+    async loadFromStorage() {
+        // Try IndexedDB first if available
+        if (this.storageMode === 'indexeddb') {
+            try {
+                // Load conversations from IndexedDB
+                const conversations = await this.idbStorage.loadConversations();
+                if (conversations && conversations.length > 0) {
+                    this.conversations = conversations;
+
+                    // Load settings
+                    this.currentConversationId = await this.idbStorage.loadSetting('currentConversationId');
+                    this.currentSort = await this.idbStorage.loadSetting('currentSort') || 'newestCreated';
+
+                    // Load folders
+                    const folders = await this.idbStorage.loadFolders();
                     if (folders && folders.length > 0) {
                         this.folders = folders;
                     } else {
                         this.initializeDefaultFolder();
                     }
 
+                    this.refreshHtmlAnswers();
                     console.log('Data loaded from IndexedDB');
                     return true;
                 } else {
@@ -1339,6 +1828,13 @@ class ChatGPTData {
                     this.initializeDefaultFolder();
                 }
 
+                // Move localStorage data into IndexedDB on the next save
+                if (this.storageMode === 'indexeddb') {
+                    this.markConversationsDirty(this.conversations.map(conv => conv.id));
+                    this.markFoldersDirty();
+                }
+                this.refreshHtmlAnswers();
+
                 console.log('Data loaded from localStorage');
                 return true;
             }
@@ -1351,7 +1847,39 @@ class ChatGPTData {
         return false;
     }
 
+    /**
+     * Re-convert answers imported from HTML (kept in originalHtml), so answers stored as
+     * stripped text by older versions, or by an older converter, render with formatting
+     * Answers already converted by the current converter version are skipped
+     */
+    refreshHtmlAnswers() {
+        const changedIds = [];
+        this.conversations.forEach(conv => {
+            let changed = false;
+            conv.pairs.forEach(pair => {
+                pair.answers.forEach(answer => {
+                    if (!answer.originalHtml || answer.converterVersion === HTML_TO_MARKDOWN_VERSION) return;
+                    answer.content = HtmlToMarkdown.convert(answer.originalHtml);
+                    answer.converterVersion = HTML_TO_MARKDOWN_VERSION;
+                    changed = true;
+                });
+            });
+            if (changed) changedIds.push(conv.id);
+        });
+
+        if (changedIds.length > 0) {
+            this.markConversationsDirty(changedIds);
+        }
+    }
+
     async clearStorage() {
+        // Drop pending writes
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.dirtyConversationIds.clear();
+        this.deletedConversationIds.clear();
+        this.foldersDirty = false;
+
         // Clear IndexedDB if available
         if (this.storageMode === 'indexeddb') {
             try {
@@ -1364,6 +1892,10 @@ class ChatGPTData {
 
         // Clear localStorage
         localStorage.removeItem(this.storageKey);
+        this.assetCache.clear();
+        this.searchIndex?.reset();
+        this.assetUrls.forEach(url => URL.revokeObjectURL(url));
+        this.assetUrls.clear();
         this.conversations = [];
         this.currentConversationId = null;
         console.log('Storage cleared');
@@ -1377,14 +1909,37 @@ class ChatGPTData {
     detectDuplicates(newConversations) {
         const duplicates = [];
         const newConvs = [];
+        const existingById = new Map(this.conversations.map(conv => [conv.id, conv]));
+
+        // Formats without stable ids (HTML, Gemini) get new ids on every import, so fall back to content
+        const index = this.buildFingerprintIndex(this.conversations);
+        const claimed = new Set(newConversations.map(conv => conv.id).filter(id => existingById.has(id)));
 
         newConversations.forEach(newConv => {
-            const existing = this.conversations.find(c => c.id === newConv.id);
+            let existing = existingById.get(newConv.id);
+            let incoming = newConv;
+            let match = 'id';
+            let similarity = 1;
+
+            if (!existing) {
+                const best = this.findContentMatches(newConv, index).find(candidate => !claimed.has(candidate.conversation.id));
+                if (best) {
+                    existing = best.conversation;
+                    incoming = this.alignPairsByContent(existing, newConv);
+                    match = 'content';
+                    similarity = best.similarity;
+                    claimed.add(existing.id);
+                }
+            }
+
             if (existing) {
                 duplicates.push({
-                    id: newConv.id,
+                    id: existing.id,
                     old: existing,
-                    new: newConv
+                    new: incoming,
+                    match,
+                    similarity,
+                    merge: this.mergeConversation(existing, incoming)
                 });
             } else {
                 newConvs.push(newConv);
@@ -1394,34 +1949,514 @@ class ChatGPTData {
         return { duplicates, new: newConvs };
     }
 
+    /**
+     * Merge a re-imported copy into a stored conversation
+     * New pairs are added (matched by message id); the stored title, stars, folder
+     * and deleted pairs win over the export
+     * @returns {Object} { conversation, summary: { added, deletedKept, starsKept, titleKept, folderKept } }
+     */
+    mergeConversation(local, incoming) {
+        const localPairs = new Map(local.pairs.map(pair => [pair.id, pair]));
+        const deletedIds = new Set(local.deletedPairIds || []);
+        const summary = { added: 0, deletedKept: 0, starsKept: 0, titleKept: false, folderKept: false };
+
+        let pairs;
+        let messageTree = null;
+
+        if (incoming.messageTree) {
+            // Carry star and delete state over to the new tree, then rebuild the shown branch
+            messageTree = JSON.parse(JSON.stringify(incoming.messageTree));
+            const localNodes = local.messageTree ? local.messageTree.nodes : {};
+
+            // Pairs of a copy without the tree (e.g. an HTML export) have other ids: find their node by content
+            const nodeIds = this.matchPairsToTree(local.pairs, incoming.pairs, messageTree);
+            const localByNode = new Map(local.pairs
+                .filter(pair => nodeIds.has(pair.id))
+                .map(pair => [nodeIds.get(pair.id), pair]));
+
+            Object.values(messageTree.nodes).forEach(node => {
+                const localNode = localNodes[node.id];
+                const localPair = localByNode.get(node.id);
+                if (deletedIds.has(node.id) || localNode?.deleted) {
+                    node.deleted = true;
+                }
+                if (localNode?.starred || localPair?.starred) {
+                    node.starred = true;
+                }
+            });
+
+            // Without a stored tree, shown pairs before the last one we have were deleted (as below)
+            if (!local.messageTree) {
+                let lastKnownIndex = -1;
+                incoming.pairs.forEach((pair, idx) => {
+                    if (localByNode.has(pair.id)) lastKnownIndex = idx;
+                });
+                incoming.pairs.slice(0, lastKnownIndex).forEach(pair => {
+                    if (!localByNode.has(pair.id)) messageTree.nodes[pair.id].deleted = true;
+                });
+            }
+
+            // Pairs the export no longer has stay where they were
+            this.insertMissingPairs(messageTree, local.pairs, pair => nodeIds.get(pair.id));
+            pairs = this.buildPairsFromTree(messageTree);
+
+            summary.deletedKept = incoming.pairs.filter(pair => messageTree.nodes[pair.id]?.deleted).length;
+            summary.added = incoming.pairs.filter(pair => !localByNode.has(pair.id) && !messageTree.nodes[pair.id]?.deleted).length;
+        } else {
+            // Pairs before the last one we already have existed at the previous import:
+            // if they are missing here, they were deleted
+            let lastKnownIndex = -1;
+            incoming.pairs.forEach((pair, idx) => {
+                if (localPairs.has(pair.id)) lastKnownIndex = idx;
+            });
+
+            const kept = new Set();
+            pairs = [];
+            incoming.pairs.forEach((pair, idx) => {
+                const localPair = localPairs.get(pair.id);
+                if (localPair) {
+                    pairs.push({ ...pair, starred: !!localPair.starred });
+                    kept.add(pair.id);
+                } else if (deletedIds.has(pair.id) || idx < lastKnownIndex) {
+                    summary.deletedKept++;
+                } else {
+                    pairs.push({ ...pair, starred: false });
+                    summary.added++;
+                }
+            });
+
+            // Pairs the export no longer has stay where they were
+            local.pairs.forEach((pair, idx) => {
+                if (kept.has(pair.id)) return;
+                const nextKept = local.pairs.slice(idx + 1).find(next => kept.has(next.id));
+                const insertAt = nextKept ? pairs.findIndex(p => p.id === nextKept.id) : pairs.length;
+                pairs.splice(insertAt, 0, pair);
+                kept.add(pair.id);
+            });
+
+            // A stored tree gets the new pairs too, so switching branches doesn't drop them
+            if (local.messageTree) {
+                messageTree = JSON.parse(JSON.stringify(local.messageTree));
+                this.insertMissingPairs(messageTree, pairs, pair => (messageTree.nodes[pair.id] ? pair.id : null));
+                pairs = this.buildPairsFromTree(messageTree);
+            }
+        }
+
+        pairs.forEach((pair, idx) => {
+            pair.index = idx + 1;
+        });
+
+        summary.starsKept = (local.starred ? 1 : 0) + pairs.filter(pair => pair.starred).length;
+        summary.titleKept = local.title !== incoming.title;
+        summary.folderKept = !!local.folderId && local.folderId !== incoming.folderId;
+
+        const conversation = {
+            ...local,
+            pairs,
+            createTime: Math.min(local.createTime, incoming.createTime),
+            updateTime: Math.max(local.updateTime, incoming.updateTime),
+            conversationMetadata: local.conversationMetadata || incoming.conversationMetadata
+        };
+        if (messageTree) {
+            conversation.messageTree = messageTree;
+        }
+        if (!conversation.conversationMetadata) {
+            delete conversation.conversationMetadata;
+        }
+
+        return { conversation, summary };
+    }
+
+    /**
+     * Find the tree node of each pair: by id, or else by content among the tree's shown pairs
+     * @param {Array} pairs - Pairs to place
+     * @param {Array} treePairs - Pairs of the tree's current branch
+     * @returns {Map} pair id → node id
+     */
+    matchPairsToTree(pairs, treePairs, tree) {
+        const nodeIds = new Map();
+        const used = new Set();
+        pairs.forEach(pair => {
+            if (tree.nodes[pair.id]) {
+                nodeIds.set(pair.id, pair.id);
+                used.add(pair.id);
+            }
+        });
+
+        const byHash = new Map();
+        treePairs.forEach(pair => {
+            if (used.has(pair.id)) return;
+            const hash = this.getPairFingerprint(pair);
+            if (!byHash.has(hash)) byHash.set(hash, []);
+            byHash.get(hash).push(pair.id);
+        });
+
+        pairs.forEach(pair => {
+            if (nodeIds.has(pair.id)) return;
+            const candidates = byHash.get(this.getPairFingerprint(pair));
+            if (candidates && candidates.length > 0) {
+                nodeIds.set(pair.id, candidates.shift());
+            }
+        });
+
+        return nodeIds;
+    }
+
+    /**
+     * Add the pairs a tree has no node for to its current branch, each before the node
+     * of the next pair in the list that has one (or at the end)
+     * @param {Function} getNodeId - pair → its node id, or null if it has none
+     */
+    insertMissingPairs(tree, pairs, getNodeId) {
+        pairs.forEach((pair, idx) => {
+            if (getNodeId(pair)) return;
+            const next = pairs.slice(idx + 1).find(candidate => getNodeId(candidate));
+            this.insertPairIntoTree(tree, pair, next ? getNodeId(next) : null);
+        });
+    }
+
+    /**
+     * Add a pair's messages as a chain of nodes on the current branch, before a node of it (or at the end)
+     */
+    insertPairIntoTree(tree, pair, beforeNodeId) {
+        const uniqueId = (id) => {
+            let nodeId = id;
+            for (let n = 2; tree.nodes[nodeId]; n++) nodeId = `${id}-${n}`;
+            return nodeId;
+        };
+
+        // The question's id is the pair id (see buildPairsFromTree)
+        const messages = [
+            { ...pair.question, id: pair.id, role: 'user' },
+            ...pair.answers.map((answer, idx) => ({ ...answer, id: answer.id || `${pair.id}-answer-${idx + 1}`, role: answer.role || 'assistant' }))
+        ];
+
+        const before = beforeNodeId ? tree.nodes[beforeNodeId] : null;
+        const parentId = before ? before.parent : tree.currentNode;
+        let previousId = parentId;
+        const nodeIds = messages.map(({ branch, ...message }) => {
+            const nodeId = uniqueId(message.id);
+            tree.nodes[nodeId] = { id: nodeId, parent: previousId, children: [], message: { ...message, id: nodeId } };
+            if (previousId !== parentId) tree.nodes[previousId].children.push(nodeId);
+            previousId = nodeId;
+            return nodeId;
+        });
+        const firstId = nodeIds[0];
+        const lastId = nodeIds[nodeIds.length - 1];
+        if (pair.starred) {
+            tree.nodes[firstId].starred = true;
+        }
+
+        const siblings = this.getBranchChildren(tree, parentId);
+        if (before) {
+            // Take the place of the node it now precedes, branch switcher included
+            siblings.splice(siblings.indexOf(beforeNodeId), 1, firstId);
+            before.parent = lastId;
+            tree.nodes[lastId].children.push(beforeNodeId);
+            if (before.message.branch) {
+                tree.nodes[firstId].message.branch = { ...before.message.branch, nodeId: firstId };
+                delete before.message.branch;
+            }
+        } else {
+            siblings.push(firstId);
+            tree.currentNode = lastId;
+        }
+        this.selectBranchPath(tree, tree.currentNode);
+    }
+
+    // Content fingerprints
+    /**
+     * Text reduced to lowercase letters and digits, so Markdown and HTML renderings of a message agree
+     */
+    normalizeFingerprintText(text) {
+        return (text || '')
+            .normalize('NFKC')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    /**
+     * 53-bit string hash (cyrb53) as base-36 text
+     */
+    hashString(text) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ code, 2654435761);
+            h2 = Math.imul(h2 ^ code, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+    }
+
+    /**
+     * Hash of a pair's question and answers, independent of ids and formatting
+     */
+    getPairFingerprint(pair) {
+        const answers = pair.answers.map(answer => this.normalizeFingerprintText(answer.content)).join('\n');
+        return this.hashString(`${this.normalizeFingerprintText(pair.question.content)}\n\n${answers}`);
+    }
+
+    /**
+     * Fingerprints of a conversation's pairs, in order
+     */
+    getContentFingerprint(conv) {
+        return conv.pairs.map(pair => this.getPairFingerprint(pair));
+    }
+
+    /**
+     * @returns {Object} { fingerprints: Map(conversation id → fingerprint), buckets: Map(pair hash → conversations) }
+     */
+    buildFingerprintIndex(conversations) {
+        const fingerprints = new Map();
+        const buckets = new Map();
+
+        conversations.forEach(conv => {
+            const fingerprint = this.getContentFingerprint(conv);
+            fingerprints.set(conv.id, fingerprint);
+            new Set(fingerprint).forEach(hash => {
+                if (!buckets.has(hash)) buckets.set(hash, []);
+                buckets.get(hash).push(conv);
+            });
+        });
+
+        return { fingerprints, buckets };
+    }
+
+    /**
+     * Share of the shorter fingerprint's pairs found in the other one (0-1)
+     */
+    contentSimilarity(fingerprintA, fingerprintB) {
+        if (fingerprintA.length === 0 || fingerprintB.length === 0) return 0;
+        const [shorter, longer] = fingerprintA.length <= fingerprintB.length
+            ? [fingerprintA, fingerprintB]
+            : [fingerprintB, fingerprintA];
+
+        const counts = new Map();
+        longer.forEach(hash => counts.set(hash, (counts.get(hash) || 0) + 1));
+        let shared = 0;
+        shorter.forEach(hash => {
+            if (counts.get(hash) > 0) {
+                counts.set(hash, counts.get(hash) - 1);
+                shared++;
+            }
+        });
+        return shared / shorter.length;
+    }
+
+    /**
+     * Indexed conversations with the same content as conv (excluding conv itself)
+     * @returns {Array} [{ conversation, similarity }], most similar first
+     */
+    findContentMatches(conv, index, fingerprint = this.getContentFingerprint(conv)) {
+        const candidates = new Set();
+        new Set(fingerprint).forEach(hash => {
+            const bucket = index.buckets.get(hash);
+            if (bucket && bucket.length <= MAX_FINGERPRINT_BUCKET) {
+                bucket.forEach(candidate => candidates.add(candidate));
+            }
+        });
+        candidates.delete(conv);
+
+        const matches = [];
+        candidates.forEach(candidate => {
+            if (candidate.id === conv.id) return;
+            const similarity = this.contentSimilarity(fingerprint, index.fingerprints.get(candidate.id));
+            if (similarity >= CONTENT_MATCH_THRESHOLD) {
+                matches.push({ conversation: candidate, similarity });
+            }
+        });
+
+        return matches.sort((a, b) => b.similarity - a.similarity || b.conversation.pairs.length - a.conversation.pairs.length);
+    }
+
+    /**
+     * Group the library into sets of conversations with the same content
+     * @returns {Array} [{ conversations, similarity }] - similarity is the lowest match within the group
+     */
+    findDuplicateClusters() {
+        const index = this.buildFingerprintIndex(this.conversations);
+        const clusterOf = new Map();
+        const clusters = [];
+
+        this.conversations.forEach(conv => {
+            const fingerprint = index.fingerprints.get(conv.id);
+            this.findContentMatches(conv, index, fingerprint).forEach(({ conversation, similarity }) => {
+                const a = clusterOf.get(conv.id);
+                const b = clusterOf.get(conversation.id);
+                if (a && b) {
+                    if (a !== b) {
+                        // Two groups meet: fold the second into the first
+                        b.conversations.forEach(member => {
+                            a.conversations.push(member);
+                            clusterOf.set(member.id, a);
+                        });
+                        a.similarity = Math.min(a.similarity, b.similarity, similarity);
+                        clusters.splice(clusters.indexOf(b), 1);
+                    } else {
+                        a.similarity = Math.min(a.similarity, similarity);
+                    }
+                } else if (a || b) {
+                    const cluster = a || b;
+                    const member = a ? conversation : conv;
+                    cluster.conversations.push(member);
+                    cluster.similarity = Math.min(cluster.similarity, similarity);
+                    clusterOf.set(member.id, cluster);
+                } else {
+                    const cluster = { conversations: [conv, conversation], similarity };
+                    clusters.push(cluster);
+                    clusterOf.set(conv.id, cluster);
+                    clusterOf.set(conversation.id, cluster);
+                }
+            });
+        });
+
+        clusters.forEach(cluster => {
+            cluster.conversations.sort((a, b) => b.pairs.length - a.pairs.length || b.updateTime - a.updateTime);
+        });
+        return clusters.sort((a, b) => b.conversations.length - a.conversations.length || b.similarity - a.similarity);
+    }
+
+    /**
+     * Copy of incoming under local's id, with its pairs renamed to the ids of the
+     * local pairs they match by content, so it can be merged or overwrite local
+     * Pairs of a message tree keep their ids (they are the tree's node ids);
+     * mergeConversation finds the local pairs' nodes by content instead
+     */
+    alignPairsByContent(local, incoming) {
+        if (incoming.messageTree) {
+            return { ...incoming, id: local.id };
+        }
+
+        const localIds = new Map();
+        local.pairs.forEach(pair => {
+            const hash = this.getPairFingerprint(pair);
+            if (!localIds.has(hash)) localIds.set(hash, pair.id);
+        });
+
+        const used = new Set();
+        const pairs = incoming.pairs.map(pair => {
+            const localId = localIds.get(this.getPairFingerprint(pair));
+            if (!localId || used.has(localId)) return pair;
+            used.add(localId);
+            return { ...pair, id: localId };
+        });
+
+        return { ...incoming, id: local.id, pairs };
+    }
+
+    /**
+     * Work out the merge of a group of duplicates without changing the library
+     * The kept conversation's title and folder win; stars from every copy are kept
+     * @returns {Object|null} { conversation, summary }, the summary covering every copy (see mergeConversation)
+     */
+    planMergeDuplicates(keepId, otherIds) {
+        let merged = this.getConversation(keepId);
+        if (!merged) return null;
+
+        const summary = { added: 0, deletedKept: 0, starsKept: 0, titleKept: false, folderKept: false };
+        otherIds.forEach(id => {
+            const other = this.getConversation(id);
+            if (!other) return;
+
+            const incoming = this.alignPairsByContent(merged, other);
+            const starredIds = new Set(incoming.pairs.filter(pair => pair.starred).map(pair => pair.id));
+
+            const result = this.mergeConversation(merged, incoming);
+            merged = result.conversation;
+            merged.pairs = merged.pairs.map(pair => {
+                if (!starredIds.has(pair.id)) return pair;
+                if (merged.messageTree?.nodes[pair.id]) {
+                    merged.messageTree.nodes[pair.id].starred = true;
+                }
+                return { ...pair, starred: true };
+            });
+            merged.starred = merged.starred || other.starred;
+            merged.folderId = merged.folderId || other.folderId;
+
+            summary.added += result.summary.added;
+            summary.deletedKept += result.summary.deletedKept;
+            summary.titleKept = summary.titleKept || result.summary.titleKept;
+            summary.folderKept = summary.folderKept || result.summary.folderKept;
+        });
+        summary.starsKept = (merged.starred ? 1 : 0) + merged.pairs.filter(pair => pair.starred).length;
+
+        return { conversation: merged, summary };
+    }
+
+    /**
+     * Merge a group of duplicates into one conversation and delete the rest (see planMergeDuplicates)
+     * @returns {Object} the merged conversation
+     */
+    async mergeDuplicates(keepId, otherIds) {
+        const plan = this.planMergeDuplicates(keepId, otherIds);
+        if (!plan) return null;
+
+        const merged = plan.conversation;
+        this.conversations[this.conversations.findIndex(conv => conv.id === keepId)] = merged;
+        this.markConversationsDirty([keepId]);
+        await this.deleteConversations(otherIds, keepId);
+        return merged;
+    }
+
+    /**
+     * Delete several conversations; the open one is replaced by fallbackId if it was deleted
+     */
+    async deleteConversations(ids, fallbackId = null) {
+        const idSet = new Set(ids);
+        const removedMessages = this.conversations
+            .filter(conv => idSet.has(conv.id))
+            .flatMap(conv => this.getConversationMessages(conv));
+        this.conversations = this.conversations.filter(conv => !idSet.has(conv.id));
+        idSet.forEach(id => this.markConversationDeleted(id));
+        await this.deleteUnusedAssets(removedMessages);
+
+        if (idSet.has(this.currentConversationId)) {
+            await this.setCurrentConversation(fallbackId);
+        }
+        await this.flushChanges();
+    }
+
     /**
      * Add conversations with duplicate handling
      * @param {Array} conversationsToAdd - Array of conversations to add
      * @param {Array} duplicatesToOverwrite - Array of conversation IDs to overwrite (optional)
+     * @param {Array} assets - Files extracted from the import's archives; only those the added conversations reference are saved
      */
-    async addConversations(conversationsToAdd, duplicatesToOverwrite = []) {
+    async addConversations(conversationsToAdd, duplicatesToOverwrite = [], assets = []) {
         const overwriteSet = new Set(duplicatesToOverwrite);
+        const changedIds = [];
+        const replacedMessages = [];
 
-        conversationsToAdd.forEach(conv => {
+        // Duplicates that are not overwritten keep the stored copy, so their files are not needed
+        const added = conversationsToAdd.filter(conv =>
+            overwriteSet.has(conv.id) || !this.conversations.some(c => c.id === conv.id));
+        await this.storeInlineAssets(added);
+        await this.saveReferencedAssets(added, assets);
+
+        added.forEach(conv => {
             const existingIndex = this.conversations.findIndex(c => c.id === conv.id);
 
             if (existingIndex !== -1) {
-                // Duplicate exists
-                if (overwriteSet.has(conv.id)) {
-                    // Overwrite existing
-                    this.conversations[existingIndex] = conv;
-                }
-                // If not in overwriteSet, skip (keep old)
+                // Overwrite existing
+                const [replaced] = this.conversations.splice(existingIndex, 1, conv);
+                replacedMessages.push(...this.getConversationMessages(replaced));
             } else {
                 // New conversation, add it
                 this.conversations.push(conv);
             }
+            changedIds.push(conv.id);
         });
+        await this.deleteUnusedAssets(replacedMessages);
 
         // Sort by update time, newest first
         this.conversations.sort((a, b) => b.updateTime - a.updateTime);
 
-        await this.saveToStorage();
+        this.markConversationsDirty(changedIds);
+        await this.flushChanges();
     }
 
     getConversation(id) {
@@ -1440,7 +2475,7 @@ class ChatGPTData {
         if (conv) {
             conv.title = newTitle;
             conv.updateTime = Date.now() / 1000;
-            await this.saveToStorage();
+            this.markConversationsDirty([id]);
             return true;
         }
         return false;
@@ -1449,11 +2484,12 @@ class ChatGPTData {
     async deleteConversation(id) {
         const index = this.conversations.findIndex(c => c.id === id);
         if (index !== -1) {
-            this.conversations.splice(index, 1);
+            const [removed] = this.conversations.splice(index, 1);
+            this.markConversationDeleted(id);
+            await this.deleteUnusedAssets(this.getConversationMessages(removed));
             if (this.currentConversationId === id) {
-                this.currentConversationId = null;
+                await this.setCurrentConversation(null);
             }
-            await this.saveToStorage();
             return true;
         }
         return false;
@@ -1470,7 +2506,7 @@ class ChatGPTData {
         const conv = this.getConversation(id);
         if (conv) {
             conv.starred = !conv.starred;
-            await this.saveToStorage();
+            this.markConversationsDirty([id]);
             return conv.starred;
         }
         return false;
@@ -1483,22 +2519,55 @@ class ChatGPTData {
     }
 
     // Search methods
-    searchConversations(query) {
+    /**
+     * Index any conversations stored before the search index existed
+     */
+    buildSearchIndex() {
+        if (this.searchIndex) {
+            this.searchIndex.sync(this.conversations);
+        }
+    }
+
+    /**
+     * Search conversations, best matches first
+     * Uses the full-text index when it is up to date; every message is scanned only when the index
+     * finds nothing or cannot look up all of the words
+     */
+    async searchConversations(query) {
         if (!query || query.trim() === '') {
             return this.conversations;
         }
 
-        const lowerQuery = query.toLowerCase();
+        // Every word must appear in the title or a message
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+        if (this.searchIndex && this.searchIndex.isReady()) {
+            const byId = new Map(this.conversations.map(conv => [conv.id, conv]));
+            const hits = (await this.searchIndex.search(query)).map(hit => byId.get(hit.id)).filter(Boolean);
+            if (hits.length > 0 && words.every(word => SearchIndex.isIndexable(word))) {
+                return hits;
+            }
+
+            // The index only knows whole words (and a prefix of the last one), so words found only
+            // inside longer words ("ars" in "parser") or with punctuation come from a scan, ranked after the hits
+            const hitIds = new Set(hits.map(conv => conv.id));
+            const rest = this.conversations.filter(conv => !hitIds.has(conv.id) && this.containsWords(conv, words));
+            return [...hits, ...rest];
+        }
+
+        return this.conversations.filter(conv => this.containsWords(conv, words));
+    }
 
-        return this.conversations.filter(conv => {
+    containsWords(conv, words) {
+        return words.every(word => {
             // Search in title
-            if (conv.title.toLowerCase().includes(lowerQuery)) {
+            if (conv.title.toLowerCase().includes(word)) {
                 return true;
             }
             // Search in pairs
             return conv.pairs.some(pair =>
-                pair.question.content.toLowerCase().includes(lowerQuery) ||
-                pair.answers.some(ans => ans.content.toLowerCase().includes(lowerQuery))
+                pair.question.content.toLowerCase().includes(word) ||
+                pair.answers.some(ans => ans.content.toLowerCase().includes(word))
             );
         });
     }
@@ -1548,13 +2617,70 @@ class ChatGPTData {
         return results;
     }
 
+    /**
+     * Get the artifacts of one conversation or of the whole library, in conversation order
+     * Each entry is the artifact plus where it came from (conversation, pair and answer time)
+     */
+    getArtifacts(conversationId = null) {
+        const conversations = conversationId
+            ? [this.getConversation(conversationId)].filter(Boolean)
+            : this.conversations;
+
+        const results = [];
+        conversations.forEach(conv => {
+            conv.pairs.forEach(pair => {
+                pair.answers.forEach((answer, answerIndex) => {
+                    (answer.artifacts || []).forEach((artifact, artifactIndex) => {
+                        results.push({
+                            ...artifact,
+                            conversationId: conv.id,
+                            conversationTitle: conv.title,
+                            pairId: pair.id,
+                            answerIndex,
+                            artifactIndex,
+                            timestamp: answer.timestamp || pair.question.timestamp || conv.updateTime
+                        });
+                    });
+                });
+            });
+        });
+        return results;
+    }
+
+    /**
+     * Group a conversation's artifacts into version histories
+     * Claude stores every rewrite of a file as a new artifact with the same id (or file name)
+     * @returns {Map} identifier -> getArtifacts() entries in conversation order, each with a 1-based version
+     */
+    getArtifactVersions(conversationId) {
+        const groups = new Map();
+        this.getArtifacts(conversationId).forEach(entry => {
+            const key = entry.id || entry.title || 'Artifact';
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            const versions = groups.get(key);
+            versions.push({ ...entry, key, version: versions.length + 1 });
+        });
+        return groups;
+    }
+
     // Pair management
     async deletePair(conversationId, pairId) {
         const conv = this.getConversation(conversationId);
         if (conv) {
             const index = conv.pairs.findIndex(p => p.id === pairId);
             if (index !== -1) {
-                conv.pairs.splice(index, 1);
+                const [removed] = conv.pairs.splice(index, 1);
+
+                // Keep the pair hidden when switching back to its branch
+                if (conv.messageTree?.nodes[pairId]) {
+                    conv.messageTree.nodes[pairId].deleted = true;
+                }
+
+                // Keep it deleted when a newer export is merged in
+                conv.deletedPairIds = [...(conv.deletedPairIds || []), pairId];
+
                 // Renumber pairs
                 conv.pairs.forEach((p, idx) => {
                     p.index = idx + 1;
@@ -1563,7 +2689,9 @@ class ChatGPTData {
                 // Update timestamps after deletion
                 this.updateConversationTimestamps(conv);
 
-                await this.saveToStorage();
+                this.markConversationsDirty([conversationId]);
+                // Branch history keeps the messages of a deleted pair, and with them its files
+                await this.deleteUnusedAssets([removed.question, ...removed.answers]);
                 return true;
             }
         }
@@ -1596,13 +2724,215 @@ class ChatGPTData {
             const pair = conv.pairs.find(p => p.id === pairId);
             if (pair) {
                 pair.starred = !pair.starred;
-                await this.saveToStorage();
+
+                // Keep the star when switching between branches
+                if (conv.messageTree?.nodes[pairId]) {
+                    conv.messageTree.nodes[pairId].starred = pair.starred;
+                }
+
+                this.markConversationsDirty([conversationId]);
                 return pair.starred;
             }
         }
         return false;
     }
 
+    // =========================================================================
+    // ASSETS (images and files linked to messages)
+    // =========================================================================
+    // Messages reference assets as { id, name, mimeType, size }; the binary
+    // data lives in the IndexedDB 'assets' store as { id, name, mimeType, size, blob }
+
+    /**
+     * Save asset records (e.g. files extracted from an export archive)
+     * @param {Array} assets - [{ id, name, mimeType, size, blob }]
+     */
+    async saveAssets(assets) {
+        if (assets.length === 0) return;
+
+        if (this.storageMode === 'indexeddb') {
+            try {
+                await this.idbStorage.saveAssets(assets);
+                return;
+            } catch (error) {
+                console.error('Error saving assets to IndexedDB:', error);
+            }
+        }
+
+        // Fallback: keep in memory for this session only
+        assets.forEach(asset => this.assetCache.set(asset.id, asset));
+    }
+
+    /**
+     * Save the archive files that messages of the given conversations reference
+     * @param {Array} assets - [{ id, name, mimeType, size, blob }]
+     */
+    async saveReferencedAssets(conversations, assets) {
+        if (assets.length === 0) return;
+
+        const referenced = new Set();
+        conversations.forEach(conv => {
+            this.getConversationMessages(conv).forEach(message => {
+                (message.assets || []).forEach(ref => referenced.add(ref.id));
+            });
+        });
+        await this.saveAssets(assets.filter(asset => referenced.has(asset.id)));
+    }
+
+    /**
+     * Move inline asset data (Gemini base64, Claude extracted text) into the asset store
+     * Leaves only the reference on the message
+     */
+    async storeInlineAssets(conversations) {
+        const records = [];
+
+        conversations.forEach(conv => {
+            this.getConversationMessages(conv).forEach(message => {
+                (message.assets || []).forEach(ref => {
+                    if (ref.data === undefined && ref.text === undefined) return;
+
+                    // Inline ids are only unique within a conversation
+                    ref.id = `${conv.id}/${ref.id}`;
+                    const blob = ref.data !== undefined
+                        ? this.base64ToBlob(ref.data, ref.mimeType)
+                        : new Blob([ref.text], { type: ref.mimeType });
+
+                    ref.size = ref.size || blob.size;
+                    records.push({ id: ref.id, name: ref.name, mimeType: ref.mimeType, size: ref.size, blob });
+                    delete ref.data;
+                    delete ref.text;
+                });
+            });
+        });
+
+        await this.saveAssets(records);
+    }
+
+    /**
+     * Get every message of a conversation, including hidden branches
+     */
+    getConversationMessages(conv) {
+        const messages = new Set();
+        (conv.pairs || []).forEach(pair => {
+            messages.add(pair.question);
+            pair.answers.forEach(answer => messages.add(answer));
+        });
+        if (conv.messageTree) {
+            Object.values(conv.messageTree.nodes).forEach(node => {
+                if (node.message) messages.add(node.message);
+            });
+        }
+        return Array.from(messages);
+    }
+
+    base64ToBlob(base64, mimeType) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type: mimeType });
+    }
+
+    /**
+     * Point message references at the files of the archive they were imported with
+     * A reference whose id is not one of the archive's files is matched by file name, within that archive only
+     * @param {Array} assets - Asset records extracted from the archive
+     */
+    linkArchiveAssets(conversations, assets) {
+        const ids = new Set(assets.map(asset => asset.id));
+        const idsByName = new Map();
+        assets.forEach(asset => {
+            if (!idsByName.has(asset.name)) {
+                idsByName.set(asset.name, asset.id);
+            }
+        });
+
+        conversations.forEach(conv => {
+            this.getConversationMessages(conv).forEach(message => {
+                (message.assets || []).forEach(ref => {
+                    if (ids.has(ref.id) || ref.data !== undefined || ref.text !== undefined) return;
+                    if (idsByName.has(ref.name)) {
+                        ref.id = idsByName.get(ref.name);
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Delete the stored files of removed messages that no remaining message references
+     * @param {Array} removedMessages - Messages that were just deleted
+     */
+    async deleteUnusedAssets(removedMessages) {
+        const unused = new Set();
+        removedMessages.forEach(message => {
+            (message.assets || []).forEach(ref => unused.add(ref.id));
+        });
+        if (unused.size === 0) return;
+
+        this.conversations.forEach(conv => {
+            this.getConversationMessages(conv).forEach(message => {
+                (message.assets || []).forEach(ref => unused.delete(ref.id));
+            });
+        });
+        if (unused.size === 0) return;
+
+        const ids = Array.from(unused);
+        ids.forEach(id => {
+            this.assetCache.delete(id);
+            if (this.assetUrls.has(id)) {
+                URL.revokeObjectURL(this.assetUrls.get(id));
+                this.assetUrls.delete(id);
+            }
+        });
+
+        if (this.storageMode === 'indexeddb') {
+            try {
+                await this.idbStorage.deleteAssets(ids);
+            } catch (error) {
+                console.error('Error deleting assets from IndexedDB:', error);
+            }
+        }
+    }
+
+    /**
+     * Find the stored asset for a message reference
+     * @returns {Promise<Object|null>} Asset record with blob, or null if not in the export
+     */
+    async getAsset(ref) {
+        if (this.assetCache.has(ref.id)) {
+            return this.assetCache.get(ref.id);
+        }
+
+        if (this.storageMode === 'indexeddb') {
+            try {
+                return await this.idbStorage.loadAsset(ref.id);
+            } catch (error) {
+                console.error('Error loading asset from IndexedDB:', error);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get an object URL for a message asset (cached for the session)
+     * @returns {Promise<string|null>}
+     */
+    async getAssetUrl(ref) {
+        if (this.assetUrls.has(ref.id)) {
+            return this.assetUrls.get(ref.id);
+        }
+
+        const asset = await this.getAsset(ref);
+        if (!asset) return null;
+
+        const url = URL.createObjectURL(asset.blob);
+        this.assetUrls.set(ref.id, url);
+        return url;
+    }
+
     // =========================================================================
     // FOLDER MANAGEMENT METHODS
     // =========================================================================
@@ -1618,7 +2948,7 @@ class ChatGPTData {
             order: this.folders.length
         };
         this.folders.push(folder);
-        await this.saveToStorage();
+        this.markFoldersDirty();
         return folder;
     }
 
@@ -1629,7 +2959,7 @@ class ChatGPTData {
         const folder = this.folders.find(f => f.id === folderId);
         if (folder) {
             Object.assign(folder, updates);
-            await this.saveToStorage();
+            this.markFoldersDirty();
             return true;
         }
         return false;
@@ -1648,6 +2978,7 @@ class ChatGPTData {
             this.conversations.forEach(conv => {
                 if (conv.folderId === folderId) {
                     conv.folderId = null;
+                    this.markConversationsDirty([conv.id]);
                 }
             });
 
@@ -1656,7 +2987,7 @@ class ChatGPTData {
                 f.order = idx;
             });
 
-            await this.saveToStorage();
+            this.markFoldersDirty();
             return true;
         }
         return false;
@@ -1675,7 +3006,7 @@ class ChatGPTData {
             }
         });
         this.folders = reorderedFolders;
-        await this.saveToStorage();
+        this.markFoldersDirty();
     }
 
     /**
@@ -1703,36 +3034,176 @@ class ChatGPTData {
         const conv = this.getConversation(conversationId);
         if (conv) {
             conv.folderId = folderId; // null means "All Conversations" (uncategorized)
-            await this.saveToStorage();
+            this.markConversationsDirty([conversationId]);
             return true;
         }
         return false;
     }
 
     // Export methods
-    exportProject() {
+    /**
+     * Build a project file
+     * @param {Array} [conversations] - Subset to export (only the folders it uses are included); all by default
+     */
+    exportProject(conversations = null) {
+        let folders = this.folders;
+        if (conversations) {
+            const usedFolderIds = new Set(conversations.map(conv => conv.folderId).filter(Boolean));
+            folders = this.folders.filter(folder => usedFolderIds.has(folder.id));
+        } else {
+            conversations = this.conversations;
+        }
+
         return {
-            version: '1.0',
+            version: PROJECT_VERSION,
             exportDate: new Date().toISOString(),
-            conversations: this.conversations,
-            folders: this.folders,
+            conversations,
+            folders,
             metadata: {
-                totalConversations: this.conversations.length,
-                totalPairs: this.conversations.reduce((sum, conv) => sum + conv.pairs.length, 0)
+                totalConversations: conversations.length,
+                totalPairs: conversations.reduce((sum, conv) => sum + conv.pairs.length, 0)
             }
         };
     }
 
-    importProject(projectData) {
-        if (projectData && projectData.conversations) {
-            this.addConversations(projectData.conversations);
-            // Import folders if available
-            if (projectData.folders && projectData.folders.length > 0) {
-                this.folders = projectData.folders;
+    /**
+     * Check if parsed JSON is a project file written by exportProject
+     */
+    isProjectFile(jsonData) {
+        return !!jsonData && !Array.isArray(jsonData) &&
+               typeof jsonData.version === 'string' &&
+               typeof jsonData.exportDate === 'string' &&
+               Array.isArray(jsonData.conversations);
+    }
+
+    /**
+     * Compare a project file with the library without changing anything
+     * @returns {Object} Report: { added, updated, unchanged, foldersAdded, foldersUpdated, warnings }
+     *   added: [conversation], updated: [{ conversation, changes: ['title' | 'stars' | 'folder' | 'messages'] }]
+     * @throws {Error} If the file was written by an incompatible version
+     */
+    diffProject(projectData) {
+        const major = parseInt(projectData.version, 10);
+        if (!(major <= parseInt(PROJECT_VERSION, 10))) {
+            throw new Error(`Unsupported project version: ${projectData.version}`);
+        }
+
+        const report = { added: [], updated: [], unchanged: 0, foldersAdded: [], foldersUpdated: [], warnings: [] };
+
+        // Folders are merged by id: new ones are added, existing ones take the file's name and color
+        const folderIds = new Set(this.folders.map(folder => folder.id));
+        (projectData.folders || []).forEach(folder => {
+            if (!folder || !folder.id || !folder.name) return;
+            const existing = this.getFolder(folder.id);
+            if (!existing) {
+                report.foldersAdded.push(folder);
+            } else if (existing.name !== folder.name || (folder.color && existing.color !== folder.color)) {
+                report.foldersUpdated.push(folder);
             }
-            return true;
+            folderIds.add(folder.id);
+        });
+
+        projectData.conversations.forEach((conv, index) => {
+            if (!conv || !conv.id || !Array.isArray(conv.pairs)) {
+                report.warnings.push(`Conversation at index ${index} is not a saved conversation`);
+                return;
+            }
+
+            const restored = this.normalizeProjectConversation(conv, folderIds);
+            const existing = this.getConversation(restored.id);
+            if (!existing) {
+                report.added.push(restored);
+                return;
+            }
+
+            const changes = this.compareConversations(existing, restored);
+            if (changes.length > 0) {
+                report.updated.push({ conversation: restored, changes });
+            } else {
+                report.unchanged++;
+            }
+        });
+
+        return report;
+    }
+
+    /**
+     * Fill in fields a saved conversation may lack (older project files)
+     * @param {Set} folderIds - Folders that exist after the restore; other assignments are dropped
+     */
+    normalizeProjectConversation(conv, folderIds) {
+        return {
+            ...conv,
+            title: conv.title || 'New Chat',
+            createTime: conv.createTime || Date.now() / 1000,
+            updateTime: conv.updateTime || conv.createTime || Date.now() / 1000,
+            source: conv.source || 'app_export',
+            starred: !!conv.starred,
+            folderId: conv.folderId && folderIds.has(conv.folderId) ? conv.folderId : null,
+            pairs: conv.pairs.map((pair, index) => ({ ...pair, index, starred: !!pair.starred }))
+        };
+    }
+
+    /**
+     * List what differs between a stored conversation and a restored copy
+     * @returns {string[]} 'title', 'stars', 'folder', 'messages'
+     */
+    compareConversations(existing, restored) {
+        const changes = [];
+        if (existing.title !== restored.title) {
+            changes.push('title');
         }
-        return false;
+
+        const starKey = conv => [!!conv.starred, ...conv.pairs.map(pair => `${pair.id}:${!!pair.starred}`)].join('|');
+        if (starKey(existing) !== starKey(restored)) {
+            changes.push('stars');
+        }
+
+        if ((existing.folderId || null) !== restored.folderId) {
+            changes.push('folder');
+        }
+
+        // Pairs without their stars and positions (compared above / renumbered on restore)
+        const pairsKey = conv => JSON.stringify(conv.pairs, (key, value) =>
+            key === 'starred' || key === 'index' ? undefined : value
+        );
+        if (pairsKey(existing) !== pairsKey(restored) ||
+            JSON.stringify(existing.messageTree || null) !== JSON.stringify(restored.messageTree || null)) {
+            changes.push('messages');
+        }
+
+        return changes;
+    }
+
+    /**
+     * Restore a project file: merge folders by id, add new conversations and replace changed ones
+     * Stars, folder assignments and edited titles are kept as saved
+     * @returns {Promise<Object>} The report of diffProject
+     */
+    async importProject(projectData) {
+        const report = this.diffProject(projectData);
+
+        report.foldersAdded.forEach(folder => {
+            this.folders.push({
+                id: folder.id,
+                name: folder.name,
+                color: folder.color || '#3b82f6',
+                order: this.folders.length
+            });
+        });
+        report.foldersUpdated.forEach(folder => {
+            const existing = this.getFolder(folder.id);
+            existing.name = folder.name;
+            existing.color = folder.color || existing.color;
+        });
+        if (report.foldersAdded.length > 0 || report.foldersUpdated.length > 0) {
+            this.markFoldersDirty();
+        }
+
+        const updated = report.updated.map(item => item.conversation);
+        await this.addConversations([...report.added, ...updated], updated.map(conv => conv.id));
+
+        return report;
     }
 }
 
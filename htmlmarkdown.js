@@ -0,0 +1,480 @@
+// HTML to Markdown converter for ChatGPT Parser
+// Turns exported answer HTML (Gemini activity, ChatGPT pages) into Markdown for MarkdownParser.
+// Works without a DOM (the import worker has none): a small tolerant tokenizer builds an
+// element tree and only formatting elements are translated. Scripts, styles, controls and
+// all attributes except link/image URLs and code languages are dropped.
+
+const HTML_VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Removed with their content (raw text elements are skipped without tokenizing)
+const HTML_DROPPED_ELEMENTS = new Set([
+    'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'svg', 'math', 'canvas',
+    'head', 'title', 'button', 'select', 'textarea', 'audio', 'video'
+]);
+const HTML_RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'noscript']);
+
+const HTML_BLOCK_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'center', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption',
+    'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p',
+    'pre', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+]);
+
+// Open elements closed implicitly when one of the keys opens (stop: search no further than these)
+const HTML_IMPLIED_END = {
+    li: { closes: ['li'], stop: ['ul', 'ol'] },
+    dt: { closes: ['dt', 'dd'], stop: ['dl'] },
+    dd: { closes: ['dt', 'dd'], stop: ['dl'] },
+    tr: { closes: ['tr', 'td', 'th'], stop: ['table', 'thead', 'tbody', 'tfoot'] },
+    td: { closes: ['td', 'th'], stop: ['tr', 'table'] },
+    th: { closes: ['td', 'th'], stop: ['tr', 'table'] },
+    thead: { closes: ['thead', 'tbody', 'tr', 'td', 'th'], stop: ['table'] },
+    tbody: { closes: ['thead', 'tbody', 'tr', 'td', 'th'], stop: ['table'] },
+    tfoot: { closes: ['thead', 'tbody', 'tr', 'td', 'th'], stop: ['table'] }
+};
+
+const HTML_NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ensp: ' ', emsp: ' ',
+    thinsp: ' ', hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+    laquo: '«', raquo: '»', bull: '•', middot: '·', copy: '©', reg: '®', trade: '™', deg: '°', times: '×',
+    divide: '÷', plusmn: '±', minus: '−', le: '≤', ge: '≥', ne: '≠', larr: '←', rarr: '→', uarr: '↑',
+    darr: '↓', euro: '€', pound: '£', yen: '¥', cent: '¢', sect: '§', para: '¶', shy: '­', zwj: '‍',
+    zwnj: '‌'
+};
+
+// A tag ends at the next '<' when it has no '>' before it, so an unclosed tag only rescans up to there
+const HTML_TAG_PATTERN = /<!--[\s\S]*?(?:-->|$)|<![^<>]*>|<\?[^<>]*>|<\/([a-zA-Z][\w:-]*)[^<>]*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'<>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+const HTML_ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// Rendering recurses once per level: deeper tags are ignored and their text joins the element at the cap
+const HTML_MAX_NESTING_DEPTH = 100;
+
+// Bump when the output changes: stored answers converted by an older version are re-converted on load
+const HTML_TO_MARKDOWN_VERSION = 1;
+
+class HtmlToMarkdown {
+    /**
+     * Convert an HTML fragment to Markdown
+     * @param {string} html
+     * @returns {string}
+     */
+    static convert(html) {
+        if (!html) return '';
+        const root = this.parse(html);
+        return this.renderContainer(root, '\n\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    // =========================================================================
+    // PARSING
+    // =========================================================================
+
+    /**
+     * Build an element tree: { tag, attrs, children } with text nodes as strings
+     */
+    static parse(html) {
+        const root = { tag: '#root', attrs: {}, children: [] };
+        const stack = [root];
+        const current = () => stack[stack.length - 1];
+        const pattern = new RegExp(HTML_TAG_PATTERN.source, 'g');
+        let lastIndex = 0;
+        let match;
+
+        const addText = (text) => {
+            if (text) current().children.push(this.decodeEntities(text));
+        };
+
+        while ((match = pattern.exec(html)) !== null) {
+            addText(html.slice(lastIndex, match.index));
+            lastIndex = pattern.lastIndex;
+
+            const [, closeTag, openTag, attributeText] = match;
+            if (closeTag) {
+                const tag = closeTag.toLowerCase();
+                const openIndex = stack.map(node => node.tag).lastIndexOf(tag);
+                if (openIndex > 0) stack.length = openIndex;
+                continue;
+            }
+            if (!openTag) continue; // comment, doctype, processing instruction
+
+            const tag = openTag.toLowerCase();
+
+            if (HTML_RAW_TEXT_ELEMENTS.has(tag)) {
+                // Skip everything up to the closing tag
+                const end = new RegExp(`</${tag}\\s*>`, 'ig');
+                end.lastIndex = lastIndex;
+                const endMatch = end.exec(html);
+                lastIndex = endMatch ? end.lastIndex : html.length;
+                pattern.lastIndex = lastIndex;
+                continue;
+            }
+
+            this.closeImpliedElements(stack, tag);
+            if (stack.length > HTML_MAX_NESTING_DEPTH) continue;
+
+            const node = { tag, attrs: this.parseAttributes(attributeText || ''), children: [] };
+            current().children.push(node);
+            if (!HTML_VOID_ELEMENTS.has(tag)) {
+                stack.push(node);
+            }
+        }
+        addText(html.slice(lastIndex));
+
+        return root;
+    }
+
+    static closeImpliedElements(stack, tag) {
+        // A block element ends an open paragraph
+        if (HTML_BLOCK_ELEMENTS.has(tag)) {
+            for (let i = stack.length - 1; i > 0; i--) {
+                if (stack[i].tag === 'p') {
+                    stack.length = i;
+                    break;
+                }
+                if (HTML_BLOCK_ELEMENTS.has(stack[i].tag)) break;
+            }
+        }
+
+        const rule = HTML_IMPLIED_END[tag];
+        if (!rule) return;
+        for (let i = stack.length - 1; i > 0; i--) {
+            if (rule.stop.includes(stack[i].tag)) return;
+            if (rule.closes.includes(stack[i].tag)) {
+                stack.length = i;
+                return;
+            }
+        }
+    }
+
+    static parseAttributes(text) {
+        const attrs = {};
+        const pattern = new RegExp(HTML_ATTRIBUTE_PATTERN.source, 'g');
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const name = match[1].toLowerCase();
+            const value = match[2] ?? match[3] ?? match[4] ?? '';
+            if (!(name in attrs)) attrs[name] = this.decodeEntities(value);
+        }
+        return attrs;
+    }
+
+    static decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);?/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1] === 'x' || entity[1] === 'X'
+                    ? parseInt(entity.slice(2), 16)
+                    : parseInt(entity.slice(1), 10);
+                return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+            }
+            const named = HTML_NAMED_ENTITIES[entity.toLowerCase()];
+            return named !== undefined ? named : match;
+        });
+    }
+
+    // =========================================================================
+    // BLOCKS
+    // =========================================================================
+
+    /**
+     * Whether a node is laid out as a block (block element, or a wrapper around one)
+     */
+    static isBlock(node) {
+        if (typeof node === 'string') return false;
+        if (node.block === undefined) {
+            node.block = HTML_BLOCK_ELEMENTS.has(node.tag) ||
+                (!HTML_DROPPED_ELEMENTS.has(node.tag) && node.children.some(child => this.isBlock(child)));
+        }
+        return node.block;
+    }
+
+    /**
+     * Render the children of a container: runs of inline content become paragraphs
+     * @param {string} separator - Between blocks ('\n' keeps list items tight)
+     */
+    static renderContainer(node, separator) {
+        const blocks = [];
+        let inline = [];
+
+        const flushInline = () => {
+            const text = this.renderParagraph(inline);
+            if (text) blocks.push(text);
+            inline = [];
+        };
+
+        node.children.forEach(child => {
+            if (this.isBlock(child)) {
+                flushInline();
+                const block = this.renderBlock(child);
+                if (block) blocks.push(block);
+            } else {
+                inline.push(child);
+            }
+        });
+        flushInline();
+
+        return blocks.join(separator);
+    }
+
+    static renderParagraph(nodes) {
+        return nodes.map(node => this.renderInline(node)).join('')
+            // Collapse spaces left around emphasis, except inside code spans
+            .replace(/(`+)[\s\S]*?\1| {2,}/g, match => (match[0] === '`' ? match : ' '))
+            .replace(/[ \t]*\n[ \t]*/g, '\n')
+            .trim()
+            .split('\n')
+            .map(line => this.escapeLineStart(line))
+            .join('\n');
+    }
+
+    static renderBlock(node) {
+        const tag = node.tag;
+
+        if (/^h[1-6]$/.test(tag)) {
+            const text = this.renderInlineChildren(node).replace(/\s*\n\s*/g, ' ').trim();
+            return text ? `${'#'.repeat(Number(tag[1]))} ${text}` : '';
+        }
+
+        switch (tag) {
+            case 'pre':
+                return this.renderCodeBlock(node);
+            case 'blockquote': {
+                const inner = this.renderContainer(node, '\n\n');
+                return inner ? inner.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n') : '';
+            }
+            case 'ul':
+            case 'ol':
+                return this.renderList(node);
+            case 'table':
+                return this.renderTable(node);
+            case 'hr':
+                return '---';
+            case 'dt':
+            case 'summary': {
+                const text = this.renderInlineChildren(node).trim();
+                return text ? `**${text}**` : '';
+            }
+            default:
+                return this.renderContainer(node, '\n\n');
+        }
+    }
+
+    static renderCodeBlock(node) {
+        // ChatGPT pages wrap the code element with a language label and a copy button
+        const code = this.findFirst(node, 'code') || node;
+        const className = `${code.attrs.class || ''} ${node.attrs.class || ''}`;
+        const languageMatch = className.match(/(?:^|\s)(?:language|lang)-(\w+)/);
+        const language = languageMatch ? languageMatch[1] : '';
+
+        const text = this.getText(code).replace(/\n$/, '');
+        const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longestRun + 1);
+        return `${fence}${language}\n${text}\n${fence}`;
+    }
+
+    static renderList(node) {
+        const ordered = node.tag === 'ol';
+        let number = ordered ? parseInt(node.attrs.start, 10) || 1 : 0;
+        const items = [];
+
+        node.children.forEach(child => {
+            if (typeof child === 'string') {
+                if (!child.trim()) return;
+                child = { tag: 'li', attrs: {}, children: [child] };
+            }
+            if (child.tag !== 'li' && child.tag !== 'ul' && child.tag !== 'ol') {
+                child = { tag: 'li', attrs: {}, children: [child] };
+            }
+
+            // A list directly inside a list belongs to the previous item
+            if (child.tag !== 'li') {
+                const nested = this.renderList(child);
+                if (nested && items.length > 0) {
+                    items[items.length - 1] += `\n${this.indent(nested, '   ')}`;
+                } else if (nested) {
+                    items.push(nested);
+                }
+                return;
+            }
+
+            const marker = ordered ? `${number++}. ` : '- ';
+            const loose = child.children.some(grandchild => typeof grandchild !== 'string' && grandchild.tag === 'p');
+            const content = this.renderContainer(child, loose ? '\n\n' : '\n');
+            const padding = ' '.repeat(marker.length);
+            items.push(marker + this.indent(content, padding).slice(padding.length));
+        });
+
+        return items.join('\n');
+    }
+
+    static renderTable(node) {
+        const rows = [];
+        const collectRows = (parent) => {
+            parent.children.forEach(child => {
+                if (typeof child === 'string') return;
+                if (child.tag === 'tr') {
+                    rows.push(child.children.filter(cell => typeof cell !== 'string' && (cell.tag === 'td' || cell.tag === 'th')));
+                } else if (['thead', 'tbody', 'tfoot'].includes(child.tag)) {
+                    collectRows(child);
+                }
+            });
+        };
+        collectRows(node);
+        if (rows.length === 0) return '';
+
+        const columns = Math.max(...rows.map(row => row.length));
+        if (columns === 0) return '';
+
+        const lines = rows.map(row => {
+            const cells = row.map(cell => this.renderInlineChildren(cell)
+                .replace(/\s*\n\s*/g, ' ')
+                .replace(/\|/g, '\\|')
+                .trim());
+            while (cells.length < columns) cells.push('');
+            return `| ${cells.join(' | ')} |`;
+        });
+
+        // The first row is the header, as in GFM
+        lines.splice(1, 0, `| ${new Array(columns).fill('---').join(' | ')} |`);
+        return lines.join('\n');
+    }
+
+    // =========================================================================
+    // INLINE
+    // =========================================================================
+
+    static renderInlineChildren(node) {
+        return node.children.map(child => this.renderInline(child)).join('');
+    }
+
+    static renderInline(node) {
+        if (typeof node === 'string') {
+            return this.escapeText(node.replace(/\s+/g, ' '));
+        }
+        if (HTML_DROPPED_ELEMENTS.has(node.tag)) return '';
+
+        switch (node.tag) {
+            case 'br':
+                return '\n';
+            case 'strong':
+            case 'b':
+                return this.wrapInline(this.renderInlineChildren(node), '**');
+            case 'em':
+            case 'i':
+                return this.wrapInline(this.renderInlineChildren(node), '*');
+            case 'del':
+            case 's':
+            case 'strike':
+                return this.wrapInline(this.renderInlineChildren(node), '~~');
+            case 'code':
+            case 'kbd':
+            case 'samp':
+            case 'tt':
+                return this.renderCodeSpan(this.getText(node).replace(/\s*\n\s*/g, ' '));
+            case 'a':
+                return this.renderLink(node);
+            case 'img':
+                return this.renderImage(node);
+            case 'input':
+                return node.attrs.type === 'checkbox' ? ('checked' in node.attrs ? '[x] ' : '[ ] ') : '';
+            default:
+                if (this.isBlock(node)) {
+                    // Block content where only inline content fits (e.g. a table cell)
+                    return ` ${this.renderContainer(node, ' ').replace(/\n+/g, ' ')} `;
+                }
+                return this.renderInlineChildren(node);
+        }
+    }
+
+    /**
+     * Emphasis markers must touch the text, so surrounding spaces move outside
+     */
+    static wrapInline(text, marker) {
+        const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        if (!match[2]) return text;
+        return `${match[1] ? ' ' : ''}${marker}${match[2]}${marker}${match[3] ? ' ' : ''}`;
+    }
+
+    static renderCodeSpan(text) {
+        if (!text) return '';
+        const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longestRun + 1);
+        const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+        return `${fence}${padding}${text}${padding}${fence}`;
+    }
+
+    static renderLink(node) {
+        const text = this.renderInlineChildren(node).replace(/\s*\n\s*/g, ' ').trim();
+        const href = this.getSafeUrl(node.attrs.href, true);
+        if (!href) return text;
+        if (!text || text === href) return href;
+        return `[${text}](${this.escapeUrl(href)})`;
+    }
+
+    static renderImage(node) {
+        const alt = (node.attrs.alt || '').replace(/[[\]\s]+/g, ' ').trim();
+        const src = this.getSafeUrl(node.attrs.src, false);
+        if (!src) return alt;
+        return `![${alt}](${this.escapeUrl(src)})`;
+    }
+
+    // Parentheses and spaces would end the link destination
+    static escapeUrl(url) {
+        return url.replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+    }
+
+    /**
+     * Only web (and for links, mail) URLs survive; javascript:, data: and relative URLs are dropped
+     */
+    static getSafeUrl(url, allowMail) {
+        const trimmed = (url || '').trim();
+        if (/^https?:\/\//i.test(trimmed)) return trimmed;
+        if (allowMail && /^mailto:/i.test(trimmed)) return trimmed;
+        return null;
+    }
+
+    // =========================================================================
+    // TEXT
+    // =========================================================================
+
+    /**
+     * Plain text of a subtree, keeping whitespace (line breaks from <br>)
+     */
+    static getText(node) {
+        if (typeof node === 'string') return node;
+        if (node.tag === 'br') return '\n';
+        if (HTML_DROPPED_ELEMENTS.has(node.tag)) return '';
+        return node.children.map(child => this.getText(child)).join('');
+    }
+
+    static findFirst(node, tag) {
+        for (const child of node.children) {
+            if (typeof child === 'string') continue;
+            if (child.tag === tag) return child;
+            const found = this.findFirst(child, tag);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * Escape characters that would otherwise start emphasis or code
+     */
+    static escapeText(text) {
+        return text.replace(/[\\`*]/g, '\\$&');
+    }
+
+    /**
+     * Escape a line that would otherwise be read as a heading, quote, list item or rule
+     */
+    static escapeLineStart(line) {
+        return line
+            .replace(/^(#{1,6}(?:\s|$)|>|[-+](?:\s|$)|[-=]{3,}\s*$)/, '\\$1')
+            .replace(/^(\d+)([.)])(\s|$)/, '$1\\$2$3');
+    }
+
+    static indent(text, padding) {
+        return text.split('\n').map(line => (line ? padding + line : line)).join('\n');
+    }
+}
@@ -1,8 +1,88 @@
 // IndexedDB Storage Module for ChatGPT Parser
 // Handles large datasets that exceed localStorage limits
 
+// Schema migrations, in order. Each step upgrades the database from the
+// previous version and runs inside the versionchange transaction, so existing
+// data is converted in place. Never edit a released step - add a new one.
+const DB_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Conversations and settings stores',
+        upgrade(db) {
+            const conversationStore = db.createObjectStore('conversations', { keyPath: 'id' });
+            conversationStore.createIndex('updateTime', 'updateTime', { unique: false });
+            conversationStore.createIndex('starred', 'starred', { unique: false });
+
+            // Preferences (current conversation, sort order, etc.)
+            db.createObjectStore('settings', { keyPath: 'key' });
+        }
+    },
+    {
+        version: 2,
+        description: 'Assets store for images and files',
+        upgrade(db) {
+            // Keyed by asset pointer / file id
+            const assetStore = db.createObjectStore('assets', { keyPath: 'id' });
+            assetStore.createIndex('name', 'name', { unique: false });
+        }
+    },
+    {
+        version: 3,
+        description: 'Folders store, pairs index and conversation filter indexes',
+        upgrade(db, transaction) {
+            const conversationStore = transaction.objectStore('conversations');
+            conversationStore.createIndex('source', 'source', { unique: false });
+            conversationStore.createIndex('folderId', 'folderId', { unique: false });
+            conversationStore.createIndex('createTime', 'createTime', { unique: false });
+            conversationStore.createIndex('pairs', 'pairIds', { unique: false, multiEntry: true });
+
+            // Add pair ids to existing conversations
+            conversationStore.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                cursor.update(IndexedDBStorage.toConversationRecord(cursor.value));
+                cursor.continue();
+            };
+
+            // Move folders out of the single settings blob into their own store
+            const folderStore = db.createObjectStore('folders', { keyPath: 'id' });
+            folderStore.createIndex('order', 'order', { unique: false });
+
+            const settingsStore = transaction.objectStore('settings');
+            const foldersRequest = settingsStore.get('folders');
+            foldersRequest.onsuccess = () => {
+                const folders = foldersRequest.result ? foldersRequest.result.value : null;
+                if (Array.isArray(folders)) {
+                    folders.forEach((folder, idx) => {
+                        folderStore.put(IndexedDBStorage.toFolderRecord(folder, idx));
+                    });
+                }
+                settingsStore.delete('folders');
+            };
+        }
+    },
+    {
+        version: 4,
+        description: 'Full-text search index stores',
+        upgrade(db) {
+            // Inverted index: term -> { conversationId: frequency }
+            db.createObjectStore('searchTerms', { keyPath: 'term' });
+
+            // Indexed version of each conversation, used to remove its old terms on update
+            // (filled after load by SearchIndex.sync, since the index is derived data)
+            const docStore = db.createObjectStore('searchDocs', { keyPath: 'id' });
+            docStore.createIndex('length', 'length', { unique: false });
+        }
+    }
+];
+
+// Upper bound on index terms read for one prefix lookup
+const MAX_PREFIX_TERMS = 500;
+
+const DB_VERSION = DB_MIGRATIONS[DB_MIGRATIONS.length - 1].version;
+
 class IndexedDBStorage {
-    constructor(dbName = 'ChatGPTParserDB', version = 1) {
+    constructor(dbName = 'ChatGPTParserDB', version = DB_VERSION) {
         this.dbName = dbName;
         this.version = version;
         this.db = null;
@@ -20,49 +100,85 @@ class IndexedDBStorage {
 
             request.onsuccess = () => {
                 this.db = request.result;
+
+                // Let a newer version open in another tab
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+
                 console.log('IndexedDB initialized successfully');
                 resolve(this.db);
             };
 
-            // Create object stores on first run or version upgrade
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-
-                // Create conversations store
-                if (!db.objectStoreNames.contains('conversations')) {
-                    const conversationStore = db.createObjectStore('conversations', { keyPath: 'id' });
-                    conversationStore.createIndex('updateTime', 'updateTime', { unique: false });
-                    conversationStore.createIndex('starred', 'starred', { unique: false });
-                }
+            request.onblocked = () => {
+                console.warn('IndexedDB upgrade blocked - close other ChatBinder tabs to continue');
+            };
 
-                // Create settings store for preferences (current tab, current conversation, etc.)
-                if (!db.objectStoreNames.contains('settings')) {
-                    db.createObjectStore('settings', { keyPath: 'key' });
-                }
+            // Create and convert object stores on first run or version upgrade
+            request.onupgradeneeded = (event) => {
+                IndexedDBStorage.runMigrations(
+                    request.result,
+                    request.transaction,
+                    event.oldVersion,
+                    event.newVersion
+                );
             };
         });
     }
 
-    // Save all conversations
-    async saveConversations(conversations) {
+    /**
+     * Run every migration step newer than oldVersion, in order
+     */
+    static runMigrations(db, transaction, oldVersion, newVersion) {
+        DB_MIGRATIONS
+            .filter(migration => migration.version > oldVersion && migration.version <= newVersion)
+            .forEach(migration => {
+                console.log(`IndexedDB migration ${migration.version}: ${migration.description}`);
+                migration.upgrade(db, transaction);
+            });
+    }
+
+    /**
+     * Conversation as stored: adds pairIds for the 'pairs' index
+     */
+    static toConversationRecord(conv) {
+        return { ...conv, pairIds: (conv.pairs || []).map(pair => pair.id) };
+    }
+
+    /**
+     * Conversation as used by the app: drops the stored-only pairIds field
+     */
+    static fromConversationRecord(record) {
+        const { pairIds, ...conv } = record;
+        return conv;
+    }
+
+    /**
+     * Folder as stored: records without a numeric order are left out of the 'order'
+     * index (and so of loadFolders), so they get their position in the list
+     */
+    static toFolderRecord(folder, idx) {
+        return Number.isFinite(folder.order) ? folder : { ...folder, order: idx };
+    }
+
+    // Save changed conversations and remove deleted ones in a single transaction
+    async saveConversationChanges(conversations, deletedIds = []) {
         if (!this.db) await this.init();
 
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction(['conversations'], 'readwrite');
             const store = transaction.objectStore('conversations');
 
-            // Clear existing conversations
-            const clearRequest = store.clear();
-
-            clearRequest.onsuccess = () => {
-                // Add all conversations
-                conversations.forEach(conv => {
-                    store.put(conv);
-                });
-            };
+            conversations.forEach(conv => {
+                store.put(IndexedDBStorage.toConversationRecord(conv));
+            });
+            deletedIds.forEach(id => {
+                store.delete(id);
+            });
 
             transaction.oncomplete = () => {
-                console.log(`Saved ${conversations.length} conversations to IndexedDB`);
+                console.log(`Saved ${conversations.length} and deleted ${deletedIds.length} conversations in IndexedDB`);
                 resolve();
             };
 
@@ -83,7 +199,7 @@ class IndexedDBStorage {
             const request = store.getAll();
 
             request.onsuccess = () => {
-                const conversations = request.result;
+                const conversations = request.result.map(IndexedDBStorage.fromConversationRecord);
                 console.log(`Loaded ${conversations.length} conversations from IndexedDB`);
                 resolve(conversations);
             };
@@ -95,6 +211,175 @@ class IndexedDBStorage {
         });
     }
 
+    // Replace all folders (there are only a handful)
+    async saveFolders(folders) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['folders'], 'readwrite');
+            const store = transaction.objectStore('folders');
+
+            store.clear();
+            folders.forEach((folder, idx) => {
+                store.put(IndexedDBStorage.toFolderRecord(folder, idx));
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Load all folders, in display order
+    async loadFolders() {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['folders'], 'readonly');
+            const request = transaction.objectStore('folders').index('order').getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Apply search index changes in a single transaction
+    // docs: [{ id, hash, length, terms: { term: frequency } }]; docs whose hash
+    // matches the indexed version are skipped. Resolves with the docs written.
+    async updateSearchIndex(docs, deletedIds = []) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['searchDocs', 'searchTerms'], 'readwrite');
+            const docStore = transaction.objectStore('searchDocs');
+            const termStore = transaction.objectStore('searchTerms');
+            const written = [];
+            const changes = new Map(); // term -> { conversationId: frequency (0 removes) }
+            let remaining = docs.length + deletedIds.length;
+
+            const addChange = (term, docId, frequency) => {
+                if (!changes.has(term)) {
+                    changes.set(term, {});
+                }
+                changes.get(term)[docId] = frequency;
+            };
+
+            // Second step: apply the collected changes to each term's postings
+            const applyTermChanges = () => {
+                changes.forEach((change, term) => {
+                    const request = termStore.get(term);
+                    request.onsuccess = () => {
+                        const postings = request.result ? request.result.postings : {};
+                        Object.entries(change).forEach(([docId, frequency]) => {
+                            if (frequency > 0) {
+                                postings[docId] = frequency;
+                            } else {
+                                delete postings[docId];
+                            }
+                        });
+
+                        if (Object.keys(postings).length > 0) {
+                            termStore.put({ term, postings });
+                        } else {
+                            termStore.delete(term);
+                        }
+                    };
+                });
+            };
+
+            const onDocRead = () => {
+                remaining--;
+                if (remaining === 0) {
+                    applyTermChanges();
+                }
+            };
+
+            // First step: compare each doc with its previously indexed version
+            docs.forEach(doc => {
+                const request = docStore.get(doc.id);
+                request.onsuccess = () => {
+                    const previous = request.result;
+                    if (!previous || previous.hash !== doc.hash) {
+                        if (previous) {
+                            previous.terms.forEach(term => addChange(term, doc.id, 0));
+                        }
+                        Object.entries(doc.terms).forEach(([term, frequency]) => {
+                            addChange(term, doc.id, frequency);
+                        });
+                        docStore.put({ id: doc.id, hash: doc.hash, length: doc.length, terms: Object.keys(doc.terms) });
+                        written.push(doc);
+                    }
+                    onDocRead();
+                };
+            });
+
+            deletedIds.forEach(id => {
+                const request = docStore.get(id);
+                request.onsuccess = () => {
+                    if (request.result) {
+                        request.result.terms.forEach(term => addChange(term, id, 0));
+                        docStore.delete(id);
+                    }
+                    onDocRead();
+                };
+            });
+
+            transaction.oncomplete = () => resolve(written);
+            transaction.onerror = () => {
+                console.error('Error updating search index:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
+
+    // Load the indexed term count of every conversation (keys only, no term lists)
+    async loadSearchDocLengths() {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['searchDocs'], 'readonly');
+            const request = transaction.objectStore('searchDocs').index('length').openKeyCursor();
+            const lengths = new Map();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    lengths.set(cursor.primaryKey, cursor.key);
+                    cursor.continue();
+                } else {
+                    resolve(lengths);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Load the postings of a single term
+    async loadSearchTerm(term) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['searchTerms'], 'readonly');
+            const request = transaction.objectStore('searchTerms').get(term);
+
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Load the postings of every term starting with prefix
+    async loadSearchTermsByPrefix(prefix) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['searchTerms'], 'readonly');
+            const range = IDBKeyRange.bound(prefix, prefix + '\uffff');
+            const request = transaction.objectStore('searchTerms').getAll(range, MAX_PREFIX_TERMS);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     // Save a setting value
     async saveSetting(key, value) {
         if (!this.db) await this.init();
@@ -126,15 +411,74 @@ class IndexedDBStorage {
         });
     }
 
+    // Save binary assets ({ id, name, mimeType, size, blob })
+    async saveAssets(assets) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['assets'], 'readwrite');
+            const store = transaction.objectStore('assets');
+
+            assets.forEach(asset => {
+                store.put(asset);
+            });
+
+            transaction.oncomplete = () => {
+                console.log(`Saved ${assets.length} assets to IndexedDB`);
+                resolve();
+            };
+
+            transaction.onerror = () => {
+                console.error('Error saving assets to IndexedDB:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
+
+    // Load an asset by id
+    async loadAsset(id) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['assets'], 'readonly');
+            const request = transaction.objectStore('assets').get(id);
+
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Delete assets by id
+    async deleteAssets(ids) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['assets'], 'readwrite');
+            const store = transaction.objectStore('assets');
+
+            ids.forEach(id => {
+                store.delete(id);
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
     // Clear all data
     async clear() {
         if (!this.db) await this.init();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['conversations', 'settings'], 'readwrite');
+            const stores = ['conversations', 'settings', 'assets', 'folders', 'searchTerms', 'searchDocs'];
+            const transaction = this.db.transaction(stores, 'readwrite');
 
             transaction.objectStore('conversations').clear();
             transaction.objectStore('settings').clear();
+            transaction.objectStore('assets').clear();
+            transaction.objectStore('folders').clear();
+            transaction.objectStore('searchTerms').clear();
+            transaction.objectStore('searchDocs').clear();
 
             transaction.oncomplete = () => {
                 console.log('IndexedDB cleared');
@@ -147,7 +491,7 @@ class IndexedDBStorage {
 
     // Check if IndexedDB is available
     static isSupported() {
-        return 'indexedDB' in window && window.indexedDB !== null;
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
     }
 
     // Estimate storage usage (approximate)
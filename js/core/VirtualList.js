@@ -0,0 +1,342 @@
+/**
+ * VirtualList - Windowed rendering for long scrollable lists
+ * Only items near the viewport exist in the DOM; spacers stand in for the rest.
+ * Item heights may vary: unrendered items use an estimate until they have been measured once.
+ */
+
+// Extra pixels rendered above and below the viewport
+const DEFAULT_OVERSCAN = 800;
+
+export class VirtualList {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.scrollElement - Element that scrolls
+     * @param {HTMLElement} options.container - Element the items are rendered into (may be scrollElement)
+     * @param {Function} options.getKey - (index) => stable key, used to remember measured heights
+     * @param {Function} options.estimateHeight - (index) => height in pixels before the item is measured
+     * @param {Function} options.renderItem - (index) => HTMLElement
+     * @param {number} [options.overscan]
+     */
+    constructor({ scrollElement, container, getKey, estimateHeight, renderItem, overscan = DEFAULT_OVERSCAN }) {
+        this.scrollElement = scrollElement;
+        this.container = container;
+        this.getKey = getKey;
+        this.estimateHeight = estimateHeight;
+        this.renderItem = renderItem;
+        this.overscan = overscan;
+
+        this.count = 0;
+        this.heights = new Map(); // key -> measured height
+        this.offsets = null; // offsets[i] = top of item i, offsets[count] = total height
+        this.rendered = new Map(); // index -> wrapper element
+        this.start = -1; // Rendered range [start, end), -1 when nothing is rendered yet
+        this.end = -1;
+        this.frame = null;
+
+        this.topSpacer = document.createElement('div');
+        this.bottomSpacer = document.createElement('div');
+        this.topSpacer.className = 'virtual-list-spacer';
+        this.bottomSpacer.className = 'virtual-list-spacer';
+
+        // Scroll position is kept stable by update() itself (left off on destroy: lists may share a scroll element)
+        this.scrollElement.style.overflowAnchor = 'none';
+
+        this.scrollHandler = () => this.scheduleUpdate();
+        this.scrollElement.addEventListener('scroll', this.scrollHandler, { passive: true });
+
+        // Re-measure items whose content changes size (images loading, collapsed sections opening)
+        this.itemObserver = new ResizeObserver(entries => this.handleItemResize(entries));
+        // The container's size changes when a collapsed or hidden list is shown
+        this.viewportObserver = new ResizeObserver(() => this.scheduleUpdate());
+        this.viewportObserver.observe(this.scrollElement);
+        this.viewportObserver.observe(this.container);
+    }
+
+    /**
+     * Show a new number of items (measured heights are kept by key)
+     */
+    setCount(count) {
+        this.count = count;
+        this.offsets = null;
+        this.clearRendered();
+
+        if (!this.topSpacer.isConnected) {
+            this.container.replaceChildren(this.topSpacer, this.bottomSpacer);
+        }
+
+        this.updateSpacers();
+        this.update();
+    }
+
+    /**
+     * Re-render the visible items (their content changed)
+     */
+    refresh() {
+        this.clearRendered();
+        this.update();
+    }
+
+    /**
+     * Get the rendered element of an item, or null if it is outside the window
+     */
+    getElement(index) {
+        const wrapper = this.rendered.get(index);
+        return wrapper ? wrapper.firstElementChild : null;
+    }
+
+    /**
+     * Scroll an item into view, rendering it first if needed
+     * @param {Object} options - { align: 'start' | 'center', smooth }
+     * @returns {HTMLElement|null} The item's element
+     */
+    scrollToIndex(index, { align = 'start', smooth = false } = {}) {
+        if (index < 0 || index >= this.count) return null;
+
+        const wrapper = this.rendered.get(index);
+        if (wrapper && smooth) {
+            wrapper.scrollIntoView({ behavior: 'smooth', block: align });
+            return wrapper.firstElementChild;
+        }
+
+        // Twice: rendering around the target measures items whose height was only estimated
+        for (let pass = 0; pass < 2; pass++) {
+            const offsets = this.getOffsets();
+            let top = this.getListTop() + offsets[index];
+            if (align === 'center') {
+                top -= (this.scrollElement.clientHeight - (offsets[index + 1] - offsets[index])) / 2;
+            }
+            this.scrollElement.scrollTop = Math.max(0, top);
+            this.update();
+        }
+
+        return this.getElement(index);
+    }
+
+    destroy() {
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+        }
+        this.scrollElement.removeEventListener('scroll', this.scrollHandler);
+        this.itemObserver.disconnect();
+        this.viewportObserver.disconnect();
+        this.rendered.clear();
+        this.topSpacer.remove();
+        this.bottomSpacer.remove();
+    }
+
+    // =========================================================================
+    // LAYOUT
+    // =========================================================================
+
+    getHeight(index) {
+        const measured = this.heights.get(this.getKey(index));
+        return measured !== undefined ? measured : this.estimateHeight(index);
+    }
+
+    getOffsets() {
+        if (!this.offsets) {
+            this.offsets = new Array(this.count + 1);
+            this.offsets[0] = 0;
+            for (let i = 0; i < this.count; i++) {
+                this.offsets[i + 1] = this.offsets[i] + this.getHeight(i);
+            }
+        }
+        return this.offsets;
+    }
+
+    /**
+     * Position of the list inside the scrolled content (e.g. below the container's padding)
+     */
+    getListTop() {
+        const scrollRect = this.scrollElement.getBoundingClientRect();
+        const listRect = this.topSpacer.getBoundingClientRect();
+        return listRect.top - scrollRect.top + this.scrollElement.scrollTop;
+    }
+
+    /**
+     * Index of the item containing a position (binary search over offsets)
+     */
+    findIndex(position) {
+        const offsets = this.getOffsets();
+        let low = 0;
+        let high = this.count - 1;
+
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (offsets[mid] <= position) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return Math.max(0, low);
+    }
+
+    // =========================================================================
+    // RENDERING
+    // =========================================================================
+
+    scheduleUpdate() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.update();
+        });
+    }
+
+    /**
+     * Render the items that intersect the viewport (plus overscan)
+     */
+    update() {
+        if (this.count === 0) {
+            this.clearRendered();
+            this.topSpacer.style.height = '0px';
+            this.bottomSpacer.style.height = '0px';
+            return;
+        }
+
+        // Hidden or collapsed (e.g. a closed sidebar folder)
+        if (this.container.clientHeight === 0) return;
+
+        const offsets = this.getOffsets();
+        const viewTop = this.scrollElement.scrollTop - this.getListTop() - this.overscan;
+        const viewBottom = viewTop + this.scrollElement.clientHeight + this.overscan * 2;
+
+        let start = 0;
+        let end = 0;
+        if (viewTop >= offsets[this.count]) {
+            // List is entirely above the viewport
+            start = end = this.count;
+        } else if (viewBottom > 0) {
+            start = this.findIndex(viewTop);
+            end = Math.min(this.count, this.findIndex(viewBottom) + 1);
+        }
+
+        if (start === this.start && end === this.end) return;
+
+        const anchor = this.captureAnchor();
+
+        // Drop items that left the window
+        this.rendered.forEach((wrapper, index) => {
+            if (index < start || index >= end) {
+                this.itemObserver.unobserve(wrapper);
+                wrapper.remove();
+                this.rendered.delete(index);
+            }
+        });
+
+        // Add new items before and after the ones that stayed
+        const added = [];
+        for (let index = end - 1; index >= start; index--) {
+            if (this.rendered.has(index)) continue;
+
+            const wrapper = document.createElement('div');
+            wrapper.className = 'virtual-list-item';
+            wrapper.dataset.index = index;
+            wrapper.appendChild(this.renderItem(index));
+
+            const next = this.rendered.get(index + 1) || this.bottomSpacer;
+            this.container.insertBefore(wrapper, next);
+            this.rendered.set(index, wrapper);
+            added.push(wrapper);
+        }
+
+        this.start = start;
+        this.end = end;
+
+        added.forEach(wrapper => {
+            this.measure(wrapper);
+            this.itemObserver.observe(wrapper);
+        });
+
+        this.updateSpacers();
+        this.restoreAnchor(anchor);
+    }
+
+    /**
+     * Remember the first visible item and its position on screen
+     */
+    captureAnchor() {
+        const viewportTop = this.scrollElement.getBoundingClientRect().top;
+
+        for (const [index, wrapper] of Array.from(this.rendered).sort((a, b) => a[0] - b[0])) {
+            const rect = wrapper.getBoundingClientRect();
+            if (rect.bottom > viewportTop) {
+                return { index, top: rect.top };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Keep the anchor item where it was after items above it were added or measured
+     */
+    restoreAnchor(anchor) {
+        if (!anchor) return;
+
+        const wrapper = this.rendered.get(anchor.index);
+        if (!wrapper) return;
+
+        const delta = wrapper.getBoundingClientRect().top - anchor.top;
+        if (delta !== 0) {
+            this.scrollElement.scrollTop += delta;
+        }
+    }
+
+    measure(wrapper) {
+        const index = parseInt(wrapper.dataset.index, 10);
+        const height = wrapper.offsetHeight;
+        const key = this.getKey(index);
+
+        if (this.heights.get(key) !== height) {
+            this.heights.set(key, height);
+            this.offsets = null;
+        }
+    }
+
+    handleItemResize(entries) {
+        const viewportTop = this.scrollElement.getBoundingClientRect().top;
+        let shiftAbove = 0;
+
+        entries.forEach(entry => {
+            const wrapper = entry.target;
+            if (!wrapper.isConnected) return;
+
+            const index = parseInt(wrapper.dataset.index, 10);
+            const previous = this.getHeight(index);
+            this.measure(wrapper);
+
+            // Items above the viewport push the visible content down when they grow
+            if (wrapper.getBoundingClientRect().bottom <= viewportTop) {
+                shiftAbove += this.getHeight(index) - previous;
+            }
+        });
+
+        if (shiftAbove !== 0) {
+            this.scrollElement.scrollTop += shiftAbove;
+        }
+
+        this.updateSpacers();
+        this.scheduleUpdate();
+    }
+
+    updateSpacers() {
+        const offsets = this.getOffsets();
+        const start = Math.max(0, this.start);
+        const end = Math.max(0, this.end);
+        this.topSpacer.style.height = `${offsets[start]}px`;
+        this.bottomSpacer.style.height = `${offsets[this.count] - offsets[end]}px`;
+    }
+
+    clearRendered() {
+        this.rendered.forEach(wrapper => {
+            this.itemObserver.unobserve(wrapper);
+            wrapper.remove();
+        });
+        this.rendered.clear();
+        this.start = -1;
+        this.end = -1;
+    }
+}
@@ -423,6 +423,7 @@ export class DocumentationRenderer {
             titleKey: 'docs.searchFilter.title',
             items: [
                 'docs.searchFilter.globalSearch',
+                'docs.searchFilter.querySyntax',
                 'docs.searchFilter.conversationSearch',
                 'docs.searchFilter.sorting',
                 'docs.searchFilter.dateFilter'
@@ -0,0 +1,187 @@
+/**
+ * ArtifactHistory - Version timeline of one artifact within a conversation
+ * Switch between versions, or compare any two of them as a line diff
+ */
+
+import { t } from '../i18n/i18n.js';
+import { HtmlUtils } from '../utils/HtmlUtils.js';
+import { DateUtils } from '../utils/DateUtils.js';
+import { TextDiff } from '../utils/TextDiff.js';
+import { CodeBlock } from '../utils/CodeBlock.js';
+import { ExportFormatter } from '../utils/ExportFormatter.js';
+
+// Unchanged lines kept around each change; longer unchanged runs are collapsed
+const DIFF_CONTEXT_LINES = 3;
+
+export class ArtifactHistory {
+    constructor(eventBus, data) {
+        this.eventBus = eventBus;
+        this.data = data;
+        this.versions = []; // data.getArtifactVersions() entries of the open artifact
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.eventBus.on('artifact:history', ({ conversationId, key, version }) => {
+            this.showDialog(conversationId, key, version);
+        });
+
+        document.getElementById('closeArtifactHistory').addEventListener('click', () => {
+            this.hideDialog();
+        });
+
+        document.getElementById('artifactHistoryVersion').addEventListener('change', () => this.render());
+        document.getElementById('artifactHistoryCompare').addEventListener('change', () => this.render());
+
+        document.getElementById('artifactHistoryPrev').addEventListener('click', () => this.step(-1));
+        document.getElementById('artifactHistoryNext').addEventListener('click', () => this.step(1));
+
+        document.getElementById('artifactHistoryReveal').addEventListener('click', () => {
+            const entry = this.getVersion('artifactHistoryVersion');
+            this.hideDialog();
+            this.eventBus.emit('pair:reveal', { pairId: entry.pairId, flash: true });
+        });
+
+        CodeBlock.bindActions(document.getElementById('artifactHistoryBody'));
+    }
+
+    /**
+     * @param {number} version - 1-based version to show first (compared with the one before it)
+     */
+    showDialog(conversationId, key, version) {
+        this.versions = this.data.getArtifactVersions(conversationId).get(key) || [];
+        if (this.versions.length === 0) return;
+
+        document.getElementById('artifactHistoryTitle').textContent = this.versions[this.versions.length - 1].title || key;
+        document.getElementById('artifactHistorySummary').textContent = t('artifactHistory.versionCount', { count: this.versions.length });
+
+        const options = this.versions.map(entry => {
+            const date = DateUtils.formatDateTime(DateUtils.timestampToDate(entry.timestamp));
+            const label = t('artifactHistory.versionLabel', { version: entry.version, date });
+            return `<option value="${entry.version}">${HtmlUtils.escapeHtml(label)}</option>`;
+        }).join('');
+
+        const versionSelect = document.getElementById('artifactHistoryVersion');
+        const compareSelect = document.getElementById('artifactHistoryCompare');
+        versionSelect.innerHTML = options;
+        compareSelect.innerHTML = `<option value="">${t('artifactHistory.noCompare')}</option>${options}`;
+
+        const current = Math.min(Math.max(version || this.versions.length, 1), this.versions.length);
+        versionSelect.value = String(current);
+        compareSelect.value = current > 1 ? String(current - 1) : '';
+
+        this.render();
+        document.getElementById('artifactHistoryDialog').style.display = 'flex';
+    }
+
+    hideDialog() {
+        document.getElementById('artifactHistoryDialog').style.display = 'none';
+    }
+
+    /**
+     * Move to the previous/next version, keeping the comparison on the version before it
+     */
+    step(offset) {
+        const versionSelect = document.getElementById('artifactHistoryVersion');
+        const compareSelect = document.getElementById('artifactHistoryCompare');
+        const next = Number(versionSelect.value) + offset;
+        if (next < 1 || next > this.versions.length) return;
+
+        const comparingPrevious = Number(compareSelect.value) === Number(versionSelect.value) - 1;
+        versionSelect.value = String(next);
+        if (comparingPrevious) {
+            compareSelect.value = next > 1 ? String(next - 1) : '';
+        }
+        this.render();
+    }
+
+    getVersion(selectId) {
+        const value = Number(document.getElementById(selectId).value);
+        return value ? this.versions[value - 1] : null;
+    }
+
+    render() {
+        const entry = this.getVersion('artifactHistoryVersion');
+        const base = this.getVersion('artifactHistoryCompare');
+
+        document.getElementById('artifactHistoryPrev').disabled = entry.version <= 1;
+        document.getElementById('artifactHistoryNext').disabled = entry.version >= this.versions.length;
+
+        const body = document.getElementById('artifactHistoryBody');
+        const status = document.getElementById('artifactHistoryStatus');
+
+        if (!base || base === entry) {
+            const language = ExportFormatter.getArtifactLanguage(entry.type, entry.language);
+            status.textContent = '';
+            body.innerHTML = `<div class="message-text">${CodeBlock.render(entry.content || '', { language, filename: entry.title })}</div>`;
+            return;
+        }
+
+        const oldLines = (base.content || '').split('\n');
+        const newLines = (entry.content || '').split('\n');
+        const ops = TextDiff.diffSequences(oldLines, newLines);
+
+        const added = ops.filter(op => op.type === 'insert').length;
+        const removed = ops.filter(op => op.type === 'delete').length;
+        status.textContent = added + removed > 0
+            ? t('artifactHistory.diffSummary', {
+                from: base.version,
+                to: entry.version,
+                added: t('artifactHistory.linesAdded', { count: added }),
+                removed: t('artifactHistory.linesRemoved', { count: removed })
+            })
+            : t('artifactHistory.identical', { from: base.version, to: entry.version });
+
+        body.innerHTML = `<div class="line-diff">${this.renderLineDiff(ops, oldLines, newLines)}</div>`;
+    }
+
+    /**
+     * Unified diff rows; unchanged runs far from any change are folded into <details>
+     */
+    renderLineDiff(ops, oldLines, newLines) {
+        const changed = ops.map(op => op.type !== 'equal');
+        const nearChange = ops.map((op, idx) => {
+            for (let k = Math.max(0, idx - DIFF_CONTEXT_LINES); k <= Math.min(ops.length - 1, idx + DIFF_CONTEXT_LINES); k++) {
+                if (changed[k]) return true;
+            }
+            return false;
+        });
+
+        const row = (op) => {
+            const marker = op.type === 'insert' ? '+' : op.type === 'delete' ? '-' : ' ';
+            const text = op.type === 'insert' ? newLines[op.newIndex] : oldLines[op.oldIndex];
+            return `
+                <div class="line-diff-row ${op.type}">
+                    <span class="line-diff-number">${op.oldIndex >= 0 ? op.oldIndex + 1 : ''}</span>
+                    <span class="line-diff-number">${op.newIndex >= 0 ? op.newIndex + 1 : ''}</span>
+                    <span class="line-diff-text">${marker} ${HtmlUtils.escapeHtml(text)}</span>
+                </div>
+            `;
+        };
+
+        let html = '';
+        let folded = [];
+        const flushFolded = () => {
+            if (folded.length === 0) return;
+            html += `
+                <details class="diff-unchanged">
+                    <summary>${t('artifactHistory.unchangedLines', { count: folded.length })}</summary>
+                    ${folded.map(row).join('')}
+                </details>
+            `;
+            folded = [];
+        };
+
+        ops.forEach((op, idx) => {
+            if (nearChange[idx]) {
+                flushFolded();
+                html += row(op);
+            } else {
+                folded.push(op);
+            }
+        });
+        flushFolded();
+
+        return html;
+    }
+}
@@ -0,0 +1,237 @@
+/**
+ * ArtifactLibrary - Lists every artifact in the library, searchable and filterable by language,
+ * with bulk ZIP download; clicking an entry jumps to its answer via 'conversation:selectWithPair'
+ */
+
+import { t } from '../i18n/i18n.js';
+import { DateUtils } from '../utils/DateUtils.js';
+import { HtmlUtils } from '../utils/HtmlUtils.js';
+import { FileUtils } from '../utils/FileUtils.js';
+import { ExportFormatter } from '../utils/ExportFormatter.js';
+import { CodeBlock } from '../utils/CodeBlock.js';
+import { ZipWriter } from '../utils/ZipWriter.js';
+import { VirtualList } from '../core/VirtualList.js';
+
+// Height of an entry until it has been measured
+const ITEM_HEIGHT = 96;
+
+// Filtering searches the content of every artifact, so wait for a pause in typing
+const SEARCH_DELAY = 200;
+
+export class ArtifactLibrary {
+    constructor(eventBus, data, onClose) {
+        this.eventBus = eventBus;
+        this.data = data;
+        this.onClose = onClose;
+        this.isOpen = false;
+        this.artifacts = []; // data.getArtifacts() entries plus language, newest first
+        this.filtered = [];
+        this.selected = new Set(); // indexes into this.artifacts
+        this.virtualList = null;
+        this.searchTimer = null;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('closeArtifactsView').addEventListener('click', () => {
+            this.close();
+        });
+
+        document.getElementById('artifactsSearch').addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.render(), SEARCH_DELAY);
+        });
+        document.getElementById('artifactsLanguage').addEventListener('change', () => this.render());
+
+        document.getElementById('artifactsSelectAll').addEventListener('change', (e) => {
+            this.filtered.forEach(entry => {
+                if (e.target.checked) {
+                    this.selected.add(entry.index);
+                } else {
+                    this.selected.delete(entry.index);
+                }
+            });
+            this.virtualList.refresh();
+            this.updateSelection();
+        });
+
+        document.getElementById('artifactsDownload').addEventListener('click', () => {
+            this.downloadSelected();
+        });
+
+        document.getElementById('artifactsList').addEventListener('click', (e) => {
+            const checkbox = e.target.closest('.artifact-item-check');
+            if (checkbox) {
+                const index = Number(checkbox.value);
+                if (checkbox.checked) {
+                    this.selected.add(index);
+                } else {
+                    this.selected.delete(index);
+                }
+                this.updateSelection();
+                return;
+            }
+
+            const item = e.target.closest('.artifact-item');
+            if (item) {
+                const entry = this.artifacts[Number(item.dataset.index)];
+                // Selecting the conversation renders the chat view
+                this.hide();
+                this.eventBus.emit('conversation:selectWithPair', { conversationId: entry.conversationId, pairId: entry.pairId });
+            }
+        });
+    }
+
+    /**
+     * Index the artifacts of every conversation and show the pane
+     */
+    open() {
+        this.artifacts = this.data.getArtifacts()
+            .map(artifact => ({ ...artifact, language: ExportFormatter.getArtifactLanguage(artifact.type, artifact.language) }))
+            .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+        this.artifacts.forEach((entry, index) => {
+            entry.index = index;
+        });
+        this.selected.clear();
+
+        this.isOpen = true;
+        document.getElementById('uploadState').style.display = 'none';
+        document.getElementById('chatView').style.display = 'none';
+        document.getElementById('searchResultsView').style.display = 'none';
+        document.getElementById('artifactsView').style.display = 'flex';
+
+        this.renderLanguageOptions();
+        this.render();
+    }
+
+    /**
+     * Hide the pane without restoring the main view
+     */
+    hide() {
+        this.isOpen = false;
+        document.getElementById('artifactsView').style.display = 'none';
+    }
+
+    /**
+     * Hide the pane and go back to the conversation (or upload screen)
+     */
+    close() {
+        if (!this.isOpen) return;
+        this.hide();
+        if (this.onClose) {
+            this.onClose();
+        }
+    }
+
+    renderLanguageOptions() {
+        const select = document.getElementById('artifactsLanguage');
+        const previous = select.value;
+
+        const counts = new Map();
+        this.artifacts.forEach(entry => {
+            counts.set(entry.language, (counts.get(entry.language) || 0) + 1);
+        });
+
+        const options = [...counts.entries()]
+            .sort((a, b) => a[0].localeCompare(b[0]))
+            .map(([language, count]) => `<option value="${HtmlUtils.escapeHtml(language)}">${HtmlUtils.escapeHtml(language)} (${count})</option>`)
+            .join('');
+        select.innerHTML = `<option value="">${t('artifactLibrary.allLanguages')}</option>${options}`;
+        select.value = counts.has(previous) ? previous : '';
+    }
+
+    /**
+     * Render the entries matching the search box and the language filter
+     * Only entries near the visible part of the list are in the DOM
+     */
+    render() {
+        clearTimeout(this.searchTimer);
+        const query = document.getElementById('artifactsSearch').value.trim().toLowerCase();
+        const language = document.getElementById('artifactsLanguage').value;
+
+        this.filtered = this.artifacts.filter(entry => {
+            if (language && entry.language !== language) return false;
+            if (!query) return true;
+            return [entry.title, entry.conversationTitle, entry.content]
+                .some(text => (text || '').toLowerCase().includes(query));
+        });
+
+        document.getElementById('artifactsTitle').textContent = this.artifacts.length > 0
+            ? t('artifactLibrary.count', { count: this.filtered.length })
+            : t('artifactLibrary.empty');
+
+        const list = document.getElementById('artifactsList');
+        if (!this.virtualList) {
+            this.virtualList = new VirtualList({
+                scrollElement: list,
+                container: list,
+                getKey: (index) => this.filtered[index].index,
+                estimateHeight: () => ITEM_HEIGHT,
+                renderItem: (index) => this.createItemElement(this.filtered[index])
+            });
+        }
+        list.scrollTop = 0;
+        this.virtualList.setCount(this.filtered.length);
+
+        this.updateSelection();
+    }
+
+    createItemElement(entry) {
+        const date = DateUtils.formatDateTime(DateUtils.timestampToDate(entry.timestamp));
+        const lines = entry.content ? entry.content.split('\n').length : 0;
+
+        const item = document.createElement('div');
+        item.className = 'artifact-item';
+        item.dataset.index = entry.index;
+        item.innerHTML = `
+            <input type="checkbox" class="artifact-item-check" value="${entry.index}" ${this.selected.has(entry.index) ? 'checked' : ''} title="${HtmlUtils.escapeHtml(t('artifactLibrary.select'))}">
+            <div class="artifact-item-info">
+                <div class="search-result-header">
+                    <span class="search-result-title">${HtmlUtils.escapeHtml(entry.title || 'Artifact')}</span>
+                    <span class="artifact-item-language">${HtmlUtils.escapeHtml(entry.language)}</span>
+                </div>
+                <div class="artifact-item-conversation">${HtmlUtils.escapeHtml(entry.conversationTitle)}</div>
+                <div class="search-result-meta">${HtmlUtils.escapeHtml(date)} • ${HtmlUtils.escapeHtml(t('artifactLibrary.lines', { count: lines }))}</div>
+            </div>
+        `;
+        return item;
+    }
+
+    updateSelection() {
+        const visibleSelected = this.filtered.filter(entry => this.selected.has(entry.index)).length;
+        const selectAll = document.getElementById('artifactsSelectAll');
+        selectAll.checked = this.filtered.length > 0 && visibleSelected === this.filtered.length;
+        selectAll.indeterminate = visibleSelected > 0 && visibleSelected < this.filtered.length;
+
+        const download = document.getElementById('artifactsDownload');
+        download.disabled = this.selected.size === 0;
+        download.textContent = t('artifactLibrary.download', { count: this.selected.size });
+    }
+
+    /**
+     * Download the selected artifacts as a ZIP with one folder per conversation
+     */
+    downloadSelected() {
+        if (this.selected.size === 0) return;
+
+        const zip = new ZipWriter();
+        const usedNames = new Set();
+        [...this.selected].sort((a, b) => a - b).forEach(index => {
+            const entry = this.artifacts[index];
+            const folder = FileUtils.toFileName(entry.conversationTitle);
+            const fileName = CodeBlock.getFileName(entry.title, entry.language);
+            const dot = fileName.lastIndexOf('.');
+
+            let name = `${folder}/${fileName}`;
+            for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+                name = `${folder}/${fileName.slice(0, dot)} (${n})${fileName.slice(dot)}`;
+            }
+            usedNames.add(name.toLowerCase());
+
+            const date = DateUtils.timestampToDate(entry.timestamp);
+            zip.addFile(name, entry.content || '', isNaN(date) ? new Date() : date);
+        });
+
+        FileUtils.downloadBlob(zip.toBlob(), 'artifacts.zip');
+    }
+}
@@ -20,6 +20,12 @@ export class ContextMenu {
             const action = e.target.dataset.action;
             if (action === 'move') {
                 this.showMoveToSubmenu(e.target);
+            } else if (action === 'export') {
+                this.hideAll();
+                this.eventBus.emit('export:open', {
+                    scope: 'conversation',
+                    conversationId: conversationContextMenu.dataset.conversationId
+                });
             }
         });
 
@@ -34,6 +40,9 @@ export class ContextMenu {
                 this.showColorSubmenu(e.target, folderId);
             } else if (action === 'delete') {
                 this.deleteFolder(folderId);
+            } else if (action === 'export') {
+                this.hideAll();
+                this.eventBus.emit('export:open', { scope: 'folder', folderId });
             }
         });
 
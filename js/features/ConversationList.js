@@ -3,12 +3,17 @@
  */
 
 import { t } from '../i18n/i18n.js';
+import { VirtualList } from '../core/VirtualList.js';
+
+// Height of a conversation item until it has been measured
+const ITEM_HEIGHT = 48;
 
 export class ConversationList {
     constructor(eventBus, data, contextMenu) {
         this.eventBus = eventBus;
         this.data = data;
         this.contextMenu = contextMenu;
+        this.lists = new Map(); // folder content element -> { list, conversations }
     }
 
     render(allConversations, starredConversations, allStarredPairs) {
@@ -24,6 +29,9 @@ export class ConversationList {
 
         // Render custom folders
         this.renderCustomFolders();
+
+        // Custom folder elements are rebuilt on every render
+        this.pruneLists();
     }
 
     renderCustomFolders() {
@@ -79,9 +87,8 @@ export class ConversationList {
     }
 
     renderConversationFolder(container, conversations) {
-        container.innerHTML = '';
-
         if (conversations.length === 0) {
+            this.destroyList(container);
             container.innerHTML = `
                 <div class="empty-state">
                     <p>${t('emptyStates.noConversations')}</p>
@@ -91,9 +98,38 @@ export class ConversationList {
             return;
         }
 
-        conversations.forEach(conv => {
-            const item = this.createConversationItem(conv);
-            container.appendChild(item);
+        // Only items near the visible part of the sidebar are in the DOM
+        let entry = this.lists.get(container);
+        if (!entry) {
+            container.innerHTML = '';
+            entry = { conversations };
+            entry.list = new VirtualList({
+                scrollElement: document.getElementById('conversationList'),
+                container,
+                getKey: (index) => entry.conversations[index].id,
+                estimateHeight: () => ITEM_HEIGHT,
+                renderItem: (index) => this.createConversationItem(entry.conversations[index])
+            });
+            this.lists.set(container, entry);
+        }
+
+        entry.conversations = conversations;
+        entry.list.setCount(conversations.length);
+    }
+
+    destroyList(container) {
+        const entry = this.lists.get(container);
+        if (entry) {
+            entry.list.destroy();
+            this.lists.delete(container);
+        }
+    }
+
+    pruneLists() {
+        this.lists.forEach((entry, container) => {
+            if (!container.isConnected) {
+                this.destroyList(container);
+            }
         });
     }
 
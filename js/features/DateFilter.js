@@ -100,39 +100,33 @@ export class DateFilter {
         }
     }
 
-    matches(conv) {
+    /**
+     * Express the active filter in search query syntax (see SearchQuery)
+     * e.g. "created:2024-01-01..2024-03-31"
+     * @returns {string} Query clause, or '' when no filter is active
+     */
+    toQuery() {
         if (!this.filter.active) {
-            return true;
+            return '';
         }
+        return DateFilter.buildQuery(this.filter);
+    }
 
-        const startTimestamp = this.filter.startDate ?
-            new Date(this.filter.startDate).getTime() / 1000 : 0;
-        const endTimestamp = this.filter.endDate ?
-            new Date(this.filter.endDate).getTime() / 1000 + 86400 :
-            Infinity;
-
-        switch (this.filter.type) {
-            case 'createTime':
-                return conv.createTime >= startTimestamp && conv.createTime <= endTimestamp;
-            case 'updateTime':
-                return conv.updateTime >= startTimestamp && conv.updateTime <= endTimestamp;
-            case 'hasMessagesInRange':
-                return this.hasMessagesInRange(conv, startTimestamp, endTimestamp);
-            default:
-                return true;
+    /**
+     * Build the query clause for a filter type and date range (dates as YYYY-MM-DD)
+     * @returns {string} Query clause, or '' without a known type or any date
+     */
+    static buildQuery({ type, startDate, endDate }) {
+        const fields = {
+            createTime: 'created',
+            updateTime: 'updated',
+            hasMessagesInRange: 'active'
+        };
+        const field = fields[type];
+        if (!field || (!startDate && !endDate)) {
+            return '';
         }
-    }
 
-    hasMessagesInRange(conv, startTimestamp, endTimestamp) {
-        return conv.pairs.some(pair => {
-            // Check question timestamp
-            if (pair.question.timestamp >= startTimestamp && pair.question.timestamp <= endTimestamp) {
-                return true;
-            }
-            // Check answer timestamps
-            return pair.answers.some(ans =>
-                ans.timestamp >= startTimestamp && ans.timestamp <= endTimestamp
-            );
-        });
+        return `${field}:${startDate || ''}..${endDate || ''}`;
     }
 }
@@ -0,0 +1,238 @@
+/**
+ * DuplicateDiff - Side-by-side comparison of a stored conversation and its re-imported copy
+ * Pairs are aligned by id; changed pairs show word-level differences
+ */
+
+import { t } from '../i18n/i18n.js';
+import { TextDiff } from '../utils/TextDiff.js';
+import { HtmlUtils } from '../utils/HtmlUtils.js';
+import { DateUtils } from '../utils/DateUtils.js';
+
+// Unchanged pairs are only previewed
+const UNCHANGED_PREVIEW_LENGTH = 160;
+
+export class DuplicateDiff {
+    constructor(eventBus, data) {
+        this.eventBus = eventBus;
+        this.data = data;
+        this.onChoose = null;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('closeDuplicateDiff').addEventListener('click', () => {
+            this.hideDialog();
+        });
+
+        document.querySelectorAll('#duplicateDiffDialog [data-diff-choice]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (this.onChoose) {
+                    this.onChoose(button.dataset.diffChoice);
+                }
+                this.hideDialog();
+            });
+        });
+    }
+
+    /**
+     * Describe what merging a duplicate changes (see ChatGPTData.mergeConversation)
+     */
+    static formatMergeSummary(summary) {
+        const parts = [summary.added > 0
+            ? t('dialogs.duplicate.mergeAdded', { count: summary.added })
+            : t('dialogs.duplicate.mergeNothingNew')];
+
+        if (summary.deletedKept > 0) {
+            parts.push(t('dialogs.duplicate.mergeDeletedKept', { count: summary.deletedKept }));
+        }
+        if (summary.starsKept > 0) {
+            parts.push(t('dialogs.duplicate.mergeStarsKept', { count: summary.starsKept }));
+        }
+        if (summary.titleKept) {
+            parts.push(t('dialogs.duplicate.mergeTitleKept'));
+        }
+        if (summary.folderKept) {
+            parts.push(t('dialogs.duplicate.mergeFolderKept'));
+        }
+
+        return `${t('dialogs.duplicate.mergePreview')}: ${parts.join(' · ')}`;
+    }
+
+    /**
+     * @param {Object} duplicate - { old, new } from ChatGPTData.detectDuplicates
+     * @param {Function} onChoose - (action) => void, action is 'keep', 'merge' or 'overwrite'
+     */
+    showDialog(duplicate, onChoose) {
+        this.onChoose = onChoose;
+
+        const rows = DuplicateDiff.buildRows(duplicate.old, duplicate.new);
+        const counts = { insert: 0, delete: 0, changed: 0, equal: 0 };
+        rows.forEach(row => counts[row.type]++);
+
+        document.getElementById('duplicateDiffTitle').textContent = duplicate.old.title;
+        document.getElementById('duplicateDiffSummary').textContent = [
+            t('dialogs.duplicateDiff.added', { count: counts.insert }),
+            t('dialogs.duplicateDiff.removed', { count: counts.delete }),
+            t('dialogs.duplicateDiff.changed', { count: counts.changed }),
+            t('dialogs.duplicateDiff.unchanged', { count: counts.equal })
+        ].join(' · ');
+
+        document.getElementById('duplicateDiffOldDate').textContent =
+            DateUtils.formatDateTime(DateUtils.timestampToDate(duplicate.old.updateTime));
+        document.getElementById('duplicateDiffNewDate').textContent =
+            DateUtils.formatDateTime(DateUtils.timestampToDate(duplicate.new.updateTime));
+
+        const body = document.getElementById('duplicateDiffBody');
+        body.innerHTML = this.renderRows(rows);
+        body.scrollTop = 0;
+
+        document.getElementById('duplicateDiffDialog').style.display = 'flex';
+    }
+
+    hideDialog() {
+        this.onChoose = null;
+        document.getElementById('duplicateDiffDialog').style.display = 'none';
+    }
+
+    /**
+     * Align the pairs of both versions
+     * @returns {Array} [{ type: 'equal' | 'changed' | 'insert' | 'delete', oldPair, newPair }]
+     */
+    static buildRows(oldConv, newConv) {
+        const ops = TextDiff.diffSequences(oldConv.pairs, newConv.pairs, (a, b) => a.id === b.id);
+
+        return ops.map(op => {
+            const oldPair = op.oldIndex >= 0 ? oldConv.pairs[op.oldIndex] : null;
+            const newPair = op.newIndex >= 0 ? newConv.pairs[op.newIndex] : null;
+            let type = op.type;
+            if (type === 'equal' && DuplicateDiff.getPairTexts(oldPair).join('\u0000') !== DuplicateDiff.getPairTexts(newPair).join('\u0000')) {
+                type = 'changed';
+            }
+            return { type, oldPair, newPair };
+        });
+    }
+
+    static getPairTexts(pair) {
+        return [pair.question.content || '', ...pair.answers.map(answer => answer.content || '')];
+    }
+
+    // =========================================================================
+    // RENDERING
+    // =========================================================================
+
+    renderRows(rows) {
+        let html = '';
+        let unchanged = [];
+        let removed = [];
+        let added = [];
+
+        // Runs of unchanged pairs are collapsed
+        const flushUnchanged = () => {
+            if (unchanged.length === 0) return;
+            html += `
+                <details class="diff-unchanged">
+                    <summary>${HtmlUtils.escapeHtml(t('dialogs.duplicateDiff.unchanged', { count: unchanged.length }))}</summary>
+                    ${unchanged.map(row => this.renderRow('equal', this.renderPreview(row.oldPair), this.renderPreview(row.newPair))).join('')}
+                </details>
+            `;
+            unchanged = [];
+        };
+
+        // Removed and added pairs between the same neighbours share rows
+        const flushReplaced = () => {
+            for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+                const type = !added[i] ? 'delete' : !removed[i] ? 'insert' : 'replace';
+                html += this.renderRow(type,
+                    removed[i] ? this.renderPair(removed[i].oldPair) : '',
+                    added[i] ? this.renderPair(added[i].newPair) : '');
+            }
+            removed = [];
+            added = [];
+        };
+
+        rows.forEach(row => {
+            if (row.type === 'delete') {
+                flushUnchanged();
+                removed.push(row);
+            } else if (row.type === 'insert') {
+                flushUnchanged();
+                added.push(row);
+            } else if (row.type === 'equal') {
+                flushReplaced();
+                unchanged.push(row);
+            } else {
+                flushReplaced();
+                flushUnchanged();
+                const [oldHtml, newHtml] = this.renderChangedPair(row.oldPair, row.newPair);
+                html += this.renderRow('changed', oldHtml, newHtml);
+            }
+        });
+        flushReplaced();
+        flushUnchanged();
+
+        return html || `<div class="diff-empty">${HtmlUtils.escapeHtml(t('dialogs.duplicateDiff.identical'))}</div>`;
+    }
+
+    renderRow(type, oldHtml, newHtml) {
+        return `
+            <div class="diff-row diff-${type}">
+                <div class="diff-cell old">${oldHtml}</div>
+                <div class="diff-cell new">${newHtml}</div>
+            </div>
+        `;
+    }
+
+    renderPair(pair) {
+        return this.renderMessages(pair, DuplicateDiff.getPairTexts(pair).map(text => HtmlUtils.escapeHtml(text)));
+    }
+
+    renderPreview(pair) {
+        const text = (pair.question.content || '').replace(/\s+/g, ' ').trim();
+        const preview = text.length > UNCHANGED_PREVIEW_LENGTH ? `${text.slice(0, UNCHANGED_PREVIEW_LENGTH)}…` : text;
+        return `<div class="diff-role">${HtmlUtils.escapeHtml(t('export.you'))}</div><div class="diff-text">${HtmlUtils.escapeHtml(preview)}</div>`;
+    }
+
+    /**
+     * Word diff of the question and of each answer (answers are matched by position)
+     * @returns {string[]} [oldHtml, newHtml]
+     */
+    renderChangedPair(oldPair, newPair) {
+        const oldTexts = DuplicateDiff.getPairTexts(oldPair);
+        const newTexts = DuplicateDiff.getPairTexts(newPair);
+        const oldParts = [];
+        const newParts = [];
+
+        for (let i = 0; i < Math.max(oldTexts.length, newTexts.length); i++) {
+            const parts = TextDiff.diffWords(oldTexts[i], newTexts[i]);
+            oldParts.push(this.renderParts(parts, 'delete', 'del'));
+            newParts.push(this.renderParts(parts, 'insert', 'ins'));
+        }
+
+        return [this.renderMessages(oldPair, oldParts), this.renderMessages(newPair, newParts)];
+    }
+
+    /**
+     * Render the parts of a word diff that belong to one side
+     */
+    renderParts(parts, changeType, tag) {
+        return parts
+            .filter(part => part.type === 'equal' || part.type === changeType)
+            .map(part => {
+                const text = HtmlUtils.escapeHtml(part.text);
+                return part.type === 'equal' ? text : `<${tag}>${text}</${tag}>`;
+            })
+            .join('');
+    }
+
+    /**
+     * @param {string[]} bodies - HTML for the question, then each answer
+     */
+    renderMessages(pair, bodies) {
+        return bodies.map((body, idx) => {
+            const role = idx === 0
+                ? t('export.you')
+                : (pair.answers[idx - 1]?.model || t('export.assistant'));
+            return `<div class="diff-role">${HtmlUtils.escapeHtml(role)}</div><div class="diff-text">${body}</div>`;
+        }).join('');
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * DuplicateFinder - Lists groups of library conversations with the same content
+ * (e.g. one chat imported as JSON and as HTML) and merges or deletes the extra copies
+ */
+
+import { t } from '../i18n/i18n.js';
+import { HtmlUtils } from '../utils/HtmlUtils.js';
+import { DateUtils } from '../utils/DateUtils.js';
+import { DuplicateDiff } from './DuplicateDiff.js';
+
+export class DuplicateFinder {
+    /**
+     * @param {Function} onUpdate - Called after conversations were merged or deleted
+     */
+    constructor(eventBus, data, onUpdate) {
+        this.eventBus = eventBus;
+        this.data = data;
+        this.onUpdate = onUpdate;
+        this.clusters = [];
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('closeDuplicateFinder').addEventListener('click', () => {
+            this.hideDialog();
+        });
+
+        document.getElementById('duplicateFinderList').addEventListener('click', (e) => {
+            const open = e.target.closest('[data-open]');
+            if (open) {
+                this.hideDialog();
+                this.eventBus.emit('conversation:select', { id: open.dataset.open });
+                return;
+            }
+
+            const button = e.target.closest('[data-cluster-action]');
+            if (button) {
+                this.applyAction(Number(button.closest('.duplicate-cluster').dataset.index), button.dataset.clusterAction);
+            }
+        });
+    }
+
+    showDialog() {
+        this.refresh();
+        document.getElementById('duplicateFinderDialog').style.display = 'flex';
+    }
+
+    hideDialog() {
+        document.getElementById('duplicateFinderDialog').style.display = 'none';
+    }
+
+    refresh() {
+        this.clusters = this.data.findDuplicateClusters();
+        const copies = this.clusters.reduce((sum, cluster) => sum + cluster.conversations.length - 1, 0);
+
+        document.getElementById('duplicateFinderSummary').textContent = this.clusters.length > 0
+            ? t('dialogs.duplicateFinder.summary', {
+                groups: t('dialogs.duplicateFinder.groupCount', { count: this.clusters.length }),
+                copies: t('dialogs.duplicateFinder.copyCount', { count: copies })
+            })
+            : t('dialogs.duplicateFinder.none');
+
+        document.getElementById('duplicateFinderList').innerHTML = this.clusters
+            .map((cluster, idx) => this.renderCluster(cluster, idx))
+            .join('');
+    }
+
+    renderCluster(cluster, idx) {
+        // The first conversation (most pairs, then most recent) is kept by default
+        const items = cluster.conversations.map((conv, convIdx) => {
+            const folder = conv.folderId ? this.data.getFolder(conv.folderId) : null;
+            const meta = [
+                conv.source,
+                DateUtils.formatDateTime(DateUtils.timestampToDate(conv.updateTime)),
+                t('dialogs.duplicate.messages', { count: conv.pairs.length }),
+                folder ? folder.name : null,
+                conv.starred ? '★' : null
+            ].filter(Boolean).join(' • ');
+
+            return `
+                <label class="duplicate-cluster-item">
+                    <input type="radio" name="duplicateKeep-${idx}" value="${HtmlUtils.escapeHtml(conv.id)}" ${convIdx === 0 ? 'checked' : ''}>
+                    <div class="duplicate-item-info">
+                        <button class="duplicate-item-title duplicate-open-btn" data-open="${HtmlUtils.escapeHtml(conv.id)}">${HtmlUtils.escapeHtml(conv.title)}</button>
+                        <div class="duplicate-item-meta">${HtmlUtils.escapeHtml(meta)}</div>
+                    </div>
+                </label>
+            `;
+        }).join('');
+
+        return `
+            <div class="duplicate-cluster" data-index="${idx}">
+                <div class="duplicate-cluster-header">
+                    ${HtmlUtils.escapeHtml(t('dialogs.duplicateFinder.groupHeader', {
+                        copies: t('dialogs.duplicateFinder.copyCount', { count: cluster.conversations.length }),
+                        percent: Math.round(cluster.similarity * 100)
+                    }))}
+                    <span class="duplicate-cluster-hint">${HtmlUtils.escapeHtml(t('dialogs.duplicateFinder.keepHint'))}</span>
+                </div>
+                ${items}
+                <div class="duplicate-item-choices">
+                    <button class="duplicate-choice-btn" data-cluster-action="merge">${t('dialogs.duplicateFinder.merge')}</button>
+                    <button class="duplicate-choice-btn" data-cluster-action="delete">${t('dialogs.duplicateFinder.deleteOthers')}</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * @param {number} idx - Cluster index
+     * @param {string} action - 'merge' (into the kept conversation) or 'delete' (the other copies)
+     */
+    async applyAction(idx, action) {
+        const cluster = this.clusters[idx];
+        if (!cluster) return;
+
+        const keepId = document.querySelector(`input[name="duplicateKeep-${idx}"]:checked`).value;
+        const otherIds = cluster.conversations.map(conv => conv.id).filter(id => id !== keepId);
+
+        if (action === 'merge') {
+            // Merging deletes the other copies too, and can drop pairs it takes for deleted ones
+            const plan = this.data.planMergeDuplicates(keepId, otherIds);
+            if (!plan || !confirm(t('dialogs.duplicateFinder.mergeConfirm', {
+                count: otherIds.length,
+                summary: DuplicateDiff.formatMergeSummary(plan.summary)
+            }))) return;
+            await this.data.mergeDuplicates(keepId, otherIds);
+        } else {
+            if (!confirm(t('dialogs.duplicateFinder.deleteConfirm', { count: otherIds.length }))) return;
+            await this.data.deleteConversations(otherIds, keepId);
+        }
+
+        this.refresh();
+        this.onUpdate();
+    }
+}
@@ -0,0 +1,255 @@
+/**
+ * ExportDialog - Exports a selection of conversations to Markdown, HTML or a print view
+ * Selections: one conversation, a folder, all starred pairs, or the current search results
+ */
+
+import { t } from '../i18n/i18n.js';
+import { SearchQuery } from '../utils/SearchQuery.js';
+import { ExportFormatter } from '../utils/ExportFormatter.js';
+import { ZipWriter } from '../utils/ZipWriter.js';
+import { FileUtils } from '../utils/FileUtils.js';
+import { HtmlUtils } from '../utils/HtmlUtils.js';
+
+export class ExportDialog {
+    /**
+     * @param {Function} getSearch - () => { text, query, conversations } for the active search, or null
+     */
+    constructor(eventBus, data, getSearch) {
+        this.eventBus = eventBus;
+        this.data = data;
+        this.getSearch = getSearch;
+        this.conversationId = null;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('cancelExport').addEventListener('click', () => {
+            this.hideDialog();
+        });
+
+        document.getElementById('confirmExport').addEventListener('click', () => {
+            this.export();
+        });
+
+        document.getElementById('exportScope').addEventListener('change', () => {
+            this.updateScope();
+        });
+
+        document.getElementById('exportFolder').addEventListener('change', () => {
+            this.updateSummary();
+        });
+
+        this.eventBus.on('export:open', (options) => {
+            this.showDialog(options);
+        });
+    }
+
+    /**
+     * @param {Object} options - { scope, conversationId, folderId }
+     */
+    showDialog({ scope, conversationId, folderId } = {}) {
+        this.conversationId = conversationId || this.data.currentConversationId;
+        const conversation = this.conversationId ? this.data.getConversation(this.conversationId) : null;
+        const search = this.getSearch();
+        const hasStarredPairs = this.data.conversations.some(conv => conv.pairs.some(pair => pair.starred));
+
+        const scopes = [
+            { value: 'conversation', label: conversation ? t('dialogs.export.scopeConversation', { title: conversation.title }) : t('dialogs.export.scopeNoConversation'), enabled: !!conversation },
+            { value: 'folder', label: t('dialogs.export.scopeFolder'), enabled: this.data.conversations.length > 0 },
+            { value: 'starredPairs', label: t('dialogs.export.scopeStarredPairs'), enabled: hasStarredPairs },
+            { value: 'search', label: search ? t('dialogs.export.scopeSearch', { query: search.text }) : t('dialogs.export.scopeNoSearch'), enabled: !!search }
+        ];
+
+        const scopeSelect = document.getElementById('exportScope');
+        scopeSelect.innerHTML = scopes.map(option =>
+            `<option value="${option.value}" ${option.enabled ? '' : 'disabled'}>${HtmlUtils.escapeHtml(option.label)}</option>`
+        ).join('');
+
+        const requested = scopes.find(option => option.value === scope && option.enabled);
+        const fallback = scopes.find(option => option.enabled);
+        scopeSelect.value = (requested || fallback || scopes[0]).value;
+
+        const folderSelect = document.getElementById('exportFolder');
+        folderSelect.innerHTML = `
+            <option value="all">${HtmlUtils.escapeHtml(t('sidebar.allConversations'))}</option>
+            <option value="starred">${HtmlUtils.escapeHtml(t('sidebar.starredThreads'))}</option>
+            ${this.data.folders.map(folder =>
+                `<option value="${folder.id}">${HtmlUtils.escapeHtml(folder.name)}</option>`
+            ).join('')}
+        `;
+        folderSelect.value = folderId && this.data.getFolder(folderId) ? folderId : 'all';
+
+        this.updateScope();
+        document.getElementById('exportDialog').style.display = 'flex';
+    }
+
+    hideDialog() {
+        document.getElementById('exportDialog').style.display = 'none';
+    }
+
+    updateScope() {
+        const scope = document.getElementById('exportScope').value;
+        document.getElementById('exportFolder').style.display = scope === 'folder' ? 'block' : 'none';
+        this.updateSummary();
+    }
+
+    updateSummary() {
+        const sections = this.getSections();
+        const pairCount = sections.reduce((sum, section) => sum + section.pairs.length, 0);
+
+        document.getElementById('exportSummary').textContent = sections.length > 0
+            ? `${t('dialogs.export.conversationCount', { count: sections.length })}, ${t('dialogs.export.pairCount', { count: pairCount })}`
+            : t('dialogs.export.nothingToExport');
+        document.getElementById('confirmExport').disabled = sections.length === 0;
+    }
+
+    // =========================================================================
+    // SELECTION
+    // =========================================================================
+
+    /**
+     * Build the selected conversations and the pairs to include from each
+     * @returns {Array} [{ conversation, pairs }]
+     */
+    getSections() {
+        const scope = document.getElementById('exportScope').value;
+        const whole = conv => ({ conversation: conv, pairs: conv.pairs });
+        const nonEmpty = section => section.pairs.length > 0;
+
+        switch (scope) {
+            case 'conversation': {
+                const conversation = this.data.getConversation(this.conversationId);
+                return conversation ? [whole(conversation)] : [];
+            }
+            case 'folder': {
+                const folderId = document.getElementById('exportFolder').value;
+                let conversations = this.data.conversations;
+                if (folderId === 'starred') {
+                    conversations = conversations.filter(conv => conv.starred);
+                } else if (folderId !== 'all') {
+                    conversations = this.data.getConversationsInFolder(folderId);
+                }
+                return conversations.map(whole);
+            }
+            case 'starredPairs':
+                return this.data.conversations
+                    .map(conv => ({ conversation: conv, pairs: conv.pairs.filter(pair => pair.starred) }))
+                    .filter(nonEmpty);
+            case 'search': {
+                const search = this.getSearch();
+                if (!search) return [];
+                const context = { folders: this.data.folders };
+                return search.conversations
+                    .map(conv => ({
+                        conversation: conv,
+                        pairs: conv.pairs.filter(pair => SearchQuery.matchesPair(search.query, conv, pair, context))
+                    }))
+                    .filter(nonEmpty);
+            }
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Name of the export (document title and file name)
+     */
+    getTitle(sections) {
+        const scope = document.getElementById('exportScope').value;
+
+        if (scope === 'folder') {
+            const folderId = document.getElementById('exportFolder').value;
+            if (folderId === 'all') return t('sidebar.allConversations');
+            if (folderId === 'starred') return t('sidebar.starredThreads');
+            return this.data.getFolder(folderId).name;
+        }
+        if (scope === 'starredPairs') return t('sidebar.starredPairs');
+        if (scope === 'search') return t('dialogs.export.searchTitle', { query: this.getSearch().text });
+        return sections[0].conversation.title;
+    }
+
+    getOptions() {
+        return {
+            thinking: document.getElementById('exportThinking').checked,
+            artifacts: document.getElementById('exportArtifacts').checked,
+            timestamps: document.getElementById('exportTimestamps').checked
+        };
+    }
+
+    // =========================================================================
+    // OUTPUT
+    // =========================================================================
+
+    export() {
+        const sections = this.getSections();
+        if (sections.length === 0) return;
+
+        const format = document.querySelector('input[name="exportFormat"]:checked').value;
+        const options = this.getOptions();
+        const title = this.getTitle(sections);
+
+        if (format === 'markdown') {
+            this.exportMarkdown(sections, options, title);
+        } else if (format === 'html') {
+            const html = ExportFormatter.toHtml(sections, options, { title });
+            FileUtils.downloadBlob(new Blob([html], { type: 'text/html' }), `${FileUtils.toFileName(title)}.html`);
+        } else if (!this.print(ExportFormatter.toHtml(sections, options, { title, print: true }))) {
+            return;
+        }
+
+        this.hideDialog();
+    }
+
+    /**
+     * One .md file, or a ZIP with one file per conversation
+     */
+    exportMarkdown(sections, options, title) {
+        if (sections.length === 1) {
+            const { conversation, pairs } = sections[0];
+            const markdown = ExportFormatter.toMarkdown(conversation, pairs, options);
+            FileUtils.downloadBlob(new Blob([markdown], { type: 'text/markdown' }), `${FileUtils.toFileName(conversation.title)}.md`);
+            return;
+        }
+
+        const zip = new ZipWriter();
+        const usedNames = new Set();
+        sections.forEach(({ conversation, pairs }) => {
+            const baseName = FileUtils.toFileName(conversation.title);
+            let name = `${baseName}.md`;
+            for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+                name = `${baseName} (${n}).md`;
+            }
+            usedNames.add(name.toLowerCase());
+
+            const date = new Date((conversation.updateTime || conversation.createTime) * 1000);
+            zip.addFile(name, ExportFormatter.toMarkdown(conversation, pairs, options), isNaN(date) ? new Date() : date);
+        });
+
+        FileUtils.downloadBlob(zip.toBlob(), `${FileUtils.toFileName(title)}.zip`);
+    }
+
+    /**
+     * Open the document in a new window and bring up the print dialog ("Save as PDF")
+     * @returns {boolean} false if the window was blocked
+     */
+    print(html) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            alert(t('alerts.popupBlocked'));
+            return false;
+        }
+
+        printWindow.document.open();
+        printWindow.document.write(html);
+        printWindow.document.close();
+        printWindow.focus();
+
+        // Print once the document has been laid out
+        if (printWindow.document.readyState === 'complete') {
+            printWindow.print();
+        } else {
+            printWindow.addEventListener('load', () => printWindow.print());
+        }
+        return true;
+    }
+}
@@ -5,14 +5,48 @@
 import { MarkdownParser } from '../utils/MarkdownParser.js';
 import { DateUtils } from '../utils/DateUtils.js';
 import { HtmlUtils } from '../utils/HtmlUtils.js';
+import { FileUtils } from '../utils/FileUtils.js';
+import { ExportFormatter } from '../utils/ExportFormatter.js';
+import { CodeBlock } from '../utils/CodeBlock.js';
+import { ArtifactPreview } from '../utils/ArtifactPreview.js';
+import { VirtualList } from '../core/VirtualList.js';
+import { t } from '../i18n/i18n.js';
+
+// Thread search scopes: elements a match has to be inside
+const SEARCH_SCOPES = {
+    all: null,
+    questions: '.message.user',
+    answers: '.message.assistant',
+    code: 'pre'
+};
+
+// Rough pair height before it has been rendered once
+const PAIR_BASE_HEIGHT = 220;
+const CHARS_PER_LINE = 90;
+const LINE_HEIGHT = 24;
 
 export class MessageRenderer {
     constructor(eventBus, data) {
         this.eventBus = eventBus;
         this.data = data;
-        this.searchMatches = [];
+        this.currentPairs = [];
+        this.virtualList = null;
+        // pair -> { index, starred, html, texts }; stale entries are rebuilt when a pair is renumbered or starred
+        this.pairCache = new WeakMap();
+        this.artifactVersions = new Map(); // "pairId:answerIndex:artifactIndex" -> { key, version, count }
+        this.artifactVersionsSignature = '';
+
+        this.searchMatches = []; // [{ index, pairIndex, pairId, nodeIndex, start, end }]
+        this.matchesByPair = new Map(); // pairId -> matches
         this.currentMatchIndex = -1;
         this.searchQuery = '';
+        this.searchRegex = null;
+        this.searchOptions = {
+            regex: false,
+            caseSensitive: false,
+            wholeWord: false,
+            scope: 'all'
+        };
 
         this.setupEventListeners();
     }
@@ -20,8 +54,25 @@ export class MessageRenderer {
     setupEventListeners() {
         this.eventBus.on('search:clear', () => this.clearThreadSearch());
         this.eventBus.on('search:query', (data) => this.handleThreadSearch(data.query));
+        this.eventBus.on('search:options', (options) => this.setSearchOptions(options));
         this.eventBus.on('search:next', () => this.highlightNextMatch());
         this.eventBus.on('search:prev', () => this.highlightPreviousMatch());
+        this.eventBus.on('pair:reveal', (data) => this.scrollToPair(data.pairId, { flash: data.flash }));
+
+        const messagesContainer = document.getElementById('messagesContainer');
+        CodeBlock.bindActions(messagesContainer);
+        ArtifactPreview.bindActions(messagesContainer);
+
+        messagesContainer.addEventListener('click', (e) => {
+            const historyBtn = e.target.closest('[data-artifact-history]');
+            if (historyBtn) {
+                this.eventBus.emit('artifact:history', {
+                    conversationId: this.data.currentConversationId,
+                    key: historyBtn.dataset.artifactHistory,
+                    version: Number(historyBtn.dataset.version)
+                });
+            }
+        });
     }
 
     /**
@@ -29,7 +80,6 @@ export class MessageRenderer {
      */
     renderPairs(pairs, filterQuery = '') {
         const container = document.getElementById('messagesContainer');
-        container.innerHTML = '';
 
         let filteredPairs = pairs;
 
@@ -41,7 +91,21 @@ export class MessageRenderer {
             );
         }
 
+        this.currentPairs = filteredPairs;
+        this.updateArtifactVersions();
+
+        // Keep the current search in sync with the new pairs
+        if (this.searchRegex) {
+            this.findPairMatches(this.searchRegex);
+            this.currentMatchIndex = Math.min(this.currentMatchIndex, this.searchMatches.length - 1);
+            this.updateMatchCount();
+        }
+
         if (filteredPairs.length === 0) {
+            if (this.virtualList) {
+                this.virtualList.destroy();
+                this.virtualList = null;
+            }
             container.innerHTML = `
                 <div style="text-align: center; padding: 40px; color: var(--text-muted);">
                     <p>${filterQuery ? 'No messages match your search' : 'No messages in this conversation'}</p>
@@ -50,10 +114,72 @@ export class MessageRenderer {
             return;
         }
 
-        filteredPairs.forEach(pair => {
-            const pairEl = this.createPairElement(pair);
-            container.appendChild(pairEl);
-        });
+        // Only pairs near the viewport are in the DOM
+        if (!this.virtualList) {
+            container.innerHTML = '';
+            this.virtualList = new VirtualList({
+                scrollElement: container,
+                container,
+                getKey: (index) => this.currentPairs[index].id,
+                estimateHeight: (index) => this.estimatePairHeight(this.currentPairs[index]),
+                renderItem: (index) => this.createPairElement(this.currentPairs[index])
+            });
+        }
+
+        this.virtualList.setCount(filteredPairs.length);
+    }
+
+    /**
+     * Index which version of its file each artifact of the current conversation is
+     * Pair HTML is rebuilt when the number of versions changes (e.g. after a merge)
+     */
+    updateArtifactVersions() {
+        const conversationId = this.data.currentConversationId;
+        const counts = [];
+
+        this.artifactVersions = new Map();
+        if (conversationId) {
+            this.data.getArtifactVersions(conversationId).forEach((versions, key) => {
+                counts.push(versions.length);
+                versions.forEach(entry => {
+                    this.artifactVersions.set(`${entry.pairId}:${entry.answerIndex}:${entry.artifactIndex}`, {
+                        key,
+                        version: entry.version,
+                        count: versions.length
+                    });
+                });
+            });
+        }
+        this.artifactVersionsSignature = `${conversationId}:${counts.join(',')}`;
+    }
+
+    estimatePairHeight(pair) {
+        const length = pair.answers.reduce(
+            (sum, answer) => sum + (answer.content || '').length,
+            (pair.question.content || '').length
+        );
+        return PAIR_BASE_HEIGHT + Math.ceil(length / CHARS_PER_LINE) * LINE_HEIGHT;
+    }
+
+    /**
+     * Scroll to a pair, rendering it first if it is outside the window
+     * @param {Object} options - { flash }: highlight the pair briefly
+     * @returns {HTMLElement|null} The pair element
+     */
+    scrollToPair(pairId, { flash = false } = {}) {
+        const index = this.currentPairs.findIndex(pair => pair.id === pairId);
+        if (index === -1 || !this.virtualList) return null;
+
+        const pairElement = this.virtualList.scrollToIndex(index, { align: 'start', smooth: true });
+
+        if (pairElement && flash) {
+            pairElement.classList.add('highlighted-starred');
+            setTimeout(() => {
+                pairElement.classList.remove('highlighted-starred');
+            }, 2000);
+        }
+
+        return pairElement;
     }
 
     /**
@@ -69,61 +195,204 @@ export class MessageRenderer {
             container.classList.add('highlighted-starred');
         }
 
-        // Create question element (user message with index)
-        const questionEl = this.createQuestionElement(pair.question, pair.index);
-        container.appendChild(questionEl);
+        container.innerHTML = this.getPairCache(pair).html;
+        this.bindPairElement(container, pair);
 
-        // Create answer element(s)
+        const matches = this.matchesByPair.get(pair.id);
+        if (matches) {
+            this.applyHighlights(container, matches);
+        }
+
+        return container;
+    }
+
+    /**
+     * Get the cached HTML of a pair, formatting its markdown only when needed
+     */
+    getPairCache(pair) {
+        const cached = this.pairCache.get(pair);
+        if (cached && cached.index === pair.index && cached.starred === pair.starred &&
+            cached.artifactVersions === this.artifactVersionsSignature) {
+            return cached;
+        }
+
+        // Question element (user message with index)
+        let html = this.createQuestionHtml(pair.question, pair.index);
+
+        // Answer element(s)
         if (pair.answers.length === 0) {
-            const noResponseEl = document.createElement('div');
-            noResponseEl.className = 'message assistant';
-            noResponseEl.innerHTML = `
-                <div class="message-content">
-                    <div class="message-body">
-                        <div class="message-text"><em>No response</em></div>
+            html += `
+                <div class="message assistant">
+                    <div class="message-content">
+                        <div class="message-body">
+                            <div class="message-text"><em>No response</em></div>
+                        </div>
                     </div>
                 </div>
             `;
-            container.appendChild(noResponseEl);
         } else {
             pair.answers.forEach((answer, index) => {
                 const isLastAnswer = index === pair.answers.length - 1;
-                const answerEl = this.createAnswerElement(answer, pair.id, pair.starred, isLastAnswer);
-                container.appendChild(answerEl);
+                html += this.createAnswerHtml(answer, pair.id, pair.starred, isLastAnswer, index);
             });
         }
 
-        return container;
+        const entry = {
+            index: pair.index,
+            starred: pair.starred,
+            artifactVersions: this.artifactVersionsSignature,
+            html,
+            texts: null
+        };
+        this.pairCache.set(pair, entry);
+        return entry;
     }
 
     /**
-     * Create question element
+     * Attach event handlers and load assets for a pair element built from cached HTML
      */
-    createQuestionElement(question, index) {
-        const div = document.createElement('div');
-        div.className = 'message user';
+    bindPairElement(container, pair) {
+        const [questionEl, ...answerEls] = container.children;
+
+        this.bindBranchSwitcher(questionEl, pair.question.branch);
+        this.bindAssets(questionEl, pair.question.assets);
+
+        pair.answers.forEach((answer, index) => {
+            const answerEl = answerEls[index];
+            this.bindBranchSwitcher(answerEl, answer.branch);
+            this.bindAssets(answerEl, answer.assets);
+
+            if (index === pair.answers.length - 1) {
+                this.bindAnswerActions(answerEl, pair.id);
+            }
+        });
+    }
 
+    /**
+     * Create question element HTML
+     */
+    createQuestionHtml(question, index) {
         const content = MarkdownParser.format(question.content);
 
-        div.innerHTML = `
-            <div class="message-content">
-                <div class="message-index">${index}</div>
-                <div class="message-body">
-                    <div class="message-text">${content}</div>
+        return `
+            <div class="message user">
+                <div class="message-content">
+                    <div class="message-index">${index}</div>
+                    <div class="message-body">
+                        <div class="message-text">${content}</div>
+                        ${this.createAssetsHtml(question.assets)}
+                        ${this.createBranchSwitcherHtml(question.branch)}
+                    </div>
                 </div>
             </div>
         `;
+    }
 
-        return div;
+    /**
+     * Create placeholders for images and files attached to a message
+     * Asset data is loaded asynchronously by bindAssets
+     */
+    createAssetsHtml(assets) {
+        if (!assets || assets.length === 0) return '';
+
+        const items = assets.map((asset, idx) => {
+            const name = HtmlUtils.escapeHtml(asset.name);
+
+            if (this.isImageAsset(asset)) {
+                return `
+                    <a class="message-asset-image loading" data-asset-index="${idx}" target="_blank" rel="noopener" title="${name}">
+                        <img alt="${name}" loading="lazy">
+                        <span class="message-asset-placeholder">🖼️ ${name}</span>
+                    </a>
+                `;
+            }
+
+            const size = asset.size ? ` <span class="message-asset-size">${FileUtils.formatBytes(asset.size)}</span>` : '';
+            return `
+                <a class="message-asset-file loading" data-asset-index="${idx}" download="${name}" title="${name}">
+                    📎 <span class="message-asset-name">${name}</span>${size}
+                </a>
+            `;
+        }).join('');
+
+        return `<div class="message-assets">${items}</div>`;
+    }
+
+    isImageAsset(asset) {
+        const mimeType = asset.mimeType || FileUtils.getMimeType(asset.name);
+        return mimeType.startsWith('image/');
     }
 
     /**
-     * Create answer element
+     * Load asset data into the placeholders created by createAssetsHtml
      */
-    createAnswerElement(answer, pairId, isStarred, showActions) {
-        const container = document.createElement('div');
-        container.className = 'message assistant';
+    bindAssets(element, assets) {
+        if (!assets || assets.length === 0) return;
+
+        element.querySelectorAll('[data-asset-index]').forEach(async (link) => {
+            const asset = assets[parseInt(link.dataset.assetIndex, 10)];
+            const url = await this.data.getAssetUrl(asset);
+
+            link.classList.remove('loading');
+            if (!url) {
+                // Binary was not included in the export (e.g. Claude uploads)
+                link.classList.add('unavailable');
+                link.title = `${asset.name} (not included in export)`;
+                link.removeAttribute('download');
+                return;
+            }
+
+            link.href = url;
+            const img = link.querySelector('img');
+            if (img) {
+                img.src = url;
+            }
+        });
+    }
+
+    /**
+     * Create "< 2/3 >" switcher HTML for a message that has sibling branches
+     */
+    createBranchSwitcherHtml(branch) {
+        if (!branch || branch.count < 2) return '';
 
+        return `
+            <div class="branch-switcher">
+                <button class="branch-nav-btn" data-offset="-1" title="Previous version" ${branch.index <= 1 ? 'disabled' : ''}>
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="15 18 9 12 15 6"></polyline>
+                    </svg>
+                </button>
+                <span class="branch-count">${branch.index}/${branch.count}</span>
+                <button class="branch-nav-btn" data-offset="1" title="Next version" ${branch.index >= branch.count ? 'disabled' : ''}>
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="9 18 15 12 9 6"></polyline>
+                    </svg>
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Attach branch switch handlers to a message element
+     */
+    bindBranchSwitcher(element, branch) {
+        if (!branch) return;
+
+        element.querySelectorAll('.branch-nav-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.eventBus.emit('branch:switch', {
+                    nodeId: branch.nodeId,
+                    offset: parseInt(btn.dataset.offset, 10)
+                });
+            });
+        });
+    }
+
+    /**
+     * Create answer element HTML
+     */
+    createAnswerHtml(answer, pairId, isStarred, showActions, answerIndex = 0) {
         const timestamp = DateUtils.timestampToDate(answer.timestamp);
         const timestampStr = DateUtils.formatDateTime(timestamp);
         const model = answer.model || 'AI';
@@ -149,17 +418,21 @@ export class MessageRenderer {
         // Build artifact sections HTML if present
         let artifactsHtml = '';
         if (answer.artifacts && answer.artifacts.length > 0) {
-            answer.artifacts.forEach((artifact) => {
-                const formattedContent = this.formatArtifactContent(artifact.type, artifact.content);
+            answer.artifacts.forEach((artifact, artifactIndex) => {
+                const formattedContent = this.formatArtifactContent(artifact);
+                const versions = this.artifactVersions.get(`${pairId}:${answerIndex}:${artifactIndex}`);
+                const hasHistory = versions && versions.count > 1;
                 artifactsHtml += `
-                    <div class="thinking-section">
+                    <div class="thinking-section artifact-section">
                         <button class="thinking-toggle" onclick="this.parentElement.classList.toggle('collapsed')">
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <polyline points="6 9 12 15 18 9"></polyline>
                             </svg>
                             <span>📦 Artifact: ${HtmlUtils.escapeHtml(artifact.title)}</span>
+                            ${hasHistory ? `<span class="artifact-version-badge">v${versions.version}/${versions.count}</span>` : ''}
                         </button>
                         <div class="thinking-content">
+                            ${hasHistory ? this.createArtifactVersionBarHtml(versions) : ''}
                             ${formattedContent}
                         </div>
                     </div>
@@ -184,62 +457,71 @@ export class MessageRenderer {
             </div>
         ` : '';
 
-        container.innerHTML = `
-            <div class="message-content">
-                <div class="message-body">
-                    ${thinkingHtml}
-                    ${artifactsHtml}
-                    <div class="message-text">${content}</div>
-                    ${actionsHtml}
+        return `
+            <div class="message assistant">
+                <div class="message-content">
+                    <div class="message-body">
+                        ${thinkingHtml}
+                        ${artifactsHtml}
+                        <div class="message-text">${content}</div>
+                        ${this.createAssetsHtml(answer.assets)}
+                        ${this.createBranchSwitcherHtml(answer.branch)}
+                        ${actionsHtml}
+                    </div>
                 </div>
             </div>
         `;
+    }
 
-        // Add event listeners for actions
-        if (showActions) {
-            const deleteBtn = container.querySelector('.delete');
-            deleteBtn.addEventListener('click', () => {
-                this.eventBus.emit('pair:delete', { pairId });
-            });
+    /**
+     * Add event listeners for the star/delete actions under the last answer
+     */
+    bindAnswerActions(container, pairId) {
+        const deleteBtn = container.querySelector('.delete');
+        deleteBtn.addEventListener('click', () => {
+            this.eventBus.emit('pair:delete', { pairId });
+        });
 
-            const starBtn = container.querySelector('.star');
-            starBtn.addEventListener('click', () => {
-                this.eventBus.emit('pair:star', { pairId });
-            });
+        const starBtn = container.querySelector('.star');
+        starBtn.addEventListener('click', () => {
+            this.eventBus.emit('pair:star', { pairId });
+        });
 
-            const thinkingToggle = container.querySelector('.thinking-toggle');
-            if (thinkingToggle) {
-                thinkingToggle.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                });
-            }
+        const thinkingToggle = container.querySelector('.thinking-toggle');
+        if (thinkingToggle) {
+            thinkingToggle.addEventListener('click', (e) => {
+                e.stopPropagation();
+            });
         }
+    }
 
-        return container;
+    /**
+     * "Version 2 of 3" line with a button that opens the version history
+     */
+    createArtifactVersionBarHtml({ key, version, count }) {
+        return `
+            <div class="artifact-version-bar">
+                <span>${HtmlUtils.escapeHtml(t('artifactHistory.versionOf', { version, count }))}</span>
+                <button class="artifact-history-btn" data-artifact-history="${HtmlUtils.escapeHtml(key)}" data-version="${version}">${t('artifactHistory.open')}</button>
+            </div>
+        `;
     }
 
     /**
-     * Format artifact content
+     * Format artifact content (code gets a header with the artifact title as file name)
+     * HTML, SVG and Mermaid artifacts can also be switched to a sandboxed preview
      */
-    formatArtifactContent(type, content) {
-        const isMarkdown = type.includes('markdown') || type.includes('md');
+    formatArtifactContent(artifact) {
+        const language = ExportFormatter.getArtifactLanguage(artifact.type, artifact.language);
 
-        if (isMarkdown) {
-            return `<div class="message-text">${MarkdownParser.format(content)}</div>`;
+        if (language === 'markdown') {
+            return `<div class="message-text">${MarkdownParser.format(artifact.content)}</div>`;
         }
 
-        const escapedContent = HtmlUtils.escapeHtml(content);
-
-        let language = 'text';
-        if (type.includes('html')) language = 'html';
-        else if (type.includes('json')) language = 'json';
-        else if (type.includes('javascript') || type.includes('js')) language = 'javascript';
-        else if (type.includes('python') || type.includes('py')) language = 'python';
-        else if (type.includes('css')) language = 'css';
+        const codeBlock = CodeBlock.render(artifact.content, { language, filename: artifact.title });
+        const body = ArtifactPreview.canPreview(language) ? ArtifactPreview.render(language, codeBlock) : codeBlock;
 
-        return `
-            <pre class="message-text"><code class="language-${language}">${escapedContent}</code></pre>
-        `;
+        return `<div class="message-text">${body}</div>`;
     }
 
     /**
@@ -252,32 +534,143 @@ export class MessageRenderer {
         if (!conv) return;
 
         this.clearSearchHighlights();
+        this.showSearchError(null);
 
         if (!query.trim()) {
-            this.renderPairs(conv.pairs);
+            this.virtualList?.refresh();
+            this.hideSearchNav();
+            return;
+        }
+
+        let regex;
+        try {
+            regex = this.buildSearchRegex(query);
+        } catch (error) {
+            this.virtualList?.refresh();
+            this.showSearchError(error);
             this.hideSearchNav();
             return;
         }
 
-        this.renderPairs(conv.pairs);
-        this.highlightSearchResults(query);
+        this.highlightSearchResults(regex);
         this.showSearchNav();
     }
 
+    /**
+     * Update search toggles and re-run the current search
+     * @param {Object} options - Any of { regex, caseSensitive, wholeWord, scope }
+     */
+    setSearchOptions(options) {
+        Object.assign(this.searchOptions, options);
+        if (this.searchQuery.trim()) {
+            this.handleThreadSearch(this.searchQuery);
+        }
+    }
+
+    /**
+     * Build the search regex for the current options
+     * Throws a SyntaxError for an invalid pattern in regex mode
+     */
+    buildSearchRegex(query) {
+        const { regex, caseSensitive, wholeWord } = this.searchOptions;
+        let source = regex ? query : HtmlUtils.escapeRegex(query);
+
+        if (wholeWord) {
+            // Lookarounds instead of \b so queries like "c++" still work
+            source = `(?<!\\w)(?:${source})(?!\\w)`;
+        }
+
+        return new RegExp(source, caseSensitive ? 'g' : 'gi');
+    }
+
+    /**
+     * Find the ranges of all non-empty matches in a text
+     */
+    findMatches(regex, text) {
+        const ranges = [];
+        let match;
+
+        regex.lastIndex = 0;
+        while ((match = regex.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                // Empty matches (e.g. "a*") would never advance
+                regex.lastIndex++;
+                continue;
+            }
+            ranges.push({ start: match.index, end: match.index + match[0].length });
+        }
+
+        return ranges;
+    }
+
     /**
      * Highlight search results
+     * Matches are found in the text of every pair, rendered or not; rendered pairs get highlighted now,
+     * the others when they scroll into the window
      */
-    highlightSearchResults(query) {
-        const messagesContainer = document.getElementById('messagesContainer');
-        const regex = new RegExp(`(${HtmlUtils.escapeRegex(query)})`, 'gi');
+    highlightSearchResults(regex) {
+        this.searchRegex = regex;
+        this.findPairMatches(regex);
+        this.virtualList?.refresh();
+
+        this.updateMatchCount();
+
+        if (this.searchMatches.length > 0) {
+            this.highlightMatch(0);
+        }
+    }
+
+    findPairMatches(regex) {
         this.searchMatches = [];
+        this.matchesByPair = new Map();
 
+        this.currentPairs.forEach((pair, pairIndex) => {
+            this.getPairTexts(pair).forEach((segment, nodeIndex) => {
+                if (!segment.scopes.includes(this.searchOptions.scope)) return;
+
+                this.findMatches(regex, segment.text).forEach(({ start, end }) => {
+                    const match = { index: this.searchMatches.length, pairIndex, pairId: pair.id, nodeIndex, start, end };
+                    this.searchMatches.push(match);
+
+                    if (!this.matchesByPair.has(pair.id)) {
+                        this.matchesByPair.set(pair.id, []);
+                    }
+                    this.matchesByPair.get(pair.id).push(match);
+                });
+            });
+        });
+    }
+
+    /**
+     * Get the searchable text nodes of a pair as plain strings (cached with the pair HTML)
+     * @returns {Array} [{ text, scopes }] in the same order as getSearchableTextNodes on the rendered pair
+     */
+    getPairTexts(pair) {
+        const entry = this.getPairCache(pair);
+
+        if (!entry.texts) {
+            // A template keeps images and other resources from loading
+            const template = document.createElement('template');
+            template.innerHTML = entry.html;
+
+            entry.texts = this.getSearchableTextNodes(template.content).map(node => ({
+                text: node.textContent,
+                scopes: Object.keys(SEARCH_SCOPES).filter(scope =>
+                    !SEARCH_SCOPES[scope] || node.parentElement?.closest(SEARCH_SCOPES[scope])
+                )
+            }));
+        }
+
+        return entry.texts;
+    }
+
+    getSearchableTextNodes(root) {
         const walker = document.createTreeWalker(
-            messagesContainer,
+            root,
             NodeFilter.SHOW_TEXT,
             {
                 acceptNode: (node) => {
-                    if (node.parentElement.closest('.message-actions, .model-badge, button')) {
+                    if (node.parentElement?.closest('.message-actions, .model-badge, .code-block-header, .artifact-version-bar, button')) {
                         return NodeFilter.FILTER_REJECT;
                     }
                     return NodeFilter.FILTER_ACCEPT;
@@ -285,59 +678,66 @@ export class MessageRenderer {
             }
         );
 
-        const nodesToHighlight = [];
+        const nodes = [];
         let node;
         while (node = walker.nextNode()) {
-            if (regex.test(node.textContent)) {
-                nodesToHighlight.push(node);
-            }
+            nodes.push(node);
         }
+        return nodes;
+    }
+
+    /**
+     * Wrap the matches of a freshly rendered pair in highlight spans
+     */
+    applyHighlights(pairElement, matches) {
+        const textNodes = this.getSearchableTextNodes(pairElement);
+        const matchesByNode = new Map();
 
-        nodesToHighlight.forEach(textNode => {
+        matches.forEach(match => {
+            if (!matchesByNode.has(match.nodeIndex)) {
+                matchesByNode.set(match.nodeIndex, []);
+            }
+            matchesByNode.get(match.nodeIndex).push(match);
+        });
+
+        matchesByNode.forEach((nodeMatches, nodeIndex) => {
+            const textNode = textNodes[nodeIndex];
+            if (!textNode) return;
+
+            const text = textNode.textContent;
             const fragment = document.createDocumentFragment();
             let lastIdx = 0;
-            let match;
-
-            regex.lastIndex = 0;
 
-            while ((match = regex.exec(textNode.textContent)) !== null) {
-                fragment.appendChild(document.createTextNode(textNode.textContent.slice(lastIdx, match.index)));
+            nodeMatches.forEach(({ index, start, end }) => {
+                fragment.appendChild(document.createTextNode(text.slice(lastIdx, start)));
 
                 const highlightSpan = document.createElement('span');
                 highlightSpan.className = 'search-highlight';
-                highlightSpan.textContent = match[0];
-                highlightSpan.dataset.matchIndex = this.searchMatches.length;
+                highlightSpan.textContent = text.slice(start, end);
+                highlightSpan.dataset.matchIndex = index;
+                if (index === this.currentMatchIndex) {
+                    highlightSpan.classList.add('active');
+                }
                 fragment.appendChild(highlightSpan);
-                this.searchMatches.push(highlightSpan);
 
-                lastIdx = match.index + match[0].length;
-            }
+                lastIdx = end;
+            });
 
-            if (lastIdx < textNode.textContent.length) {
-                fragment.appendChild(document.createTextNode(textNode.textContent.slice(lastIdx)));
+            if (lastIdx < text.length) {
+                fragment.appendChild(document.createTextNode(text.slice(lastIdx)));
             }
 
             textNode.parentNode.replaceChild(fragment, textNode);
         });
-
-        this.updateMatchCount();
-
-        if (this.searchMatches.length > 0) {
-            this.highlightMatch(0);
-        }
     }
 
     /**
-     * Clear search highlights
+     * Clear search highlights (callers re-render the visible pairs)
      */
     clearSearchHighlights() {
-        document.querySelectorAll('.search-highlight').forEach(highlight => {
-            const parent = highlight.parentNode;
-            parent.replaceChild(document.createTextNode(highlight.textContent), highlight);
-            parent.normalize();
-        });
-
+        this.searchRegex = null;
         this.searchMatches = [];
+        this.matchesByPair = new Map();
         this.currentMatchIndex = -1;
     }
 
@@ -347,28 +747,31 @@ export class MessageRenderer {
     highlightMatch(index) {
         if (this.searchMatches.length === 0) return;
 
-        if (this.currentMatchIndex >= 0 && this.currentMatchIndex < this.searchMatches.length) {
-            this.searchMatches[this.currentMatchIndex].classList.remove('active');
-        }
+        const messagesContainer = document.getElementById('messagesContainer');
+        messagesContainer.querySelectorAll('.search-highlight.active').forEach(highlight => {
+            highlight.classList.remove('active');
+        });
 
         this.currentMatchIndex = index;
-        const matchElement = this.searchMatches[index];
-        matchElement.classList.add('active');
+        const match = this.searchMatches[index];
 
-        matchElement.scrollIntoView({
-            behavior: 'smooth',
-            block: 'center'
-        });
+        // The pair may be outside the rendered window
+        if (!this.virtualList.getElement(match.pairIndex)) {
+            this.virtualList.scrollToIndex(match.pairIndex, { align: 'center' });
+        }
 
-        // Find the parent pair-container and emit event to update question navigator
-        const pairContainer = matchElement.closest('.pair-container');
-        if (pairContainer) {
-            const pairId = pairContainer.dataset.pairId;
-            if (pairId) {
-                this.eventBus.emit('question:navigate', { pairId });
-            }
+        const matchElement = messagesContainer.querySelector(`.search-highlight[data-match-index="${index}"]`);
+        if (matchElement) {
+            matchElement.classList.add('active');
+            matchElement.scrollIntoView({
+                behavior: 'smooth',
+                block: 'center'
+            });
         }
 
+        // Update question navigator
+        this.eventBus.emit('question:navigate', { pairId: match.pairId });
+
         this.updateMatchCount();
     }
 
@@ -395,7 +798,25 @@ export class MessageRenderer {
     showSearchNav() {
         const nav = document.getElementById('searchNavControls');
         if (nav) {
-            nav.style.display = this.searchMatches.length > 0 ? 'flex' : 'none';
+            // Keep "0/0" visible so a search without matches is distinguishable from no search
+            nav.style.display = 'flex';
+        }
+        this.updateMatchCount();
+    }
+
+    /**
+     * Show or clear the invalid regex message
+     * @param {Error|null} error
+     */
+    showSearchError(error) {
+        const input = document.getElementById('threadSearchInput');
+        const errorEl = document.getElementById('searchError');
+
+        input.classList.toggle('invalid', !!error);
+        if (errorEl) {
+            errorEl.textContent = error ? t('chatView.invalidRegex') : '';
+            errorEl.title = error ? error.message : '';
+            errorEl.style.display = error ? 'inline' : 'none';
         }
     }
 
@@ -410,6 +831,7 @@ export class MessageRenderer {
         document.getElementById('threadSearchInput').value = '';
         this.searchQuery = '';
         this.clearSearchHighlights();
+        this.showSearchError(null);
         this.hideSearchNav();
 
         const conv = this.data.getCurrentConversation();
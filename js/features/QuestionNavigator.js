@@ -8,6 +8,7 @@ export class QuestionNavigator {
     constructor(eventBus) {
         this.eventBus = eventBus;
         this.currentPairs = [];
+        this.pairIndexById = new Map();
         this.currentQuestionIndex = -1;
         this.scrollObserver = null;
         this.messagesContainer = null;
@@ -34,10 +35,14 @@ export class QuestionNavigator {
         document.getElementById('lastQuestionBtn').addEventListener('click', () => {
             this.navigateToQuestion('last');
         });
+
+        // Search match navigation
+        this.eventBus.on('question:navigate', (data) => this.updateCurrentQuestion(data.pairId));
     }
 
     populate(pairs) {
         this.currentPairs = pairs;
+        this.pairIndexById = new Map(pairs.map((pair, index) => [pair.id, index]));
         this.currentQuestionIndex = -1;
 
         const select = document.getElementById('questionSelect');
@@ -126,21 +131,13 @@ export class QuestionNavigator {
     jumpToQuestion(pairId) {
         if (!pairId) return;
 
-        const pairElement = document.querySelector(`.pair-container[data-pair-id="${pairId}"]`);
-        if (pairElement) {
-            pairElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
-
-            // Highlight the pair temporarily
-            pairElement.classList.add('highlighted-starred');
-            setTimeout(() => {
-                pairElement.classList.remove('highlighted-starred');
-            }, 2000);
+        // MessageRenderer renders the pair first if it is outside the visible window
+        this.eventBus.emit('pair:reveal', { pairId, flash: true });
 
-            // Update current question index
-            const pairIndex = this.currentPairs.findIndex(p => p.id === pairId);
-            if (pairIndex !== -1) {
-                this.currentQuestionIndex = pairIndex;
-            }
+        // Update current question index
+        const pairIndex = this.pairIndexById.get(pairId);
+        if (pairIndex !== undefined) {
+            this.currentQuestionIndex = pairIndex;
         }
     }
 
@@ -148,8 +145,8 @@ export class QuestionNavigator {
      * Update current question without scrolling (for programmatic navigation)
      */
     updateCurrentQuestion(pairId) {
-        const pairIndex = this.currentPairs.findIndex(p => p.id === pairId);
-        if (pairIndex !== -1 && pairIndex !== this.currentQuestionIndex) {
+        const pairIndex = this.pairIndexById.get(pairId);
+        if (pairIndex !== undefined && pairIndex !== this.currentQuestionIndex) {
             this.currentQuestionIndex = pairIndex;
             this.updateButtonStates();
 
@@ -179,10 +176,10 @@ export class QuestionNavigator {
         let closestDistance = Infinity;
         let closestIndex = -1;
 
-        // Find the pair container closest to the target position
-        for (let i = 0; i < this.currentPairs.length; i++) {
-            const pairElement = document.querySelector(`.pair-container[data-pair-id="${this.currentPairs[i].id}"]`);
-            if (!pairElement) continue;
+        // Find the pair container closest to the target position (only pairs near the viewport are rendered)
+        for (const pairElement of this.messagesContainer.querySelectorAll('.pair-container')) {
+            const i = this.pairIndexById.get(pairElement.dataset.pairId);
+            if (i === undefined) continue;
 
             const rect = pairElement.getBoundingClientRect();
 
@@ -0,0 +1,169 @@
+/**
+ * RangeExportDialog - Saves a project file with only the conversations matching a set of criteria
+ * (date range, folder, source, model, starred state, search query) and the folders they use
+ */
+
+import { t } from '../i18n/i18n.js';
+import { DateFilter } from './DateFilter.js';
+import { SearchQuery } from '../utils/SearchQuery.js';
+import { FileUtils } from '../utils/FileUtils.js';
+import { HtmlUtils } from '../utils/HtmlUtils.js';
+
+// Serializing the selection for the size preview is expensive on large libraries
+const PREVIEW_DELAY = 300;
+
+export class RangeExportDialog {
+    constructor(eventBus, data) {
+        this.eventBus = eventBus;
+        this.data = data;
+        this.previewTimer = null;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('cancelRangeExport').addEventListener('click', () => {
+            this.hideDialog();
+        });
+
+        document.getElementById('confirmRangeExport').addEventListener('click', () => {
+            this.export();
+        });
+
+        document.getElementById('resetRangeExport').addEventListener('click', () => {
+            this.resetForm();
+            this.schedulePreview();
+        });
+
+        const dialog = document.getElementById('rangeExportDialog');
+        dialog.addEventListener('input', () => this.schedulePreview());
+        dialog.addEventListener('change', () => this.schedulePreview());
+    }
+
+    showDialog() {
+        this.populateSelects();
+        document.getElementById('rangeExportDialog').style.display = 'flex';
+        this.updatePreview();
+    }
+
+    hideDialog() {
+        clearTimeout(this.previewTimer);
+        document.getElementById('rangeExportDialog').style.display = 'none';
+    }
+
+    resetForm() {
+        document.getElementById('rangeDateType').value = 'createTime';
+        document.getElementById('rangeStartDate').value = '';
+        document.getElementById('rangeEndDate').value = '';
+        ['rangeFolder', 'rangeSource', 'rangeModel', 'rangeStarred'].forEach(id => {
+            document.getElementById(id).value = 'any';
+        });
+        document.getElementById('rangeQuery').value = '';
+    }
+
+    /**
+     * Fill the folder, source and model choices from the library (keeps the current choices)
+     */
+    populateSelects() {
+        const sources = new Set();
+        const models = new Set();
+        this.data.conversations.forEach(conv => {
+            if (conv.source) sources.add(conv.source);
+            conv.pairs.forEach(pair => {
+                pair.answers.forEach(answer => {
+                    if (answer.model) models.add(answer.model);
+                });
+            });
+        });
+
+        const fill = (id, fixedOptions, values) => {
+            const select = document.getElementById(id);
+            const previous = select.value;
+            select.innerHTML = [
+                ...fixedOptions.map(([value, label]) => `<option value="${value}">${HtmlUtils.escapeHtml(label)}</option>`),
+                ...values.map(([value, label]) => `<option value="${HtmlUtils.escapeHtml(value)}">${HtmlUtils.escapeHtml(label)}</option>`)
+            ].join('');
+            select.value = Array.from(select.options).some(option => option.value === previous) ? previous : 'any';
+        };
+
+        fill('rangeFolder',
+            [['any', t('dialogs.rangeExport.anyFolder')], ['none', t('dialogs.rangeExport.noFolder')]],
+            this.data.folders.map(folder => [folder.id, folder.name]));
+        fill('rangeSource',
+            [['any', t('dialogs.rangeExport.anySource')]],
+            Array.from(sources).sort().map(source => [source, source]));
+        fill('rangeModel',
+            [['any', t('dialogs.rangeExport.anyModel')]],
+            Array.from(models).sort().map(model => [model, model]));
+    }
+
+    getCriteria() {
+        return {
+            dateType: document.getElementById('rangeDateType').value,
+            startDate: document.getElementById('rangeStartDate').value || null,
+            endDate: document.getElementById('rangeEndDate').value || null,
+            folder: document.getElementById('rangeFolder').value,
+            source: document.getElementById('rangeSource').value,
+            model: document.getElementById('rangeModel').value,
+            starred: document.getElementById('rangeStarred').value,
+            query: document.getElementById('rangeQuery').value.trim()
+        };
+    }
+
+    /**
+     * Conversations matching the criteria, in library order
+     */
+    getSelection(criteria) {
+        // Dates and free text use the global search evaluation, like the sidebar filter
+        const dateQuery = DateFilter.buildQuery({ type: criteria.dateType, startDate: criteria.startDate, endDate: criteria.endDate });
+        const query = SearchQuery.parse([criteria.query, dateQuery].join(' '));
+        const context = { folders: this.data.folders };
+
+        return this.data.conversations.filter(conv => {
+            if (criteria.folder === 'none' && conv.folderId) return false;
+            if (criteria.folder !== 'any' && criteria.folder !== 'none' && conv.folderId !== criteria.folder) return false;
+            if (criteria.source !== 'any' && conv.source !== criteria.source) return false;
+            if (criteria.model !== 'any' &&
+                !conv.pairs.some(pair => pair.answers.some(answer => answer.model === criteria.model))) return false;
+            if (criteria.starred === 'starred' && !conv.starred) return false;
+            if (criteria.starred === 'unstarred' && conv.starred) return false;
+            if (criteria.starred === 'starredPairs' && !conv.pairs.some(pair => pair.starred)) return false;
+            return SearchQuery.matchesConversation(query, conv, context);
+        });
+    }
+
+    buildFile(conversations) {
+        const project = this.data.exportProject(conversations);
+        return new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
+    }
+
+    schedulePreview() {
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => this.updatePreview(), PREVIEW_DELAY);
+    }
+
+    updatePreview() {
+        const conversations = this.getSelection(this.getCriteria());
+        const pairCount = conversations.reduce((sum, conv) => sum + conv.pairs.length, 0);
+        const preview = document.getElementById('rangeExportPreview');
+
+        if (conversations.length === 0) {
+            preview.textContent = t('dialogs.rangeExport.noMatches');
+        } else {
+            preview.textContent = t('dialogs.rangeExport.preview', {
+                conversations: t('dialogs.export.conversationCount', { count: conversations.length }),
+                pairs: t('dialogs.export.pairCount', { count: pairCount }),
+                size: FileUtils.formatBytes(this.buildFile(conversations).size)
+            });
+        }
+        document.getElementById('confirmRangeExport').disabled = conversations.length === 0;
+    }
+
+    export() {
+        const conversations = this.getSelection(this.getCriteria());
+        if (conversations.length === 0) return;
+
+        const date = new Date().toISOString().split('T')[0];
+        FileUtils.downloadBlob(this.buildFile(conversations), `chatgpt-parser-export-${date}-custom.json`);
+        this.hideDialog();
+    }
+}
@@ -0,0 +1,202 @@
+/**
+ * SearchResults - Lists every matching pair across all conversations for a global search
+ * Clicking a result jumps to the pair via 'conversation:selectWithPair'
+ * Conversations without a single matching pair (matched by title, or with the terms spread over
+ * several pairs) get one row that opens the conversation
+ */
+
+import { t } from '../i18n/i18n.js';
+import { SearchQuery } from '../utils/SearchQuery.js';
+import { DateUtils } from '../utils/DateUtils.js';
+import { HtmlUtils } from '../utils/HtmlUtils.js';
+
+// Rendering thousands of results at once would freeze the pane
+const MAX_RESULTS = 300;
+const SNIPPET_CONTEXT = 80;
+
+export class SearchResults {
+    constructor(eventBus, data, onClose) {
+        this.eventBus = eventBus;
+        this.data = data;
+        this.onClose = onClose;
+        this.isOpen = false;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('closeSearchResults').addEventListener('click', () => {
+            this.close();
+        });
+    }
+
+    /**
+     * Show the pane (the caller renders results with render())
+     */
+    open() {
+        this.isOpen = true;
+        document.getElementById('uploadState').style.display = 'none';
+        document.getElementById('chatView').style.display = 'none';
+        document.getElementById('searchResultsView').style.display = 'flex';
+    }
+
+    /**
+     * Hide the pane without restoring the main view
+     */
+    hide() {
+        this.isOpen = false;
+        document.getElementById('searchResultsView').style.display = 'none';
+    }
+
+    /**
+     * Hide the pane and go back to the conversation (or upload screen)
+     */
+    close() {
+        if (!this.isOpen) return;
+        this.hide();
+        if (this.onClose) {
+            this.onClose();
+        }
+    }
+
+    /**
+     * Render matching pairs (and conversations that match without a single matching pair)
+     * @param {Object} query - Parsed query (SearchQuery.parse)
+     * @param {Array} conversations - Matching conversations, in display order
+     */
+    render(query, conversations) {
+        const list = document.getElementById('searchResultsList');
+        const title = document.getElementById('searchResultsTitle');
+        const terms = SearchQuery.getHighlightTerms(query);
+        const context = { folders: this.data.folders };
+
+        const hits = [];
+        conversations.forEach(conv => {
+            const pairHits = conv.pairs.filter(pair => SearchQuery.matchesPair(query, conv, pair, context));
+            if (pairHits.length > 0) {
+                pairHits.forEach(pair => hits.push({ conv, pair }));
+            } else {
+                // Matched through its title, or the terms are spread over different pairs
+                const label = SearchQuery.matchesTitle(query, conv, context)
+                    ? t('searchResults.titleMatch')
+                    : t('searchResults.messagesMatch');
+                hits.push({ conv, pair: null, label });
+            }
+        });
+
+        title.textContent = hits.length > 0
+            ? t('searchResults.count', { count: hits.length })
+            : t('searchResults.empty');
+
+        list.innerHTML = '';
+        hits.slice(0, MAX_RESULTS).forEach(hit => {
+            list.appendChild(hit.pair
+                ? this.createResultElement(hit.conv, hit.pair, terms)
+                : this.createConversationResultElement(hit.conv, hit.label, terms));
+        });
+
+        if (hits.length > MAX_RESULTS) {
+            const more = document.createElement('div');
+            more.className = 'search-results-more';
+            more.textContent = t('searchResults.limited', { limit: MAX_RESULTS });
+            list.appendChild(more);
+        }
+    }
+
+    createResultElement(conv, pair, terms) {
+        const item = document.createElement('div');
+        item.className = 'search-result-item';
+
+        const date = DateUtils.formatDateTime(DateUtils.timestampToDate(pair.question.timestamp || conv.createTime));
+        const model = pair.answers.find(answer => answer.model)?.model;
+        const modelBadge = model ? `<span class="model-badge">${HtmlUtils.escapeHtml(model)}</span>` : '';
+
+        item.innerHTML = `
+            <div class="search-result-header">
+                <span class="search-result-title">${HtmlUtils.escapeHtml(conv.title)}</span>
+                ${modelBadge}
+            </div>
+            <div class="search-result-snippet">${this.buildSnippet(pair, terms)}</div>
+            <div class="search-result-meta">${date}</div>
+        `;
+
+        item.addEventListener('click', () => {
+            // Selecting the conversation renders the chat view
+            this.hide();
+            this.eventBus.emit('conversation:selectWithPair', { conversationId: conv.id, pairId: pair.id });
+        });
+
+        return item;
+    }
+
+    createConversationResultElement(conv, label, terms) {
+        const item = document.createElement('div');
+        item.className = 'search-result-item';
+
+        const date = DateUtils.formatDateTime(DateUtils.timestampToDate(conv.createTime));
+
+        item.innerHTML = `
+            <div class="search-result-header">
+                <span class="search-result-title">${this.highlight(conv.title, terms)}</span>
+            </div>
+            <div class="search-result-snippet search-result-conversation-match">${HtmlUtils.escapeHtml(label)}</div>
+            <div class="search-result-meta">${date}</div>
+        `;
+
+        item.addEventListener('click', () => {
+            this.hide();
+            this.eventBus.emit('conversation:select', { id: conv.id });
+        });
+
+        return item;
+    }
+
+    /**
+     * Cut a snippet around the first match and highlight every term in it
+     */
+    buildSnippet(pair, terms) {
+        const texts = [pair.question.content, ...pair.answers.map(answer => answer.content)]
+            .filter(Boolean)
+            .map(text => text.replace(/\s+/g, ' ').trim());
+
+        // Find the first text containing a term (fall back to the question)
+        let text = texts[0] || '';
+        let matchIndex = -1;
+        for (const candidate of texts) {
+            const lower = candidate.toLowerCase();
+            const indexes = terms.map(term => lower.indexOf(term)).filter(index => index !== -1);
+            if (indexes.length > 0) {
+                text = candidate;
+                matchIndex = Math.min(...indexes);
+                break;
+            }
+        }
+
+        const start = Math.max(0, matchIndex - SNIPPET_CONTEXT);
+        const end = Math.min(text.length, Math.max(matchIndex, 0) + SNIPPET_CONTEXT * 2);
+        const snippet = (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+        return this.highlight(snippet, terms);
+    }
+
+    /**
+     * Escape text and wrap every term in <mark>
+     * Terms are matched in the raw text so a search for "amp" cannot split an entity like &amp;
+     */
+    highlight(text, terms) {
+        text = text || '';
+        const pattern = terms
+            .filter(Boolean)
+            .map(term => HtmlUtils.escapeRegex(term))
+            .sort((a, b) => b.length - a.length)
+            .join('|');
+        if (!pattern) return HtmlUtils.escapeHtml(text);
+
+        let html = '';
+        let lastIndex = 0;
+        for (const match of text.matchAll(new RegExp(pattern, 'gi'))) {
+            html += HtmlUtils.escapeHtml(text.slice(lastIndex, match.index));
+            html += `<mark>${HtmlUtils.escapeHtml(match[0])}</mark>`;
+            lastIndex = match.index + match[0].length;
+        }
+        return html + HtmlUtils.escapeHtml(text.slice(lastIndex));
+    }
+}
@@ -0,0 +1,133 @@
+/**
+ * StreamingImporter - Imports large JSON exports in a Web Worker
+ * Shows a cancellable progress dialog (conversations parsed, bytes read, ETA)
+ */
+
+import { t } from '../i18n/i18n.js';
+import { DateUtils } from '../utils/DateUtils.js';
+import { FileUtils } from '../utils/FileUtils.js';
+
+// Files larger than this are parsed in the worker instead of on the UI thread
+const STREAMING_THRESHOLD_BYTES = 5 * 1024 * 1024;
+
+export class StreamingImporter {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.worker = null;
+        this.finishImport = null;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('cancelImportProgress').addEventListener('click', () => {
+            this.cancel();
+        });
+    }
+
+    /**
+     * Check if a file should go through the streaming worker
+     */
+    shouldStream(file) {
+        return file.size > STREAMING_THRESHOLD_BYTES &&
+               typeof Worker !== 'undefined' &&
+               typeof file.stream === 'function';
+    }
+
+    /**
+     * Parse a JSON export in the worker
+     * @param {File} file - JSON export file
+     * @returns {Promise<Object>} { conversations, warnings, project, cancelled } - project is set for Save Project files
+     */
+    importFile(file) {
+        return new Promise((resolve, reject) => {
+            const conversations = [];
+
+            this.worker = new Worker(new URL('../workers/importWorker.js', import.meta.url));
+            this.showDialog(file);
+
+            this.finishImport = (result, error) => {
+                this.worker.terminate();
+                this.worker = null;
+                this.finishImport = null;
+                this.hideDialog();
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(result);
+                }
+            };
+
+            this.worker.onmessage = (event) => {
+                // Ignore messages that arrive after a cancel
+                if (!this.finishImport) return;
+
+                const message = event.data;
+
+                switch (message.type) {
+                    case 'batch':
+                        conversations.push(...message.conversations);
+                        this.updateProgress(message.progress);
+                        break;
+                    case 'progress':
+                        this.updateProgress(message.progress);
+                        break;
+                    case 'done':
+                        this.finishImport({ conversations, warnings: message.warnings, project: message.project, cancelled: false });
+                        break;
+                    case 'error':
+                        this.finishImport(null, new Error(message.message));
+                        break;
+                }
+            };
+
+            this.worker.onerror = (event) => {
+                event.preventDefault();
+                if (!this.finishImport) return;
+                this.finishImport(null, new Error(event.message || 'Import worker failed'));
+            };
+
+            this.worker.postMessage({ type: 'start', file });
+        });
+    }
+
+    /**
+     * Stop the running import and discard everything parsed so far
+     */
+    cancel() {
+        if (this.finishImport) {
+            this.finishImport({ conversations: [], warnings: [], project: null, cancelled: true });
+        }
+    }
+
+    showDialog(file) {
+        document.getElementById('importProgressFile').textContent = file.name;
+        this.updateProgress({ conversations: 0, bytesRead: 0, totalBytes: file.size, elapsedMs: 0 });
+        document.getElementById('importProgressDialog').style.display = 'flex';
+    }
+
+    hideDialog() {
+        document.getElementById('importProgressDialog').style.display = 'none';
+    }
+
+    updateProgress(progress) {
+        const { conversations, bytesRead, totalBytes, elapsedMs } = progress;
+        const fraction = totalBytes > 0 ? Math.min(bytesRead / totalBytes, 1) : 0;
+
+        document.getElementById('importProgressFill').style.width = `${(fraction * 100).toFixed(1)}%`;
+        document.getElementById('importProgressCount').textContent =
+            t('dialogs.importProgress.conversations', { count: conversations });
+        document.getElementById('importProgressBytes').textContent = t('dialogs.importProgress.bytes', {
+            read: FileUtils.formatBytes(bytesRead),
+            total: FileUtils.formatBytes(totalBytes)
+        });
+
+        // Estimate remaining time from the average read rate so far
+        const etaEl = document.getElementById('importProgressEta');
+        if (bytesRead > 0 && elapsedMs > 0 && fraction < 1) {
+            const remainingSeconds = (elapsedMs / 1000) * (totalBytes - bytesRead) / bytesRead;
+            etaEl.textContent = t('dialogs.importProgress.eta', { time: DateUtils.formatDuration(remainingSeconds) });
+        } else {
+            etaEl.textContent = t('dialogs.importProgress.estimating');
+        }
+    }
+}
@@ -0,0 +1,74 @@
+/**
+ * ZipImporter - Extracts conversation files and attached images/files from vendor export archives
+ * (ChatGPT, Claude and DeepSeek all ship their exports as ZIP files)
+ */
+
+import { ZipReader } from '../utils/ZipReader.js';
+import { FileUtils } from '../utils/FileUtils.js';
+
+// Files inside an export archive that contain conversation data
+// (Claude's projects.json and users.json hold account and project metadata, no conversations)
+const CONVERSATION_FILES = ['conversations.json', 'chat.html'];
+
+export class ZipImporter {
+    /**
+     * Extract an export archive
+     * @param {File} file - ZIP archive
+     * @returns {Promise<Object>} { files: File[], assets: [{ id, name, mimeType, size, blob }] }
+     */
+    async extract(file) {
+        if (!ZipReader.isSupported()) {
+            throw new Error('This browser cannot read ZIP files. Please extract the archive and import conversations.json instead.');
+        }
+
+        const zip = await ZipReader.open(file);
+        const conversationEntries = [];
+        const assetEntries = [];
+
+        zip.entries.forEach(entry => {
+            const baseName = entry.name.split('/').pop();
+
+            // Skip macOS resource forks and hidden files
+            if (entry.name.startsWith('__MACOSX/') || baseName.startsWith('.')) {
+                return;
+            }
+
+            if (CONVERSATION_FILES.includes(baseName.toLowerCase())) {
+                conversationEntries.push(entry);
+            } else if (!baseName.toLowerCase().endsWith('.json')) {
+                // Other JSON files are export metadata (users, projects, feedback, shared links, ...)
+                assetEntries.push(entry);
+            }
+        });
+
+        // ChatGPT's chat.html embeds the same data as conversations.json
+        const baseNames = conversationEntries.map(entry => entry.name.split('/').pop().toLowerCase());
+        const selectedEntries = baseNames.includes('conversations.json')
+            ? conversationEntries.filter((entry, idx) => baseNames[idx] !== 'chat.html')
+            : conversationEntries;
+
+        const files = [];
+        for (const entry of selectedEntries) {
+            files.push(await zip.readFile(entry, FileUtils.getMimeType(entry.name)));
+        }
+
+        // Files named after a ChatGPT file id keep that id; other names ("image.png") are only
+        // unique within this archive, so their id is scoped to it
+        const archiveId = `archive-${Date.now().toString(36)}`;
+        const assets = [];
+        for (const entry of assetEntries) {
+            const name = entry.name.split('/').pop();
+            const mimeType = FileUtils.getMimeType(name);
+            const fileId = FileUtils.getAssetId(name);
+            assets.push({
+                id: fileId !== name ? fileId : `${archiveId}/${entry.name}`,
+                name,
+                mimeType,
+                size: entry.size,
+                blob: await zip.readBlob(entry, mimeType)
+            });
+        }
+
+        return { files, assets };
+    }
+}
@@ -7,10 +7,22 @@ import { HtmlUtils } from './utils/HtmlUtils.js';
 import { MessageRenderer } from './features/MessageRenderer.js';
 import { QuestionNavigator } from './features/QuestionNavigator.js';
 import { DateFilter } from './features/DateFilter.js';
+import { SearchQuery } from './utils/SearchQuery.js';
+import { SearchResults } from './features/SearchResults.js';
+import { ExportDialog } from './features/ExportDialog.js';
+import { RangeExportDialog } from './features/RangeExportDialog.js';
+import { DuplicateDiff } from './features/DuplicateDiff.js';
+import { DuplicateFinder } from './features/DuplicateFinder.js';
+import { ArtifactLibrary } from './features/ArtifactLibrary.js';
+import { ArtifactHistory } from './features/ArtifactHistory.js';
 import { FolderManager } from './features/FolderManager.js';
 import { ContextMenu } from './features/ContextMenu.js';
 import { ConversationList } from './features/ConversationList.js';
 import { MobileUI } from './features/MobileUI.js';
+import { StreamingImporter } from './features/StreamingImporter.js';
+import { ZipImporter } from './features/ZipImporter.js';
+import { ZipReader } from './utils/ZipReader.js';
+import { FileUtils } from './utils/FileUtils.js';
 import { DocumentationRenderer } from './docs/DocumentationRenderer.js';
 
 // i18n imports
@@ -24,9 +36,10 @@ class ChatGPTParserApp {
     constructor() {
         this.data = chatData;
         this.currentView = 'upload';
-        this.searchResults = [];
         this.currentSort = 'newestCreated';
         this.highlightedPairId = null;
+        this.listUpdateId = 0;
+        this.lastSearch = null; // { text, query, conversations } of the active global search
         this.languageSelectListener = null; // Track language switcher listener
 
         // Initialize features
@@ -38,10 +51,21 @@ class ChatGPTParserApp {
         // Date filter and folder manager need callbacks
         this.dateFilter = new DateFilter(eventBus, this.data, () => this.updateConversationList());
         this.folderManager = new FolderManager(eventBus, this.data, () => this.updateConversationList());
+        this.searchResults = new SearchResults(eventBus, this.data, () => this.updateMainView());
+        this.exportDialog = new ExportDialog(eventBus, this.data, () => this.lastSearch);
+        this.rangeExportDialog = new RangeExportDialog(eventBus, this.data);
+        this.duplicateDiff = new DuplicateDiff(eventBus, this.data);
+        this.duplicateFinder = new DuplicateFinder(eventBus, this.data, () => this.updateUI());
+        this.artifactLibrary = new ArtifactLibrary(eventBus, this.data, () => this.updateMainView());
+        this.artifactHistory = new ArtifactHistory(eventBus, this.data);
 
         // Mobile UI
         this.mobileUI = new MobileUI(eventBus);
 
+        // Worker-based import for large JSON exports
+        this.streamingImporter = new StreamingImporter(eventBus);
+        this.zipImporter = new ZipImporter();
+
         // Documentation renderer (initialized later)
         this.documentationRenderer = null;
 
@@ -67,6 +91,7 @@ class ChatGPTParserApp {
         this.initTheme();
 
         await this.data.loadFromStorage();
+        this.data.buildSearchIndex();
         this.currentSort = this.data.currentSort || 'newestCreated';
         document.getElementById('sortSelect').value = this.currentSort;
 
@@ -163,9 +188,43 @@ class ChatGPTParserApp {
             document.getElementById('fileInput').click();
         });
 
+        // Drag and drop files anywhere on the page
+        document.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            document.body.classList.add('drag-over');
+        });
+
+        document.addEventListener('dragleave', (e) => {
+            // relatedTarget is null when the pointer leaves the window
+            if (!e.relatedTarget) {
+                document.body.classList.remove('drag-over');
+            }
+        });
+
+        document.addEventListener('drop', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            document.body.classList.remove('drag-over');
+            this.handleFileUpload(e.dataTransfer.files);
+        });
+
+        // Write batched edits before the page goes away
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.data.flushChanges();
+            }
+        });
+        window.addEventListener('pagehide', () => {
+            this.data.flushChanges();
+        });
+
         // Sort control
         document.getElementById('sortSelect').addEventListener('change', (e) => {
             this.currentSort = e.target.value;
+            this.data.currentSort = this.currentSort;
+            this.data.saveSetting('currentSort', this.currentSort);
             this.updateConversationList();
         });
 
@@ -182,6 +241,17 @@ class ChatGPTParserApp {
             this.handleGlobalSearch(e.target.value);
         });
 
+        // Enter lists every matching message across conversations
+        document.getElementById('globalSearchInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.openSearchResults();
+            }
+        });
+
+        document.getElementById('showSearchResultsBtn').addEventListener('click', () => {
+            this.openSearchResults();
+        });
+
         // Sidebar toggle
         document.getElementById('sidebarToggle').addEventListener('click', () => {
             this.toggleSidebar();
@@ -207,6 +277,14 @@ class ChatGPTParserApp {
             this.deleteCurrentThread();
         });
 
+        document.getElementById('exportThreadBtn').addEventListener('click', () => {
+            this.exportDialog.showDialog({ scope: 'conversation' });
+        });
+
+        document.getElementById('exportSearchResults').addEventListener('click', () => {
+            this.exportDialog.showDialog({ scope: 'search' });
+        });
+
         // Thread search - connect to MessageRenderer via EventBus
         document.getElementById('threadSearchInput').addEventListener('input', (e) => {
             eventBus.emit('search:query', { query: e.target.value });
@@ -231,6 +309,18 @@ class ChatGPTParserApp {
             eventBus.emit('search:clear');
         });
 
+        // Thread search toggles (match case, whole word, regex) and scope
+        document.querySelectorAll('.search-option-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                const isActive = button.classList.toggle('active');
+                eventBus.emit('search:options', { [button.dataset.searchOption]: isActive });
+            });
+        });
+
+        document.getElementById('searchScopeSelect').addEventListener('change', (e) => {
+            eventBus.emit('search:options', { scope: e.target.value });
+        });
+
         // Save project
         document.getElementById('saveProjectBtn').addEventListener('click', () => {
             this.saveProject();
@@ -290,6 +380,14 @@ class ChatGPTParserApp {
                 this.updateMainView();
             }
         });
+
+        // Switch between regenerated answers / edited prompts
+        eventBus.on('branch:switch', async (data) => {
+            if (this.data.currentConversationId) {
+                await this.data.switchBranch(this.data.currentConversationId, data.nodeId, data.offset);
+                this.updateUI();
+            }
+        });
     }
 
     async handleFileUpload(files) {
@@ -297,20 +395,53 @@ class ChatGPTParserApp {
 
         const totalConversations = [];
         const allWarnings = [];
+        const projects = []; // Save Project files are restored instead of imported
+        const archiveAssets = new Map(); // File extracted from an export archive -> that archive's assets
+        const assets = []; // Saved once the conversations that use them are added
+        const queue = Array.from(files);
 
-        for (const file of files) {
+        while (queue.length > 0) {
+            const file = queue.shift();
             try {
-                const content = await file.text();
                 let conversations = [];
                 let warnings = [];
 
-                if (file.name.endsWith('.json')) {
-                    const jsonData = JSON.parse(content);
-                    const result = this.data.parseJSONExport(jsonData);
+                if (ZipReader.isZipFile(file)) {
+                    // Export archive: queue the conversation files it contains
+                    const { files: innerFiles, assets: fileAssets } = await this.zipImporter.extract(file);
+                    assets.push(...fileAssets);
+                    innerFiles.forEach(innerFile => archiveAssets.set(innerFile, fileAssets));
+                    queue.unshift(...innerFiles);
+                    continue;
+                }
+
+                if (file.name.endsWith('.json') && this.streamingImporter.shouldStream(file)) {
+                    // Large export: parse in a worker so the UI stays responsive
+                    const result = await this.streamingImporter.importFile(file);
+                    if (result.cancelled) {
+                        // Only this file is dropped; the rest of the batch still imports
+                        continue;
+                    }
                     conversations = result.conversations;
                     warnings = result.warnings;
+                    if (result.project) {
+                        projects.push(result.project);
+                    }
+                } else if (file.name.endsWith('.json')) {
+                    const jsonData = JSON.parse(await file.text());
+                    if (this.data.isProjectFile(jsonData)) {
+                        projects.push(jsonData);
+                    } else {
+                        const result = this.data.parseJSONExport(jsonData);
+                        conversations = result.conversations;
+                        warnings = result.warnings;
+                    }
                 } else if (file.name.endsWith('.html')) {
-                    conversations = this.data.parseHTMLExport(content);
+                    conversations = this.data.parseHTMLExport(await file.text());
+                }
+
+                if (archiveAssets.has(file)) {
+                    this.data.linkArchiveAssets(conversations, archiveAssets.get(file));
                 }
 
                 totalConversations.push(...conversations);
@@ -325,27 +456,93 @@ class ChatGPTParserApp {
             console.warn('Import warnings:', allWarnings);
         }
 
+        for (const project of projects) {
+            await this.restoreProject(project);
+        }
+
         if (totalConversations.length > 0) {
             // Check for duplicates
             const { duplicates, new: newConvs } = this.data.detectDuplicates(totalConversations);
 
             if (duplicates.length > 0) {
                 // Show duplicate dialog
-                this.showDuplicateDialog(duplicates, newConvs, totalConversations.length);
+                this.showDuplicateDialog(duplicates, newConvs, totalConversations.length, assets);
             } else {
                 // No duplicates, import all
-                await this.data.addConversations(totalConversations);
+                await this.data.addConversations(totalConversations, [], assets);
                 alert(t('alerts.importSuccess', { count: totalConversations.length }));
                 this.updateUI();
             }
-        } else {
+        } else if (projects.length === 0) {
             alert(t('alerts.noConversationsFound'));
         }
 
         document.getElementById('fileInput').value = '';
     }
 
-    showDuplicateDialog(duplicates, newConvs, totalCount) {
+    /**
+     * Restore a Save Project file, asking first if it replaces conversations in the library
+     */
+    async restoreProject(project) {
+        let report;
+        try {
+            report = this.data.diffProject(project);
+        } catch (error) {
+            alert(t('alerts.projectRestoreError', { message: error.message }));
+            return;
+        }
+
+        if (report.warnings.length > 0) {
+            console.warn('Project restore warnings:', report.warnings);
+        }
+
+        const summary = this.formatRestoreReport(report);
+        if (report.updated.length > 0 &&
+            !confirm(t('projectRestore.confirm', { count: report.updated.length, summary }))) {
+            return;
+        }
+
+        await this.data.importProject(project);
+        alert(summary ? t('projectRestore.done', { summary }) : t('projectRestore.nothingChanged'));
+        this.updateUI();
+    }
+
+    /**
+     * Describe a restore report (see ChatGPTData.diffProject), one line per kind of change
+     */
+    formatRestoreReport(report) {
+        const lines = [];
+
+        if (report.added.length > 0) {
+            lines.push(t('projectRestore.added', { count: report.added.length }));
+        }
+
+        if (report.updated.length > 0) {
+            const changeCounts = { title: 0, stars: 0, folder: 0, messages: 0 };
+            report.updated.forEach(item => item.changes.forEach(change => changeCounts[change]++));
+            const details = Object.entries(changeCounts)
+                .filter(([, count]) => count > 0)
+                .map(([change, count]) => t(`projectRestore.change.${change}`, { count }))
+                .join(', ');
+            lines.push(`${t('projectRestore.updated', { count: report.updated.length })} (${details})`);
+        }
+
+        if (report.foldersAdded.length > 0) {
+            lines.push(t('projectRestore.foldersAdded', { count: report.foldersAdded.length }));
+        }
+        if (report.foldersUpdated.length > 0) {
+            lines.push(t('projectRestore.foldersUpdated', { count: report.foldersUpdated.length }));
+        }
+
+        // Only worth mentioning next to actual changes
+        if (lines.length > 0 && report.unchanged > 0) {
+            lines.push(t('projectRestore.unchanged', { count: report.unchanged }));
+        }
+
+        return lines.join('\n');
+    }
+
+    showDuplicateDialog(duplicates, newConvs, totalCount, assets = []) {
         const dialog = document.getElementById('duplicateDialog');
         const summary = document.getElementById('duplicateSummary');
         const list = document.getElementById('duplicateList');
@@ -362,6 +559,7 @@ class ChatGPTParserApp {
 
         // Build duplicate list
         list.innerHTML = '';
+        list.classList.remove('merge-preview');
         this.duplicateChoices = new Map(); // Store individual choices
 
         duplicates.forEach(dup => {
@@ -381,26 +579,38 @@ class ChatGPTParserApp {
                         <span><span class="duplicate-badge old">${t('dialogs.duplicate.existing')}</span> ${oldDate} • ${t('dialogs.duplicate.messages', { count: oldPairCount })}</span>
                         <span><span class="duplicate-badge new">${t('dialogs.duplicate.new')}</span> ${newDate} • ${t('dialogs.duplicate.messages', { count: newPairCount })}</span>
                     </div>
+                    ${dup.match === 'content' ? `<div class="duplicate-item-match">${t('dialogs.duplicate.contentMatch', { percent: Math.round(dup.similarity * 100) })}</div>` : ''}
+                    <div class="duplicate-item-merge">${HtmlUtils.escapeHtml(DuplicateDiff.formatMergeSummary(dup.merge.summary))}</div>
+                    <button class="duplicate-compare-btn">${t('dialogs.duplicate.compare')}</button>
                 </div>
                 <div class="duplicate-item-choices">
                     <button class="duplicate-choice-btn" data-action="keep" title="${t('dialogs.duplicate.keepOld')}">${t('dialogs.duplicate.keepOld')}</button>
+                    <button class="duplicate-choice-btn" data-action="merge" title="${t('dialogs.duplicate.merge')}">${t('dialogs.duplicate.merge')}</button>
                     <button class="duplicate-choice-btn" data-action="overwrite" title="${t('dialogs.duplicate.useNew')}">${t('dialogs.duplicate.useNew')}</button>
                 </div>
             `;
 
             // Add click handlers for choice buttons
             const buttons = item.querySelectorAll('.duplicate-choice-btn');
+            const choose = (action) => {
+                buttons.forEach(b => b.classList.toggle('selected', b.dataset.action === action));
+                this.duplicateChoices.set(dup.id, action);
+            };
             buttons.forEach(btn => {
-                btn.addEventListener('click', () => {
-                    buttons.forEach(b => b.classList.remove('selected'));
-                    btn.classList.add('selected');
-                    this.duplicateChoices.set(dup.id, btn.dataset.action);
+                btn.addEventListener('click', () => choose(btn.dataset.action));
+            });
+
+            // A choice made from the diff view switches to individual choices
+            item.querySelector('.duplicate-compare-btn').addEventListener('click', () => {
+                this.duplicateDiff.showDialog(dup, (action) => {
+                    choose(action);
+                    document.querySelector('input[name="duplicateAction"][value="choose"]').checked = true;
+                    handleActionChange();
                 });
             });
 
             // Default choice: keep old
-            this.duplicateChoices.set(dup.id, 'keep');
-            item.querySelector('[data-action="keep"]').classList.add('selected');
+            choose('keep');
 
             list.appendChild(item);
         });
@@ -419,12 +629,18 @@ class ChatGPTParserApp {
             const selected = document.querySelector('input[name="duplicateAction"]:checked').value;
             const items = document.querySelectorAll('.duplicate-item');
             const choiceButtons = document.querySelectorAll('.duplicate-choice-btn');
+            list.classList.toggle('merge-preview', selected === 'merge');
 
             if (selected === 'choose') {
                 items.forEach(item => item.style.display = 'flex');
                 choiceButtons.forEach(btn => btn.disabled = false);
                 applyBtn.style.display = 'block';
                 confirmBtn.style.display = 'none';
+            } else if (selected === 'merge') {
+                // Show what merging does to each conversation before it is applied
+                items.forEach(item => item.style.display = 'flex');
+                confirmBtn.style.display = 'block';
+                applyBtn.style.display = 'none';
             } else {
                 items.forEach(item => item.style.display = 'none');
                 confirmBtn.style.display = 'block';
@@ -447,7 +663,7 @@ class ChatGPTParserApp {
 
             if (selected === 'keepOld') {
                 // Import only new conversations
-                await this.data.addConversations(newConvs);
+                await this.data.addConversations(newConvs, [], assets);
                 alert(t('dialogs.duplicate.importedNew', {
                     count: newConvs.length,
                     duplicates: duplicates.length
@@ -455,11 +671,20 @@ class ChatGPTParserApp {
             } else if (selected === 'overwrite') {
                 // Import all, overwriting duplicates
                 const overwriteIds = duplicates.map(d => d.id);
-                await this.data.addConversations([...newConvs, ...duplicates.map(d => d.new)], overwriteIds);
+                await this.data.addConversations([...newConvs, ...duplicates.map(d => d.new)], overwriteIds, assets);
                 alert(t('dialogs.duplicate.importedAll', {
                     total: totalCount,
                     duplicates: duplicates.length
                 }));
+            } else if (selected === 'merge') {
+                // Import new conversations and merge every duplicate into the stored copy
+                const overwriteIds = duplicates.map(d => d.id);
+                await this.data.addConversations([...newConvs, ...duplicates.map(d => d.merge.conversation)], overwriteIds, assets);
+                alert(t('dialogs.duplicate.importedMerged', {
+                    count: newConvs.length,
+                    merged: duplicates.length,
+                    added: duplicates.reduce((sum, d) => sum + d.merge.summary.added, 0)
+                }));
             }
 
             dialog.style.display = 'none';
@@ -471,27 +696,32 @@ class ChatGPTParserApp {
             const overwriteIds = [];
             let keepCount = 0;
             let overwriteCount = 0;
+            let mergeCount = 0;
 
             this.duplicateChoices.forEach((action, id) => {
                 if (action === 'overwrite') {
                     overwriteIds.push(id);
                     overwriteCount++;
+                } else if (action === 'merge') {
+                    overwriteIds.push(id);
+                    mergeCount++;
                 } else {
                     keepCount++;
                 }
             });
 
-            // Get new conversations to import (for overwrite)
+            // Get new or merged conversations to import (for overwrite and merge)
             const newToImport = duplicates
                 .filter(d => overwriteIds.includes(d.id))
-                .map(d => d.new);
+                .map(d => this.duplicateChoices.get(d.id) === 'merge' ? d.merge.conversation : d.new);
 
-            await this.data.addConversations([...newConvs, ...newToImport], overwriteIds);
+            await this.data.addConversations([...newConvs, ...newToImport], overwriteIds, assets);
 
-            alert(t('dialogs.duplicate.importResult', {
+            alert(t('dialogs.duplicate.importResultMerged', {
                 imported: newConvs.length + newToImport.length,
                 kept: keepCount,
-                replaced: overwriteCount
+                replaced: overwriteCount,
+                merged: mergeCount
             }));
 
             dialog.style.display = 'none';
@@ -516,9 +746,22 @@ class ChatGPTParserApp {
     }
 
     handleGlobalSearch(query) {
+        document.getElementById('showSearchResultsBtn').style.display = query.trim() ? 'block' : 'none';
         this.updateConversationList();
     }
 
+    openSearchResults() {
+        if (!document.getElementById('globalSearchInput').value.trim()) return;
+
+        this.artifactLibrary.hide();
+        this.searchResults.open();
+        this.updateConversationList();
+
+        if (window.innerWidth <= 768) {
+            document.getElementById('sidebar').classList.remove('open');
+        }
+    }
+
     toggleSidebar() {
         // Use MobileUI for proper mobile drawer handling
         if (this.mobileUI) {
@@ -564,14 +807,28 @@ class ChatGPTParserApp {
     saveProject() {
         const project = this.data.exportProject();
         const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `chatgpt-parser-export-${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        FileUtils.downloadBlob(blob, `chatgpt-parser-export-${new Date().toISOString().split('T')[0]}.json`);
+    }
+
+    showExportDialog() {
+        this.closeTabPanel();
+        this.exportDialog.showDialog();
+    }
+
+    showRangeExportDialog() {
+        this.closeTabPanel();
+        this.rangeExportDialog.showDialog();
+    }
+
+    showDuplicateFinder() {
+        this.closeTabPanel();
+        this.duplicateFinder.showDialog();
+    }
+
+    showArtifactLibrary() {
+        this.closeTabPanel();
+        this.searchResults.hide();
+        this.artifactLibrary.open();
     }
 
     async clearAllData() {
@@ -607,41 +864,52 @@ class ChatGPTParserApp {
         return sorted;
     }
 
-    updateConversationList() {
+    async updateConversationList() {
         let allConversations = this.data.conversations;
         const starredConversations = allConversations.filter(conv => conv.starred);
         const allStarredPairs = this.data.getStarredPairs();
 
-        const searchQuery = document.getElementById('globalSearchInput').value.trim();
+        // The date filter dialog is a shortcut for created:/updated:/active: clauses
+        const searchText = document.getElementById('globalSearchInput').value.trim();
+        const queryText = [searchText, this.dateFilter.toQuery()].join(' ').trim();
+        const query = SearchQuery.parse(queryText);
+        const requiredText = SearchQuery.getRequiredText(query);
 
-        if (searchQuery) {
-            const lowerQuery = searchQuery.toLowerCase();
-            allConversations = allConversations.filter(conv => {
-                if (conv.title.toLowerCase().includes(lowerQuery)) {
-                    return true;
-                }
-                return conv.pairs.some(pair =>
-                    pair.question.content.toLowerCase().includes(lowerQuery) ||
-                    pair.answers.some(ans => ans.content.toLowerCase().includes(lowerQuery))
-                );
-            });
-        }
+        // Ignore results of a search that a newer update has replaced
+        const updateId = ++this.listUpdateId;
 
-        // Apply date filter if active
-        if (this.dateFilter.filter.active) {
-            allConversations = allConversations.filter(conv => this.dateFilter.matches(conv));
+        if (query) {
+            // Narrow down to text matches (ranked by the full-text index), then apply the whole query
+            if (requiredText) {
+                allConversations = await this.data.searchConversations(requiredText);
+                if (updateId !== this.listUpdateId) return;
+            }
+
+            const context = { folders: this.data.folders };
+            allConversations = allConversations.filter(conv => SearchQuery.matchesConversation(query, conv, context));
         }
 
-        const sortedAll = this.sortConversations(allConversations);
+        // Text search results stay in relevance order
+        const sortedAll = requiredText ? allConversations : this.sortConversations(allConversations);
         const sortedStarred = this.sortConversations(starredConversations);
+        this.lastSearch = query ? { text: queryText, query, conversations: sortedAll } : null;
 
         // Use ConversationList module to render
         this.conversationList.render(sortedAll, sortedStarred, allStarredPairs);
+
+        if (this.searchResults.isOpen) {
+            if (searchText) {
+                this.searchResults.render(query, sortedAll);
+            } else {
+                this.searchResults.close();
+            }
+        }
     }
 
     async selectConversation(id) {
-        this.data.currentConversationId = id;
-        await this.data.saveToStorage();
+        this.searchResults.hide();
+        this.artifactLibrary.hide();
+        await this.data.setCurrentConversation(id);
         this.updateUI();
         eventBus.emit('search:clear');
 
@@ -651,7 +919,9 @@ class ChatGPTParserApp {
     }
 
     selectConversationWithHighlightedPair(conversationId, pairId) {
-        this.data.currentConversationId = conversationId;
+        this.searchResults.hide();
+        this.artifactLibrary.hide();
+        this.data.setCurrentConversation(conversationId);
         this.highlightedPairId = pairId;
         this.messageRenderer.highlightedPairId = pairId;
         this.updateUI();
@@ -671,6 +941,9 @@ class ChatGPTParserApp {
         const uploadState = document.getElementById('uploadState');
         const chatView = document.getElementById('chatView');
 
+        // The search results and artifacts panes cover the main view until they are closed
+        if (this.searchResults.isOpen || this.artifactLibrary.isOpen) return;
+
         if (!this.data.currentConversationId) {
             uploadState.style.display = 'flex';
             chatView.style.display = 'none';
@@ -698,20 +971,12 @@ class ChatGPTParserApp {
 
             // Scroll to highlighted pair if set
             if (this.highlightedPairId) {
-                const scrollToPair = (attempt = 0) => {
-                    const highlightedPair = document.querySelector(`.pair-container[data-pair-id="${this.highlightedPairId}"]`);
-                    if (highlightedPair) {
-                        highlightedPair.scrollIntoView({ behavior: 'smooth', block: 'start' });
-                        this.highlightedPairId = null;
-                        this.messageRenderer.highlightedPairId = null;
-                    } else if (attempt < 10) {
-                        setTimeout(() => scrollToPair(attempt + 1), 100);
-                    } else {
-                        this.highlightedPairId = null;
-                        this.messageRenderer.highlightedPairId = null;
-                    }
-                };
-                setTimeout(() => scrollToPair(), 200);
+                const pairId = this.highlightedPairId;
+                this.highlightedPairId = null;
+                requestAnimationFrame(() => {
+                    this.messageRenderer.scrollToPair(pairId);
+                    this.messageRenderer.highlightedPairId = null;
+                });
             }
         }
     }
@@ -0,0 +1,158 @@
+/**
+ * ArtifactPreview - Source / Preview toggle for HTML, SVG and Mermaid artifacts
+ *
+ * Previews run in an iframe sandboxed without allow-same-origin (no access to the app
+ * or its IndexedDB) and with a Content-Security-Policy that blocks every network request.
+ * Link clicks and refresh redirects are disabled too; a script can still send the frame
+ * itself to another page (there is no way to block that while scripts run).
+ * Mermaid is drawn to SVG in the app first (renderer loaded on demand, like KaTeX)
+ * and then shown the same way as an SVG artifact.
+ */
+
+import { t } from '../i18n/i18n.js';
+import { HtmlUtils } from './HtmlUtils.js';
+
+const PREVIEW_LANGUAGES = new Set(['html', 'svg', 'mermaid']);
+
+const PREVIEW_CSP = [
+    "default-src 'none'",
+    "script-src 'unsafe-inline'",
+    "style-src 'unsafe-inline'",
+    'img-src data: blob:',
+    'font-src data:',
+    'media-src data: blob:',
+    "form-action 'none'"
+].join('; ');
+
+// Runs before the artifact: link clicks (including scripted ones) stay in the frame
+const PREVIEW_GUARD = `<script>
+window.addEventListener('click', (e) => {
+    const link = e.target.closest && e.target.closest('a[href], area[href]');
+    if (link && !link.getAttribute('href').startsWith('#')) e.preventDefault();
+}, true);
+</script>`;
+
+const REFRESH_META_PATTERN = /<meta\b[^>]*http-equiv\s*=\s*["']?refresh[^>]*>/gi;
+
+const MERMAID_URL = 'https://cdn.jsdelivr.net/npm/mermaid@10.9.1/dist/mermaid.esm.min.mjs';
+
+let mermaidLoader = null;
+let mermaidCount = 0;
+
+export class ArtifactPreview {
+    static canPreview(language) {
+        return PREVIEW_LANGUAGES.has(language);
+    }
+
+    /**
+     * Wrap a rendered code block with the Source / Preview tabs
+     */
+    static render(language, codeBlockHtml) {
+        return `
+            <div class="artifact-view" data-language="${language}" data-view="source">
+                <div class="artifact-view-tabs">
+                    <button class="artifact-view-tab active" data-artifact-view="source">${t('artifactPreview.source')}</button>
+                    <button class="artifact-view-tab" data-artifact-view="preview">${t('artifactPreview.preview')}</button>
+                </div>
+                ${codeBlockHtml}
+                <div class="artifact-preview"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Handle the tabs of every artifact inside a container
+     */
+    static bindActions(container) {
+        container.addEventListener('click', (e) => {
+            const tab = e.target.closest('[data-artifact-view]');
+            if (!tab) return;
+
+            const view = tab.closest('.artifact-view');
+            view.dataset.view = tab.dataset.artifactView;
+            view.querySelectorAll('.artifact-view-tab').forEach(btn => {
+                btn.classList.toggle('active', btn === tab);
+            });
+
+            if (tab.dataset.artifactView === 'preview') {
+                this.showPreview(view);
+            }
+        });
+    }
+
+    /**
+     * Build the preview the first time it is opened
+     */
+    static async showPreview(view) {
+        const preview = view.querySelector('.artifact-preview');
+        if (preview.dataset.loaded) return;
+        preview.dataset.loaded = 'true';
+
+        const source = view.querySelector('.code-block code').textContent;
+        const language = view.dataset.language;
+
+        if (language !== 'mermaid') {
+            preview.appendChild(this.createFrame(language === 'svg' ? this.wrapSvg(source) : source));
+            return;
+        }
+
+        preview.innerHTML = `<div class="artifact-preview-message">${t('artifactPreview.loading')}</div>`;
+        try {
+            const svg = await this.renderMermaid(source);
+            preview.innerHTML = '';
+            preview.appendChild(this.createFrame(this.wrapSvg(svg)));
+        } catch (error) {
+            console.error('Mermaid preview failed:', error);
+            const message = error.isLoadError
+                ? t('artifactPreview.mermaidUnavailable')
+                : t('artifactPreview.mermaidError', { message: error.message || String(error) });
+            preview.innerHTML = `<div class="artifact-preview-message error">${HtmlUtils.escapeHtml(message)}</div>`;
+            delete preview.dataset.loaded;
+        }
+    }
+
+    static createFrame(body) {
+        const frame = document.createElement('iframe');
+        frame.className = 'artifact-preview-frame';
+        frame.title = t('artifactPreview.frameTitle');
+        frame.setAttribute('sandbox', 'allow-scripts');
+        frame.setAttribute('referrerpolicy', 'no-referrer');
+        frame.srcdoc = this.buildDocument(body);
+        return frame;
+    }
+
+    /**
+     * Put the CSP first so it applies to everything in the artifact, including its own <head>,
+     * then the navigation guard; refresh redirects are removed from the artifact
+     */
+    static buildDocument(body) {
+        const content = body.replace(REFRESH_META_PATTERN, '');
+        return `<meta http-equiv="Content-Security-Policy" content="${PREVIEW_CSP}"><meta charset="utf-8">${PREVIEW_GUARD}${content}`;
+    }
+
+    static wrapSvg(svg) {
+        return `<style>body { margin: 0; padding: 12px; display: flex; justify-content: center; } svg { max-width: 100%; height: auto; }</style>${svg}`;
+    }
+
+    /**
+     * @returns {Promise<string>} SVG markup
+     */
+    static async renderMermaid(source) {
+        if (!mermaidLoader) {
+            mermaidLoader = import(MERMAID_URL)
+                .then(module => {
+                    module.default.initialize({ startOnLoad: false, securityLevel: 'strict' });
+                    return module.default;
+                })
+                .catch(error => {
+                    mermaidLoader = null;
+                    error.isLoadError = true;
+                    throw error;
+                });
+        }
+
+        const mermaid = await mermaidLoader;
+        const { svg } = await mermaid.render(`artifact-mermaid-${++mermaidCount}`, source);
+        return svg;
+    }
+}
@@ -0,0 +1,143 @@
+/**
+ * CodeBlock - Renders highlighted code with a header (language, file name, copy, download)
+ * Used for fenced code in messages and for artifacts
+ */
+
+import { SyntaxHighlighter } from './SyntaxHighlighter.js';
+import { HtmlUtils } from './HtmlUtils.js';
+import { FileUtils } from './FileUtils.js';
+import { t } from '../i18n/i18n.js';
+
+// File extensions for languages whose name is not already one
+const EXTENSIONS = {
+    javascript: 'js',
+    typescript: 'ts',
+    python: 'py',
+    bash: 'sh',
+    shell: 'sh',
+    markdown: 'md',
+    text: 'txt',
+    plaintext: 'txt',
+    csharp: 'cs',
+    ruby: 'rb',
+    rust: 'rs',
+    kotlin: 'kt',
+    golang: 'go',
+    yaml: 'yml',
+    mermaid: 'mmd'
+};
+
+const COPIED_FEEDBACK_MS = 1500;
+
+export class CodeBlock {
+    /**
+     * Parse a fence info string such as "python", "python title=\"x.py\"", "js:src/app.js" or "main.py"
+     * @returns {Object} { language, filename } - language falls back to the file extension
+     */
+    static parseInfoString(info = '') {
+        const attributes = {};
+        const rest = info.trim()
+            .replace(/([\w-]+)=(?:"([^"]*)"|'([^']*)'|(\S+))/g, (match, key, doubleQuoted, singleQuoted, bare) => {
+                attributes[key.toLowerCase()] = doubleQuoted ?? singleQuoted ?? bare;
+                return '';
+            })
+            .trim();
+
+        const [first = '', second = ''] = rest.split(/\s+/);
+        let language = first;
+        let filename = attributes.title || attributes.filename || attributes.file || attributes.name || attributes.path || '';
+
+        if (!filename && /[./]/.test(second)) {
+            filename = second;
+        }
+        const colon = language.indexOf(':');
+        if (colon > 0) {
+            filename = filename || language.slice(colon + 1);
+            language = language.slice(0, colon);
+        }
+        if (!filename && language.includes('.')) {
+            filename = language;
+            language = '';
+        }
+        if (!language && filename.includes('.')) {
+            language = filename.split('.').pop();
+        }
+
+        return { language: language.toLowerCase(), filename };
+    }
+
+    /**
+     * Download name for a block: the file name (or artifact title) with an extension for its language
+     */
+    static getFileName(filename, language) {
+        const name = FileUtils.toFileName((filename || '').split(/[\\/]/).pop(), 'code');
+        if (/\.\w{1,10}$/.test(name)) return name;
+
+        const lang = (language || '').toLowerCase();
+        const extension = EXTENSIONS[lang] || (/^[a-z0-9]{1,6}$/.test(lang) ? lang : 'txt');
+        return `${name}.${extension}`;
+    }
+
+    /**
+     * @param {string} code
+     * @param {Object} options - { language, filename }
+     * @returns {string} HTML
+     */
+    static render(code, { language = '', filename = '' } = {}) {
+        const source = code.replace(/\n+$/, '');
+        const lines = SyntaxHighlighter.highlightLines(source, language)
+            .map(line => `<span class="code-line">${line}</span>`)
+            .join('\n');
+        const languageClass = SyntaxHighlighter.normalizeLanguage(language) || language.replace(/[^\w+#-]/g, '');
+
+        const filenameHtml = filename
+            ? `<span class="code-block-filename">${HtmlUtils.escapeHtml(filename)}</span>`
+            : '';
+
+        return `
+            <div class="code-block" data-filename="${HtmlUtils.escapeHtml(this.getFileName(filename, language))}">
+                <div class="code-block-header">
+                    <span class="code-block-language">${HtmlUtils.escapeHtml(language || 'text')}</span>
+                    ${filenameHtml}
+                    <div class="code-block-actions">
+                        <button class="code-block-btn" data-code-action="copy">${t('codeBlock.copy')}</button>
+                        <button class="code-block-btn" data-code-action="download">${t('codeBlock.download')}</button>
+                    </div>
+                </div>
+                <pre><code class="language-${languageClass}">${lines}</code></pre>
+            </div>
+        `;
+    }
+
+    /**
+     * Handle the copy/download buttons of every code block inside a container
+     */
+    static bindActions(container) {
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-code-action]');
+            if (!button) return;
+
+            const block = button.closest('.code-block');
+            const code = block.querySelector('code').textContent;
+
+            if (button.dataset.codeAction === 'copy') {
+                this.copy(code, button);
+            } else {
+                FileUtils.downloadBlob(new Blob([code], { type: 'text/plain;charset=utf-8' }), block.dataset.filename);
+            }
+        });
+    }
+
+    static async copy(code, button) {
+        try {
+            await navigator.clipboard.writeText(code);
+            button.textContent = t('codeBlock.copied');
+        } catch (error) {
+            console.error('Copy failed:', error);
+            button.textContent = t('codeBlock.copyFailed');
+        }
+        setTimeout(() => {
+            button.textContent = t('codeBlock.copy');
+        }, COPIED_FEEDBACK_MS);
+    }
+}
@@ -42,6 +42,20 @@ export class DateUtils {
         return Math.floor(date.getTime() / 1000);
     }
 
+    /**
+     * Format a duration in seconds as a short string (e.g. "45s", "3m 20s", "1h 5m")
+     */
+    static formatDuration(seconds) {
+        const total = Math.max(0, Math.round(seconds));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = total % 60;
+
+        if (hours > 0) return `${hours}h ${minutes}m`;
+        if (minutes > 0) return `${minutes}m ${secs}s`;
+        return `${secs}s`;
+    }
+
     /**
      * Get end of day timestamp
      */
@@ -0,0 +1,334 @@
+/**
+ * ExportFormatter - Renders conversations to Markdown and standalone HTML documents
+ *
+ * A selection is a list of sections: [{ conversation, pairs }], where pairs may be
+ * a subset of the conversation's pairs (starred pairs, search hits).
+ * Options: { thinking, artifacts, timestamps } - include thinking sections,
+ * artifacts and message/conversation dates.
+ */
+
+import { t, getCurrentLanguage } from '../i18n/i18n.js';
+import { MarkdownParser } from './MarkdownParser.js';
+import { HtmlUtils } from './HtmlUtils.js';
+import { CodeBlock } from './CodeBlock.js';
+import { DateUtils } from './DateUtils.js';
+
+// Artifact types that are file extensions of a language with another name
+const ARTIFACT_LANGUAGE_ALIASES = {
+    md: 'markdown',
+    txt: 'text',
+    htm: 'html',
+    mmd: 'mermaid',
+    js: 'javascript',
+    ts: 'typescript',
+    py: 'python',
+    sh: 'bash',
+    rb: 'ruby',
+    rs: 'rust',
+    kt: 'kotlin',
+    cs: 'csharp',
+    yml: 'yaml'
+};
+
+// Inlined into exported HTML so the file has no external dependencies
+const DOCUMENT_STYLES = `
+    * { box-sizing: border-box; }
+    body { margin: 0; padding: 32px 16px; background: #f7f7f8; color: #1f2328;
+        font: 15px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif; }
+    main { max-width: 820px; margin: 0 auto; }
+    h1 { font-size: 26px; margin: 0 0 4px; }
+    .export-meta { color: #6b7280; font-size: 13px; margin: 0 0 24px; }
+    .export-toc { background: #fff; border: 1px solid #e5e7eb; border-radius: 10px; padding: 12px 20px; margin-bottom: 32px; }
+    .export-toc h2 { font-size: 15px; margin: 0 0 6px; }
+    .export-toc ol { margin: 0; padding-left: 20px; }
+    .export-toc a { color: #2563eb; text-decoration: none; }
+    .conversation { margin-bottom: 48px; }
+    .conversation > h2 { font-size: 22px; margin: 0 0 4px; }
+    .message { border: 1px solid #e5e7eb; border-radius: 10px; padding: 12px 16px; margin: 12px 0; background: #fff; }
+    .message.user { background: #eef2ff; border-color: #c7d2fe; }
+    .message-role { font-size: 12px; font-weight: 600; color: #4b5563; margin-bottom: 6px; display: flex; gap: 8px; }
+    .message-role time { font-weight: 400; color: #9ca3af; }
+    .message-text { overflow-wrap: anywhere; }
+    .message-text > :first-child { margin-top: 0; }
+    .message-text > :last-child { margin-bottom: 0; }
+    pre { background: #f3f4f6; border-radius: 6px; padding: 10px 12px; overflow-x: auto; font-size: 13px; }
+    code { font-family: "SFMono-Regular", Consolas, "Liberation Mono", Menlo, monospace; }
+    :not(pre) > code { background: #f3f4f6; border-radius: 4px; padding: 1px 4px; font-size: 0.9em; }
+    .code-block { margin: 8px 0; }
+    .code-block pre { margin: 0; border-radius: 0 0 6px 6px; counter-reset: code-line; }
+    .code-block-header { display: flex; gap: 8px; background: #e5e7eb; border-radius: 6px 6px 0 0; padding: 3px 12px; font-size: 12px; color: #4b5563; }
+    .code-block-filename { font-weight: 600; }
+    .code-block-actions { display: none; }
+    .code-line::before { counter-increment: code-line; content: counter(code-line); display: inline-block; width: 2.5em; margin-right: 12px; text-align: right; color: #9ca3af; }
+    .tok-comment { color: #6a737d; font-style: italic; }
+    .tok-keyword, .tok-deleted { color: #d73a49; }
+    .tok-string { color: #032f62; }
+    .tok-number, .tok-literal, .tok-property { color: #005cc5; }
+    .tok-function, .tok-attr { color: #6f42c1; }
+    .tok-type, .tok-tag, .tok-inserted { color: #22863a; }
+    .tok-meta, .tok-variable { color: #e36209; }
+    table { border-collapse: collapse; margin: 8px 0; }
+    th, td { border: 1px solid #d1d5db; padding: 4px 8px; text-align: left; }
+    blockquote { border-left: 3px solid #d1d5db; margin: 8px 0; padding-left: 12px; color: #4b5563; }
+    .message-text ol, .task-list { list-style: none; padding-left: 12px; }
+    .message-text ol li .list-number + p { display: inline; }
+    .task-list-item input { margin: 0 6px 0 0; }
+    .footnotes { border-top: 1px solid #e5e7eb; margin-top: 12px; font-size: 13px; color: #4b5563; }
+    .footnote-ref a, .footnote-backref { text-decoration: none; }
+    details { border: 1px solid #e5e7eb; border-radius: 6px; padding: 6px 10px; margin-bottom: 10px; background: #fafafa; }
+    summary { cursor: pointer; font-size: 13px; font-weight: 600; color: #4b5563; }
+    .attachments { font-size: 13px; color: #6b7280; margin: 8px 0 0; }
+    a { color: #2563eb; }
+    @page { margin: 18mm 16mm; }
+    @media print {
+        body { background: #fff; padding: 0; font-size: 11pt; }
+        main { max-width: none; }
+        .export-toc { display: none; }
+        .conversation { margin-bottom: 0; }
+        .conversation + .conversation { break-before: page; }
+        .message { break-inside: avoid-page; }
+        pre { white-space: pre-wrap; break-inside: avoid; }
+        a { color: inherit; }
+    }
+`;
+
+export class ExportFormatter {
+    // =========================================================================
+    // MARKDOWN
+    // =========================================================================
+
+    /**
+     * Render one conversation (or some of its pairs) as a Markdown document
+     * Message content is already Markdown, so it is written as-is
+     */
+    static toMarkdown(conversation, pairs, options) {
+        const lines = [`# ${conversation.title}`, ''];
+
+        const meta = this.getConversationMeta(conversation, options);
+        if (meta.length > 0) {
+            lines.push(`> ${meta.join(' · ')}`, '');
+        }
+
+        pairs.forEach(pair => {
+            lines.push('---', '');
+            lines.push(...this.messageHeadingMarkdown(t('export.you'), pair.question.timestamp, options));
+            lines.push(pair.question.content || '', '');
+            lines.push(...this.attachmentsMarkdown(pair.question.assets));
+
+            pair.answers.forEach(answer => {
+                lines.push(...this.messageHeadingMarkdown(answer.model || t('export.assistant'), answer.timestamp, options));
+
+                if (options.thinking && answer.thinking) {
+                    lines.push('<details>', `<summary>${t('export.thinking')}</summary>`, '');
+                    lines.push(answer.thinking, '', '</details>', '');
+                }
+
+                lines.push(answer.content || '', '');
+
+                if (options.artifacts && answer.artifacts) {
+                    answer.artifacts.forEach(artifact => {
+                        lines.push(`### ${t('export.artifact', { title: artifact.title })}`, '');
+                        lines.push(this.artifactMarkdown(artifact), '');
+                    });
+                }
+
+                lines.push(...this.attachmentsMarkdown(answer.assets));
+            });
+        });
+
+        return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+    }
+
+    static messageHeadingMarkdown(role, timestamp, options) {
+        const lines = [`## ${role}`, ''];
+        if (options.timestamps && timestamp) {
+            lines.push(`*${this.formatTimestamp(timestamp)}*`, '');
+        }
+        return lines;
+    }
+
+    static attachmentsMarkdown(assets) {
+        if (!assets || assets.length === 0) return [];
+        return [`*${t('export.attachments')}: ${assets.map(asset => asset.name).join(', ')}*`, ''];
+    }
+
+    static artifactMarkdown(artifact) {
+        const language = this.getArtifactLanguage(artifact.type, artifact.language);
+        if (language === 'markdown') {
+            return artifact.content;
+        }
+
+        // The fence must be longer than any backtick run inside the content
+        const longestRun = Math.max(2, ...(artifact.content.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longestRun + 1);
+        return `${fence}${language === 'text' ? '' : language}\n${artifact.content}\n${fence}`;
+    }
+
+    // =========================================================================
+    // HTML
+    // =========================================================================
+
+    /**
+     * Render a selection as a self-contained HTML document
+     * @param {Array} sections - [{ conversation, pairs }]
+     * @param {Object} options - { thinking, artifacts, timestamps }
+     * @param {Object} documentOptions - { title, print } - print expands collapsible sections
+     * @returns {string}
+     */
+    static toHtml(sections, options, { title, print = false } = {}) {
+        const multiple = sections.length > 1;
+
+        let header = '';
+        let toc = '';
+        if (multiple) {
+            header = `
+                <h1>${HtmlUtils.escapeHtml(title)}</h1>
+                <p class="export-meta">${HtmlUtils.escapeHtml(t('export.exportedOn', { date: DateUtils.formatDateTime(new Date()) }))}</p>
+            `;
+            toc = `
+                <nav class="export-toc">
+                    <h2>${HtmlUtils.escapeHtml(t('export.contents'))}</h2>
+                    <ol>${sections.map((section, idx) =>
+                        `<li><a href="#conversation-${idx + 1}">${HtmlUtils.escapeHtml(section.conversation.title)}</a></li>`
+                    ).join('')}</ol>
+                </nav>
+            `;
+        }
+
+        const articles = sections.map((section, idx) =>
+            this.conversationHtml(section.conversation, section.pairs, options, { id: `conversation-${idx + 1}`, print, multiple })
+        ).join('');
+
+        return `<!DOCTYPE html>
+<html lang="${getCurrentLanguage()}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${HtmlUtils.escapeHtml(title)}</title>
+<style>${DOCUMENT_STYLES}</style>
+</head>
+<body>
+<main>${header}${toc}${articles}</main>
+</body>
+</html>
+`;
+    }
+
+    static conversationHtml(conversation, pairs, options, { id, print, multiple }) {
+        const heading = multiple ? 'h2' : 'h1';
+        const meta = this.getConversationMeta(conversation, options);
+
+        const messages = pairs.map(pair => {
+            const answers = pair.answers.map(answer => this.answerHtml(answer, options, print)).join('');
+            return `${this.messageHtml('user', t('export.you'), pair.question, options, pair.question.content)}${answers}`;
+        }).join('');
+
+        return `
+            <article class="conversation" id="${id}">
+                <${heading}>${HtmlUtils.escapeHtml(conversation.title)}</${heading}>
+                ${meta.length > 0 ? `<p class="export-meta">${HtmlUtils.escapeHtml(meta.join(' · '))}</p>` : ''}
+                ${messages}
+            </article>
+        `;
+    }
+
+    static answerHtml(answer, options, print) {
+        let extra = '';
+
+        if (options.thinking && answer.thinking) {
+            extra += this.detailsHtml(t('export.thinking'), MarkdownParser.format(answer.thinking), print);
+        }
+
+        if (options.artifacts && answer.artifacts) {
+            answer.artifacts.forEach(artifact => {
+                extra += this.detailsHtml(t('export.artifact', { title: artifact.title }), this.artifactHtml(artifact), print);
+            });
+        }
+
+        return this.messageHtml('assistant', answer.model || t('export.assistant'), answer, options, answer.content, extra);
+    }
+
+    static messageHtml(role, label, message, options, content, extra = '') {
+        const time = options.timestamps && message.timestamp
+            ? `<time>${HtmlUtils.escapeHtml(this.formatTimestamp(message.timestamp))}</time>`
+            : '';
+        const attachments = message.assets && message.assets.length > 0
+            ? `<p class="attachments">${HtmlUtils.escapeHtml(`${t('export.attachments')}: ${message.assets.map(asset => asset.name).join(', ')}`)}</p>`
+            : '';
+        const body = role === 'assistant'
+            ? MarkdownParser.format(content || '', message)
+            : MarkdownParser.format(content || '');
+
+        return `
+            <div class="message ${role}">
+                <div class="message-role"><span>${HtmlUtils.escapeHtml(label)}</span>${time}</div>
+                ${extra}
+                <div class="message-text">${body}</div>
+                ${attachments}
+            </div>
+        `;
+    }
+
+    static detailsHtml(summary, body, open) {
+        return `
+            <details${open ? ' open' : ''}>
+                <summary>${HtmlUtils.escapeHtml(summary)}</summary>
+                <div class="message-text">${body}</div>
+            </details>
+        `;
+    }
+
+    static artifactHtml(artifact) {
+        const language = this.getArtifactLanguage(artifact.type, artifact.language);
+        if (language === 'markdown') {
+            return MarkdownParser.format(artifact.content);
+        }
+        return CodeBlock.render(artifact.content, { language, filename: artifact.title });
+    }
+
+    // =========================================================================
+    // SHARED
+    // =========================================================================
+
+    /**
+     * Guess a code language from an artifact's MIME-like type (e.g. "application/vnd.ant.code")
+     * An explicit language, or a type that is already a language or extension ("python", "ts"), wins
+     */
+    static getArtifactLanguage(type = '', language = '') {
+        if (language) return language.toLowerCase();
+        if (/^[\w+#-]+$/.test(type)) {
+            const name = type.toLowerCase();
+            return ARTIFACT_LANGUAGE_ALIASES[name] || name;
+        }
+        if (type.includes('markdown') || type.includes('md')) return 'markdown';
+        if (type.includes('svg')) return 'svg';
+        if (type.includes('mermaid')) return 'mermaid';
+        if (type.includes('react')) return 'jsx';
+        if (type.includes('html')) return 'html';
+        if (type.includes('json')) return 'json';
+        if (type.includes('javascript') || type.includes('js')) return 'javascript';
+        if (type.includes('python') || type.includes('py')) return 'python';
+        if (type.includes('css')) return 'css';
+        return 'text';
+    }
+
+    static getConversationMeta(conversation, options) {
+        const meta = [];
+        if (conversation.source) {
+            meta.push(`${t('export.source')}: ${conversation.source}`);
+        }
+        if (options.timestamps) {
+            if (conversation.createTime) {
+                meta.push(`${t('export.created')}: ${this.formatTimestamp(conversation.createTime)}`);
+            }
+            if (conversation.updateTime && conversation.updateTime !== conversation.createTime) {
+                meta.push(`${t('export.updated')}: ${this.formatTimestamp(conversation.updateTime)}`);
+            }
+        }
+        return meta;
+    }
+
+    static formatTimestamp(timestamp) {
+        return DateUtils.formatDateTime(DateUtils.timestampToDate(timestamp));
+    }
+}
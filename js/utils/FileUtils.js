@@ -0,0 +1,89 @@
+/**
+ * File Utility Functions
+ */
+
+// MIME types for files commonly found in export archives
+const MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    svg: 'image/svg+xml',
+    bmp: 'image/bmp',
+    heic: 'image/heic',
+    pdf: 'application/pdf',
+    json: 'application/json',
+    html: 'text/html',
+    htm: 'text/html',
+    txt: 'text/plain',
+    md: 'text/markdown',
+    csv: 'text/csv',
+    wav: 'audio/wav',
+    mp3: 'audio/mpeg',
+    webm: 'audio/webm',
+    mp4: 'video/mp4'
+};
+
+export class FileUtils {
+    /**
+     * Guess a MIME type from a file name
+     */
+    static getMimeType(fileName) {
+        const ext = fileName.split('.').pop().toLowerCase();
+        return MIME_TYPES[ext] || 'application/octet-stream';
+    }
+
+    /**
+     * Get the asset id for a file extracted from an export archive
+     * ChatGPT names files after their asset pointer: "file-abc123-photo.png" -> "file-abc123"
+     */
+    static getAssetId(fileName) {
+        const match = fileName.match(/^(file[-_][A-Za-z0-9]+)/);
+        return match ? match[1] : fileName;
+    }
+
+    /**
+     * Format a byte count as a human-readable size (e.g. "12.4 MB")
+     */
+    static formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+
+        const units = ['KB', 'MB', 'GB'];
+        let value = bytes / 1024;
+        let unitIndex = 0;
+        while (value >= 1024 && unitIndex < units.length - 1) {
+            value /= 1024;
+            unitIndex++;
+        }
+
+        return `${value.toFixed(1)} ${units[unitIndex]}`;
+    }
+
+    /**
+     * Turn a title into a safe file name (without extension)
+     */
+    static toFileName(title, fallback = 'untitled') {
+        const name = (title || '')
+            .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, 80)
+            .replace(/[. ]+$/, '');
+        return name || fallback;
+    }
+
+    /**
+     * Save a blob through the browser's download mechanism
+     */
+    static downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
@@ -1,9 +1,66 @@
 /**
  * Markdown Parser - Converts markdown to HTML
- * Supports: headers, bold, italic, code blocks, tables, lists, blockquotes, links, LaTeX
+ * CommonMark blocks and inlines plus the GitHub extensions chats rely on: tables, task lists,
+ * strikethrough, footnotes and bare URL autolinks; LaTeX is rendered with KaTeX when it is loaded
+ *
+ * The text is first split into a block tree (paragraphs, lists, quotes, code...), and the inline
+ * content of each block is tokenized when it is rendered, once footnotes and link references are known.
+ * Everything is escaped: raw HTML is shown as text (only <br>, common in table cells, becomes a
+ * line break) and links are limited to http(s) and mailto.
  */
 
 import { HtmlUtils } from './HtmlUtils.js';
+import { CodeBlock } from './CodeBlock.js';
+
+// Citations are swapped for these markers (private use characters) before parsing
+const CITATION_START = '\uE000';
+const CITATION_END = '\uE001';
+
+// Block patterns (tabs in indentation are expanded to 4 spaces first)
+const FENCE_OPEN = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+const FENCE_CLOSE = /^ {0,3}(`{3,}|~{3,})[ \t]*$/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+|$)(.*?)(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const BLOCKQUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( {0,3})([-+*]|\d{1,9}[.)])(?=[ \t]|$)([ \t]*)/;
+const TASK_MARKER = /^\[([ xX])\][ \t]+/;
+const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const DISPLAY_MATH_OPEN = /^ {0,3}(\$\$|\\\[)/;
+const FOOTNOTE_DEFINITION = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]*(.*)$/;
+const LINK_DEFINITION = /^ {0,3}\[([^\]^][^\]]*)\]:[ \t]*(?:<([^>]*)>|(\S+))(?:[ \t]+(?:"([^"]*)"|'([^']*)'|\(([^)]*)\)))?[ \t]*$/;
+
+// Inline patterns
+const PLAIN_TEXT = /[^\\`$*_~![\]<&\n\uE000hHwW]+/y;
+const ESCAPABLE = /^[!-/:-@[-`{-~]$/;
+const PUNCTUATION = /^[\p{P}\p{S}]$/u;
+const WHITESPACE = /^\s$/;
+const FOOTNOTE_REFERENCE = /\[\^([^\]\s]+)\]/y;
+const URL_AUTOLINK = /<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/y;
+const EMAIL_AUTOLINK = /<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?)*)>/y;
+const LINE_BREAK_TAG = /<br[ \t]*\/?>/iy;
+const BARE_URL = /(?:https?:\/\/|www\.)[^\s<]+/iy;
+const CITATION = /\uE000(\d+)\uE001/y;
+const ENTITY = /&(?:#[xX]([0-9a-fA-F]{1,6})|#([0-9]{1,7})|([a-zA-Z][a-zA-Z0-9]{1,31}));/y;
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0', copy: '©', reg: '®', trade: '™',
+    hellip: '…', mdash: '—', ndash: '–', laquo: '«', raquo: '»', times: '×', middot: '·', deg: '°'
+};
+const SAFE_URL = /^(?:https?:|mailto:)/i;
+const SAFE_IMAGE = /^data:image\/(?:png|jpe?g|gif|webp);/i;
+
+// Bare URLs longer than this are shown as "hostname/..."
+const MAX_URL_DISPLAY_LENGTH = 50;
+
+// Limits that keep hostile input linear and the recursion shallow: deeper quotes, lists,
+// links and emphasis stay text, and like CommonMark, link destinations give up after this
+// many nested "(" and reference labels after 999 characters
+const MAX_NESTING_DEPTH = 32;
+const MAX_LINK_PAREN_DEPTH = 32;
+const MAX_LABEL_LENGTH = 999;
+
+// Footnote ids must stay unique when several messages are on the page
+let documentCount = 0;
 
 export class MarkdownParser {
     /**
@@ -13,373 +70,1140 @@ export class MarkdownParser {
      * @returns {string} HTML content
      */
     static format(content, answer = null) {
-        let formatted = content;
+        const context = {
+            citations: [],
+            references: new Map(),
+            footnotes: new Map(),
+            footnoteOrder: [],
+            depth: 0,
+            idPrefix: `md${++documentCount}`
+        };
+
+        let source = (content || '').replace(/\r\n?/g, '\n');
 
         // Process ChatGPT citations if answer metadata is available
         if (answer && answer.metadata && answer.metadata.content_references) {
-            formatted = this.processCitations(formatted, answer.metadata.content_references);
+            source = this.processCitations(source, answer.metadata.content_references, context);
         }
 
-        // Protect LaTeX sections by temporarily replacing them with placeholders
-        const katexPlaceholders = this.processKaTeX(formatted);
-
-        // Process markdown in order
-        formatted = this.processCodeBlocks(formatted);
-        formatted = this.processInlineCode(formatted);
-        formatted = this.processTables(formatted);
-        formatted = this.processHeaders(formatted);
-        formatted = this.processBoldItalic(formatted);
-        formatted = this.processHorizontalRules(formatted);
-        formatted = this.processBlockquotes(formatted);
-        formatted = this.processLists(formatted);
-        formatted = this.processLinks(formatted);
-        formatted = this.processParagraphs(formatted);
-
-        // Restore KaTeX placeholders
-        formatted = this.restoreKaTeX(formatted, katexPlaceholders);
+        const lines = source.split('\n').map(line => line.replace(/^[ \t]+/, indent => indent.replace(/\t/g, '    ')));
+        const blocks = this.parseBlocks(lines, context);
 
-        return formatted;
+        return this.renderBlocks(blocks, context) + this.renderFootnotes(context);
     }
 
     /**
-     * Process ChatGPT citations
+     * Replace ChatGPT citation markers with placeholders rendered as numbered links
      */
-    static processCitations(formatted, citations) {
+    static processCitations(source, citations, context) {
         citations.forEach((citation, index) => {
             if (citation.matched_text && citation.items && citation.items.length > 0) {
                 const item = citation.items[0];
-                const url = item.url;
-                const title = item.title || item.attribution || 'Source';
-
-                const linkHtml = `<a href="${url}" target="_blank" rel="noopener noreferrer" class="message-link" title="${title}">[${index + 1}]</a>`;
-                formatted = formatted.replace(citation.matched_text, linkHtml);
+                const placeholder = `${CITATION_START}${context.citations.length}${CITATION_END}`;
+                context.citations.push({
+                    url: item.url,
+                    title: item.title || item.attribution || 'Source',
+                    label: `[${index + 1}]`
+                });
+                source = source.replace(citation.matched_text, () => placeholder);
             }
         });
 
-        return formatted;
+        return source;
     }
 
+    // ========== BLOCKS ==========
+
     /**
-     * Process KaTeX equations
-     * Returns array of placeholder HTML
+     * Parse lines into block nodes; definitions (footnotes, link references) go to the context
+     * Each node records whether a blank line preceded it, which decides loose vs tight lists
      */
-    static processKaTeX(formatted) {
-        const katexPlaceholders = [];
+    static parseBlocks(lines, context) {
+        const blocks = [];
+        let blankBefore = false;
+        let i = 0;
 
-        // Block math: \[...\] or $$...$$
-        formatted = formatted.replace(/\\\[([\s\S]*?)\\\]/g, (match, math) => {
-            try {
-                if (typeof katex !== 'undefined') {
-                    const html = katex.renderToString(math, { displayMode: true, throwOnError: false });
-                    const placeholder = `__KATEX_BLOCK_${katexPlaceholders.length}__`;
-                    katexPlaceholders.push(html);
-                    return placeholder;
-                }
-            } catch (e) {
-                console.error('KaTeX error:', e);
+        while (i < lines.length) {
+            if (isBlank(lines[i])) {
+                blankBefore = true;
+                i++;
+                continue;
             }
-            return match;
-        });
 
-        formatted = formatted.replace(/\$\$([\s\S]*?)\$\$/g, (match, math) => {
-            try {
-                if (typeof katex !== 'undefined') {
-                    const html = katex.renderToString(math, { displayMode: true, throwOnError: false });
-                    const placeholder = `__KATEX_BLOCK_${katexPlaceholders.length}__`;
-                    katexPlaceholders.push(html);
-                    return placeholder;
-                }
-            } catch (e) {
-                console.error('KaTeX error:', e);
+            const result = this.parseFencedCode(lines, i)
+                || this.parseDisplayMath(lines, i)
+                || this.parseAtxHeading(lines, i)
+                || this.parseThematicBreak(lines, i)
+                || this.parseBlockquote(lines, i, context)
+                || this.parseList(lines, i, context)
+                || this.parseIndentedCode(lines, i)
+                || this.parseFootnoteDefinition(lines, i, context)
+                || this.parseLinkDefinition(lines, i, context)
+                || this.parseTable(lines, i)
+                || this.parseParagraph(lines, i);
+
+            if (result.node) {
+                result.node.blankBefore = blankBefore;
+                blocks.push(result.node);
+                blankBefore = false;
             }
-            return match;
-        });
+            i = result.next;
+        }
 
-        // Inline math: \(...\) or $...$
-        formatted = formatted.replace(/\\\(([\s\S]*?)\\\)/g, (match, math) => {
-            try {
-                if (typeof katex !== 'undefined') {
-                    const html = katex.renderToString(math, { displayMode: false, throwOnError: false });
-                    const placeholder = `__KATEX_INLINE_${katexPlaceholders.length}__`;
-                    katexPlaceholders.push(html);
-                    return placeholder;
-                }
-            } catch (e) {
-                console.error('KaTeX error:', e);
+        return blocks;
+    }
+
+    /**
+     * Parse the content of a quote, list item or footnote, one level deeper
+     */
+    static parseNestedBlocks(lines, context) {
+        context.depth++;
+        const blocks = this.parseBlocks(lines, context);
+        context.depth--;
+        return blocks;
+    }
+
+    static parseFencedCode(lines, i) {
+        const open = this.matchFence(lines[i]);
+        if (!open) return null;
+
+        const [, indent, fence, info] = open;
+        const code = [];
+        let j = i + 1;
+        while (j < lines.length) {
+            const close = FENCE_CLOSE.exec(lines[j]);
+            if (close && close[1][0] === fence[0] && close[1].length >= fence.length) {
+                j++;
+                break;
             }
-            return match;
-        });
+            code.push(stripIndent(lines[j], indent.length));
+            j++;
+        }
 
-        formatted = formatted.replace(/\$([^$\n]+?)\$/g, (match, math) => {
-            try {
-                if (typeof katex !== 'undefined') {
-                    const html = katex.renderToString(math, { displayMode: false, throwOnError: false });
-                    const placeholder = `__KATEX_INLINE_${katexPlaceholders.length}__`;
-                    katexPlaceholders.push(html);
-                    return placeholder;
-                }
-            } catch (e) {
-                console.error('KaTeX error:', e);
+        return { node: { type: 'code', info: info.trim(), code: code.join('\n') }, next: j };
+    }
+
+    /**
+     * $$...$$ or \[...\] starting a line, possibly spanning several lines
+     */
+    static parseDisplayMath(lines, i) {
+        const open = DISPLAY_MATH_OPEN.exec(lines[i]);
+        if (!open) return null;
+
+        const closer = open[1] === '$$' ? '$$' : '\\]';
+        const first = lines[i].slice(open[0].length);
+
+        for (let j = i; j < lines.length; j++) {
+            const text = j === i ? first : lines[j];
+            const end = text.indexOf(closer);
+            if (end === -1) continue;
+            // Text after the closing delimiter: leave the line to the paragraph's inline math
+            if (text.slice(end + closer.length).trim()) return null;
+
+            const body = j === i
+                ? text.slice(0, end)
+                : [first, ...lines.slice(i + 1, j), text.slice(0, end)].join('\n');
+            if (!body.trim()) return null;
+
+            const source = lines.slice(i, j + 1).map(line => line.trim()).join('\n');
+            return { node: { type: 'math', tex: body.trim(), source }, next: j + 1 };
+        }
+
+        return null;
+    }
+
+    static parseAtxHeading(lines, i) {
+        const match = ATX_HEADING.exec(lines[i]);
+        if (!match) return null;
+        return { node: { type: 'heading', level: match[1].length, text: match[2].trim() }, next: i + 1 };
+    }
+
+    static parseThematicBreak(lines, i) {
+        if (!THEMATIC_BREAK.test(lines[i])) return null;
+        return { node: { type: 'hr' }, next: i + 1 };
+    }
+
+    static parseBlockquote(lines, i, context) {
+        if (context.depth >= MAX_NESTING_DEPTH || !BLOCKQUOTE.test(lines[i])) return null;
+
+        const inner = [];
+        const fence = { open: null };
+        let j = i;
+        while (j < lines.length) {
+            const line = lines[j];
+            if (BLOCKQUOTE.test(line)) {
+                const stripped = line.replace(BLOCKQUOTE, '');
+                inner.push(stripped);
+                trackFence(stripped, fence);
+                j++;
+            } else if (!fence.open && this.isLazyContinuation(line, inner[inner.length - 1])) {
+                inner.push(line);
+                j++;
+            } else {
+                break;
             }
-            return match;
-        });
+        }
 
-        return { formatted, placeholders: katexPlaceholders };
+        return { node: { type: 'blockquote', children: this.parseNestedBlocks(inner, context) }, next: j };
     }
 
     /**
-     * Restore KaTeX placeholders with actual rendered HTML
+     * Consecutive items with the same bullet character (or the same delimiter after the number)
      */
-    static restoreKaTeX(formatted, katexPlaceholders) {
-        return formatted.replace(/__KATEX_(BLOCK|INLINE)_(\d+)__/g, (match, type, index) => {
-            return katexPlaceholders[parseInt(index)] || match;
-        });
+    static parseList(lines, i, context) {
+        if (context.depth >= MAX_NESTING_DEPTH) return null;
+        const first = this.matchListItem(lines[i]);
+        if (!first) return null;
+
+        const items = [];
+        let loose = false;
+        let j = i;
+        while (j < lines.length) {
+            const marker = this.matchListItem(lines[j]);
+            const item = this.parseListItem(lines, j, marker, context);
+            items.push(item.node);
+            loose = loose || item.node.children.some((child, idx) => idx > 0 && child.blankBefore);
+            j = item.next;
+
+            let k = j;
+            while (k < lines.length && isBlank(lines[k])) k++;
+            const next = k < lines.length && !THEMATIC_BREAK.test(lines[k]) ? this.matchListItem(lines[k]) : null;
+            if (!next || next.ordered !== first.ordered || next.delimiter !== first.delimiter) break;
+            if (k > j) loose = true;
+            j = k;
+        }
+
+        return {
+            node: { type: 'list', ordered: first.ordered, start: first.start, delimiter: first.delimiter, loose, items },
+            next: j
+        };
     }
 
     /**
-     * Process code blocks
+     * @returns {Object|null} { ordered, delimiter, start, empty, contentIndent, firstLine }
      */
-    static processCodeBlocks(formatted) {
-        return formatted.replace(/```(\w+)?\n([\s\S]*?)```/g, (match, lang, code) => {
-            return `<pre><code class="language-${lang || ''}">${code.trim()}</code></pre>`;
+    static matchListItem(line) {
+        const match = LIST_ITEM.exec(line);
+        if (!match) return null;
+
+        const [prefix, indent, marker, spacing] = match;
+        const rest = line.slice(prefix.length);
+        const ordered = /\d/.test(marker[0]);
+        const empty = !rest.trim();
+
+        // An empty first line, or 5+ spaces (indented code), puts the content one space after the marker
+        let contentIndent = prefix.length;
+        let firstLine = rest;
+        if (empty) {
+            contentIndent = indent.length + marker.length + 1;
+            firstLine = '';
+        } else if (spacing.length > 4) {
+            contentIndent = indent.length + marker.length + 1;
+            firstLine = ' '.repeat(spacing.length - 1) + rest;
+        }
+
+        return {
+            ordered,
+            delimiter: ordered ? marker.slice(-1) : marker,
+            start: ordered ? parseInt(marker, 10) : 1,
+            empty,
+            contentIndent,
+            firstLine
+        };
+    }
+
+    static parseListItem(lines, i, marker, context) {
+        const content = [marker.firstLine];
+        const fence = { open: null };
+        trackFence(marker.firstLine, fence);
+
+        let j = i + 1;
+        while (j < lines.length) {
+            const line = lines[j];
+            if (isBlank(line)) {
+                content.push('');
+            } else if (indentOf(line) >= marker.contentIndent) {
+                const stripped = line.slice(marker.contentIndent);
+                content.push(stripped);
+                trackFence(stripped, fence);
+            } else if (!fence.open && !this.matchListItem(line) && this.isLazyContinuation(line, content[content.length - 1])) {
+                content.push(line);
+            } else {
+                break;
+            }
+            j++;
+        }
+
+        // Trailing blank lines separate this item from what follows
+        while (content.length > 1 && isBlank(content[content.length - 1])) {
+            content.pop();
+            j--;
+        }
+
+        const children = this.parseNestedBlocks(content, context);
+        let checked = null;
+        const firstChild = children[0];
+        if (firstChild && firstChild.type === 'paragraph' && !firstChild.blankBefore) {
+            const task = TASK_MARKER.exec(firstChild.text);
+            if (task) {
+                checked = task[1] !== ' ';
+                firstChild.text = firstChild.text.slice(task[0].length);
+            }
+        }
+
+        return { node: { children, checked }, next: j };
+    }
+
+    static parseIndentedCode(lines, i) {
+        if (indentOf(lines[i]) < 4) return null;
+
+        const code = [];
+        let j = i;
+        while (j < lines.length && (isBlank(lines[j]) || indentOf(lines[j]) >= 4)) {
+            code.push(stripIndent(lines[j], 4));
+            j++;
+        }
+        while (isBlank(code[code.length - 1])) {
+            code.pop();
+            j--;
+        }
+
+        return { node: { type: 'code', info: '', code: code.join('\n') }, next: j };
+    }
+
+    /**
+     * [^label]: text - continuation lines are indented by 4 spaces
+     */
+    static parseFootnoteDefinition(lines, i, context) {
+        const match = FOOTNOTE_DEFINITION.exec(lines[i]);
+        if (!match) return null;
+
+        const content = [match[2]];
+        const fence = { open: null };
+        trackFence(match[2], fence);
+
+        let j = i + 1;
+        while (j < lines.length) {
+            const line = lines[j];
+            if (isBlank(line)) {
+                content.push('');
+            } else if (indentOf(line) >= 4) {
+                const stripped = line.slice(4);
+                content.push(stripped);
+                trackFence(stripped, fence);
+            } else if (!fence.open && !FOOTNOTE_DEFINITION.test(line) && !this.matchListItem(line)
+                && this.isLazyContinuation(line, content[content.length - 1])) {
+                content.push(line);
+            } else {
+                break;
+            }
+            j++;
+        }
+        while (content.length > 1 && isBlank(content[content.length - 1])) {
+            content.pop();
+            j--;
+        }
+
+        const label = normalizeLabel(match[1]);
+        if (!context.footnotes.has(label)) {
+            context.footnotes.set(label, { blocks: this.parseNestedBlocks(content, context), number: 0, references: 0 });
+        }
+
+        return { node: null, next: j };
+    }
+
+    /**
+     * [label]: url "title" - used by [text][label] and [label] links
+     */
+    static parseLinkDefinition(lines, i, context) {
+        const match = LINK_DEFINITION.exec(lines[i]);
+        if (!match) return null;
+
+        const label = normalizeLabel(match[1]);
+        if (!context.references.has(label)) {
+            context.references.set(label, {
+                url: unescapeText(match[2] ?? match[3]),
+                title: match[4] ?? match[5] ?? match[6] ?? null
+            });
+        }
+
+        return { node: null, next: i + 1 };
+    }
+
+    static parseTable(lines, i) {
+        if (!this.startsTable(lines, i)) return null;
+
+        const header = this.splitTableRow(lines[i]);
+        const aligns = this.splitTableRow(lines[i + 1]).map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            return left && right ? 'center' : right ? 'right' : left ? 'left' : null;
         });
+
+        const rows = [];
+        let j = i + 2;
+        while (j < lines.length && !isBlank(lines[j]) && !this.interruptsParagraph(lines[j])) {
+            rows.push(this.splitTableRow(lines[j]));
+            j++;
+        }
+
+        return { node: { type: 'table', header, aligns, rows }, next: j };
     }
 
     /**
-     * Process inline code
+     * A header row followed by a delimiter row with the same number of cells
      */
-    static processInlineCode(formatted) {
-        return formatted.replace(/`([^`]+)`/g, '<code>$1</code>');
+    static startsTable(lines, i) {
+        if (i + 1 >= lines.length || !lines[i].includes('|')) return false;
+        const delimiter = lines[i + 1];
+        if (!delimiter.includes('|') || !TABLE_DELIMITER.test(delimiter)) return false;
+        return this.splitTableRow(lines[i]).length === this.splitTableRow(delimiter).length;
     }
 
     /**
-     * Process tables
+     * Split a row on pipes, except escaped ones (\|) and those inside code spans
      */
-    static processTables(formatted) {
-        const lines = formatted.split('\n');
-        let result = [];
+    static splitTableRow(line) {
+        let text = line.trim();
+        if (text.startsWith('|')) text = text.slice(1);
+        if (text.endsWith('|') && !text.endsWith('\\|')) text = text.slice(0, -1);
+
+        const cells = [];
+        let cell = '';
         let i = 0;
+        while (i < text.length) {
+            const char = text[i];
+            if (char === '\\' && text[i + 1] === '|') {
+                cell += '|';
+                i += 2;
+            } else if (char === '`') {
+                const run = /`+/y;
+                run.lastIndex = i;
+                const length = run.exec(text)[0].length;
+                const close = findBacktickRun(text, i + length, length);
+                const end = close === -1 ? i + length : close + length;
+                // GitHub unescapes \| inside code spans of a table too
+                cell += text.slice(i, end).replace(/\\\|/g, '|');
+                i = end;
+            } else if (char === '|') {
+                cells.push(cell.trim());
+                cell = '';
+                i++;
+            } else {
+                cell += char;
+                i++;
+            }
+        }
+        cells.push(cell.trim());
 
-        while (i < lines.length) {
-            const line = lines[i];
-            const isTableRow = line.trim().match(/^\|.*\|$/);
-
-            if (isTableRow) {
-                let tableLines = [];
-                let separatorSeen = false;
-
-                while (i < lines.length && lines[i].trim().match(/^\|.*\|$/)) {
-                    const row = lines[i].trim();
-                    if (row.includes('---')) {
-                        separatorSeen = true;
-                        i++;
-                        continue;
+        return cells;
+    }
+
+    /**
+     * Lines up to a blank line or the start of another block; a "===" or "---" underline makes a heading
+     */
+    static parseParagraph(lines, i) {
+        const text = [lines[i]];
+        let j = i + 1;
+        while (j < lines.length && !isBlank(lines[j])) {
+            const underline = SETEXT_UNDERLINE.exec(lines[j]);
+            if (underline) {
+                return {
+                    node: { type: 'heading', level: underline[1][0] === '=' ? 1 : 2, text: joinParagraph(text) },
+                    next: j + 1
+                };
+            }
+            if (this.interruptsParagraph(lines[j]) || this.startsTable(lines, j)) break;
+            text.push(lines[j]);
+            j++;
+        }
+
+        return { node: { type: 'paragraph', text: joinParagraph(text) }, next: j };
+    }
+
+    /**
+     * Blocks that may start without a blank line after a paragraph (an ordered list only from 1)
+     */
+    static interruptsParagraph(line) {
+        if (this.matchFence(line) || ATX_HEADING.test(line) || THEMATIC_BREAK.test(line)
+            || BLOCKQUOTE.test(line) || DISPLAY_MATH_OPEN.test(line)) {
+            return true;
+        }
+        const item = this.matchListItem(line);
+        return Boolean(item && !item.empty && (!item.ordered || item.start === 1));
+    }
+
+    /**
+     * An unprefixed line that continues the paragraph of a quote, list item or footnote
+     */
+    static isLazyContinuation(line, previous) {
+        return !isBlank(line) && previous !== undefined && !isBlank(previous)
+            && !this.matchFence(previous) && !ATX_HEADING.test(previous) && !THEMATIC_BREAK.test(previous)
+            && !this.interruptsParagraph(line);
+    }
+
+    /**
+     * A backtick fence cannot have backticks in its info string (```x``` is inline code)
+     */
+    static matchFence(line) {
+        const match = FENCE_OPEN.exec(line);
+        if (!match || (match[2][0] === '`' && match[3].includes('`'))) return null;
+        return match;
+    }
+
+    // ========== INLINES ==========
+
+    /**
+     * Tokenize inline content into nodes: text, code, math, break, link, image, em, strong, del...
+     * Emphasis uses the CommonMark delimiter rules, so "*" inside words or code spans is left alone
+     */
+    static parseInline(text, context) {
+        const nodes = [];
+        const brackets = []; // open "[" and "![": { index, start, image, active }
+        let buffer = '';
+        const flush = () => {
+            if (buffer) {
+                nodes.push({ type: 'text', text: buffer });
+                buffer = '';
+            }
+        };
+        const push = (node) => {
+            flush();
+            nodes.push(node);
+        };
+
+        let i = 0;
+        while (i < text.length) {
+            PLAIN_TEXT.lastIndex = i;
+            const plain = PLAIN_TEXT.exec(text);
+            if (plain) {
+                buffer += plain[0];
+                i += plain[0].length;
+                continue;
+            }
+
+            const char = text[i];
+            const next = text[i + 1];
+            let match;
+
+            if (char === '\\') {
+                const math = next === '(' || next === '[' ? this.matchDelimitedMath(text, i, next === '(' ? '\\)' : '\\]') : null;
+                if (math) {
+                    push({ type: 'math', tex: math.tex, display: next === '[', source: text.slice(i, math.end) });
+                    i = math.end;
+                } else if (next === '\n') {
+                    push({ type: 'break' });
+                    i += 2;
+                } else if (next !== undefined && ESCAPABLE.test(next)) {
+                    buffer += next;
+                    i += 2;
+                } else {
+                    buffer += char;
+                    i++;
+                }
+            } else if (char === '`') {
+                const length = /`+/y;
+                length.lastIndex = i;
+                const run = length.exec(text)[0];
+                const close = findBacktickRun(text, i + run.length, run.length);
+                if (close === -1) {
+                    buffer += run;
+                    i += run.length;
+                } else {
+                    let code = text.slice(i + run.length, close).replace(/\n/g, ' ');
+                    if (code.length > 2 && code.startsWith(' ') && code.endsWith(' ') && code.trim()) {
+                        code = code.slice(1, -1);
                     }
-                    tableLines.push(row);
+                    push({ type: 'code', code });
+                    i = close + run.length;
+                }
+            } else if (char === '$') {
+                const math = next === '$' ? this.matchDelimitedMath(text, i, '$$') : this.matchDollarMath(text, i);
+                if (math) {
+                    push({ type: 'math', tex: math.tex, display: next === '$', source: text.slice(i, math.end) });
+                    i = math.end;
+                } else {
+                    buffer += next === '$' ? '$$' : '$';
+                    i += next === '$' ? 2 : 1;
+                }
+            } else if (char === '*' || char === '_' || char === '~') {
+                let end = i;
+                while (text[end] === char) end++;
+                const count = end - i;
+                if (char === '~' && count > 2) {
+                    buffer += text.slice(i, end);
+                } else {
+                    push({ type: 'delimiter', char, count, originalCount: count, ...this.getFlanking(text, i, end, char) });
+                }
+                i = end;
+            } else if (char === '!' && next === '[') {
+                flush();
+                brackets.push({ index: nodes.length, start: i + 2, image: true, active: true });
+                nodes.push({ type: 'text', text: '![' });
+                i += 2;
+            } else if (char === '[') {
+                FOOTNOTE_REFERENCE.lastIndex = i;
+                match = FOOTNOTE_REFERENCE.exec(text);
+                if (match && context.footnotes.has(normalizeLabel(match[1]))) {
+                    push({ type: 'footnoteReference', label: normalizeLabel(match[1]) });
+                    i += match[0].length;
+                } else {
+                    flush();
+                    brackets.push({ index: nodes.length, start: i + 1, image: false, active: true });
+                    nodes.push({ type: 'text', text: '[' });
+                    i++;
+                }
+            } else if (char === ']') {
+                const opener = brackets.pop();
+                const target = opener && opener.active ? this.matchLinkTarget(text, i, opener, context) : null;
+                if (!target || inlineDepth(nodes.slice(opener.index + 1)) > MAX_NESTING_DEPTH) {
+                    buffer += ']';
                     i++;
+                    continue;
                 }
 
-                if (separatorSeen && tableLines.length > 0) {
-                    result.push('<table>');
-                    tableLines.forEach(rowLine => {
-                        const cells = rowLine.split('|').filter(c => c.trim() !== '');
-                        const cellTags = cells.map(cell => `<td>${cell.trim()}</td>`).join('');
-                        result.push(`<tr>${cellTags}</tr>`);
+                flush();
+                const children = nodes.splice(opener.index + 1);
+                nodes.pop(); // the "[" or "![" text
+                this.processEmphasis(children);
+                nodes.push({ type: opener.image ? 'image' : 'link', url: target.url, title: target.title, children, depth: inlineDepth(children) });
+                // No links inside links
+                if (!opener.image) {
+                    brackets.forEach(bracket => {
+                        if (!bracket.image) bracket.active = false;
                     });
-                    result.push('</table>');
+                }
+                i = target.end;
+            } else if (char === '<') {
+                if ((match = matchAt(URL_AUTOLINK, text, i))) {
+                    push({ type: 'link', url: match[1], title: null, children: [{ type: 'text', text: match[1] }] });
+                } else if ((match = matchAt(EMAIL_AUTOLINK, text, i))) {
+                    push({ type: 'link', url: `mailto:${match[1]}`, title: null, children: [{ type: 'text', text: match[1] }] });
+                } else if ((match = matchAt(LINE_BREAK_TAG, text, i))) {
+                    push({ type: 'break' });
                 } else {
-                    result.push(...tableLines);
+                    match = ['<'];
+                    buffer += '<';
                 }
+                i += match[0].length;
+            } else if (char === '&') {
+                match = matchAt(ENTITY, text, i);
+                const decoded = match && decodeEntity(match);
+                buffer += decoded || '&';
+                i += decoded ? match[0].length : 1;
+            } else if (char === '\n') {
+                // Two trailing spaces make a hard break; other line breaks are kept too, as chats expect
+                buffer = buffer.replace(/[ \t]+$/, '');
+                push({ type: 'break' });
+                i++;
+            } else if (char === CITATION_START && (match = matchAt(CITATION, text, i)) && context.citations[Number(match[1])]) {
+                // Placeholders typed into the message itself (not from processCitations) stay text
+                push({ type: 'citation', index: Number(match[1]) });
+                i += match[0].length;
+            } else if ((char === 'h' || char === 'H' || char === 'w' || char === 'W') && (match = this.matchBareUrl(text, i))) {
+                push({ type: 'link', url: match.url, title: null, children: [{ type: 'text', text: match.display }] });
+                i += match.length;
             } else {
-                result.push(line);
+                buffer += char;
                 i++;
             }
         }
 
-        return result.join('\n');
+        flush();
+        this.processEmphasis(nodes);
+        return nodes;
     }
 
     /**
-     * Process headers (h1-h6)
+     * Whether a run of * _ ~ can open and/or close emphasis (left/right-flanking rules)
      */
-    static processHeaders(formatted) {
-        formatted = formatted.replace(/^(?! {4})###### (.*$)/gm, '<h6>$1</h6>');
-        formatted = formatted.replace(/^(?! {4})##### (.*$)/gm, '<h5>$1</h5>');
-        formatted = formatted.replace(/^(?! {4})#### (.*$)/gm, '<h4>$1</h4>');
-        formatted = formatted.replace(/^(?! {4})### (.*$)/gm, '<h3>$1</h3>');
-        formatted = formatted.replace(/^(?! {4})## (.*$)/gm, '<h2>$1</h2>');
-        formatted = formatted.replace(/^(?! {4})# (.*$)/gm, '<h1>$1</h1>');
-        return formatted;
+    static getFlanking(text, start, end, char) {
+        const before = start > 0 ? charBefore(text, start) : '\n';
+        const after = end < text.length ? String.fromCodePoint(text.codePointAt(end)) : '\n';
+        const beforeSpace = WHITESPACE.test(before);
+        const afterSpace = WHITESPACE.test(after);
+        const beforePunctuation = PUNCTUATION.test(before);
+        const afterPunctuation = PUNCTUATION.test(after);
+
+        const left = !afterSpace && (!afterPunctuation || beforeSpace || beforePunctuation);
+        const right = !beforeSpace && (!beforePunctuation || afterSpace || afterPunctuation);
+
+        if (char === '_') {
+            // No intraword emphasis with underscores (snake_case_names)
+            return {
+                canOpen: left && (!right || beforePunctuation),
+                canClose: right && (!left || afterPunctuation)
+            };
+        }
+        return { canOpen: left, canClose: right };
     }
 
     /**
-     * Process bold and italic
+     * Pair delimiter runs into em/strong/del nodes, closers from left to right
+     * Unmatched runs stay as delimiter nodes and are rendered as plain text
+     * Works on a linked list (wrapping a range in long paragraphs stays cheap) and remembers,
+     * per kind of closer, below which point no opener can be found
      */
-    static processBoldItalic(formatted) {
-        // Format bold
-        formatted = formatted.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-        // Format italic
-        formatted = formatted.replace(/\*(.*?)\*/g, '<em>$1</em>');
-        return formatted;
+    static processEmphasis(nodes) {
+        // Entries keep their order in position, so a search bottom stays valid when its entry is removed
+        const head = { prev: null, next: null, position: -1 };
+        let tail = head;
+        nodes.forEach((node, position) => {
+            tail.next = { node, prev: tail, next: null, position };
+            tail = tail.next;
+        });
+        const remove = (entry) => {
+            entry.prev.next = entry.next;
+            if (entry.next) entry.next.prev = entry.prev;
+        };
+        const openersBottom = new Map();
+
+        let entry = head.next;
+        while (entry) {
+            const closer = entry.node;
+            if (closer.type !== 'delimiter' || !closer.canClose) {
+                entry = entry.next;
+                continue;
+            }
+
+            const kind = `${closer.char}${closer.canOpen}${closer.originalCount % 3}`;
+            const bottom = openersBottom.has(kind) ? openersBottom.get(kind) : head.position;
+            let openerEntry = entry.prev;
+            while (openerEntry.position > bottom && !canPairDelimiters(openerEntry.node, closer)) {
+                openerEntry = openerEntry.prev;
+            }
+            if (openerEntry.position <= bottom) {
+                openersBottom.set(kind, entry.prev.position);
+                entry = entry.next;
+                continue;
+            }
+
+            const children = [];
+            for (let inner = openerEntry.next; inner !== entry; inner = inner.next) {
+                children.push(inner.node);
+            }
+            const depth = inlineDepth(children);
+            if (depth > MAX_NESTING_DEPTH) {
+                openersBottom.set(kind, entry.prev.position);
+                entry = entry.next;
+                continue;
+            }
+
+            const opener = openerEntry.node;
+            const used = closer.char === '~' ? closer.count : Math.min(2, opener.count, closer.count);
+            const type = closer.char === '~' ? 'del' : used === 2 ? 'strong' : 'em';
+            opener.count -= used;
+            closer.count -= used;
+
+            // The only entry left between opener and closer
+            const wrapped = { node: { type, children, depth }, prev: openerEntry, next: entry, position: entry.position - 0.5 };
+            openerEntry.next = wrapped;
+            entry.prev = wrapped;
+            if (opener.count === 0) remove(openerEntry);
+            // Continue with what is left of the closer, or right after the new node
+            if (closer.count === 0) {
+                remove(entry);
+                entry = wrapped.next;
+            }
+        }
+
+        nodes.length = 0;
+        for (let current = head.next; current; current = current.next) {
+            nodes.push(current.node);
+        }
     }
 
     /**
-     * Process horizontal rules
+     * Inline (url "title"), full [text][label], collapsed [text][] or shortcut [text] reference
+     * @returns {Object|null} { url, title, end }
      */
-    static processHorizontalRules(formatted) {
-        return formatted.replace(/^(?!.*\|)(?!.*<tr)(?!.*<pre)(?!.*<code)---$/gm, '<hr>');
+    static matchLinkTarget(text, i, opener, context) {
+        if (text[i + 1] === '(') {
+            const inline = this.matchInlineDestination(text, i + 1);
+            if (inline) return inline;
+        }
+
+        let label = text.slice(opener.start, i);
+        let end = i + 1;
+        if (text[i + 1] === '[') {
+            const close = text.indexOf(']', i + 2);
+            if (close !== -1) {
+                if (close > i + 2) label = text.slice(i + 2, close);
+                end = close + 1;
+            }
+        }
+        if (label.length > MAX_LABEL_LENGTH) return null;
+
+        const reference = context.references.get(normalizeLabel(label));
+        return reference ? { url: reference.url, title: reference.title, end } : null;
     }
 
     /**
-     * Process blockquotes
+     * (destination "title") starting at the "("
      */
-    static processBlockquotes(formatted) {
-        const blockquoteLines = formatted.split('\n');
-        let blockquoteResult = [];
-        let inBlockquote = false;
-        let blockquoteContent = [];
-
-        for (let line of blockquoteLines) {
-            const isBlockquote = /^>\s+(.*)/.test(line);
-
-            if (isBlockquote) {
-                const content = line.replace(/^>\s+/, '');
-                blockquoteContent.push(content);
-                inBlockquote = true;
-            } else {
-                if (inBlockquote) {
-                    blockquoteResult.push(`<blockquote>${blockquoteContent.join('<br>')}</blockquote>`);
-                    blockquoteContent = [];
-                    inBlockquote = false;
+    static matchInlineDestination(text, start) {
+        let j = start + 1;
+        const skipSpaces = () => {
+            while (j < text.length && /[ \t\n]/.test(text[j])) j++;
+        };
+
+        skipSpaces();
+        let url;
+        if (text[j] === '<') {
+            const close = text.indexOf('>', j);
+            if (close === -1 || text.slice(j, close).includes('\n')) return null;
+            url = text.slice(j + 1, close);
+            j = close + 1;
+        } else {
+            const urlStart = j;
+            let depth = 0;
+            while (j < text.length && !/\s/.test(text[j])) {
+                if (text[j] === '\\' && ESCAPABLE.test(text[j + 1] || '')) {
+                    j += 2;
+                    continue;
+                }
+                if (text[j] === '(') {
+                    if (++depth > MAX_LINK_PAREN_DEPTH) return null;
+                } else if (text[j] === ')') {
+                    if (depth === 0) break;
+                    depth--;
                 }
-                blockquoteResult.push(line);
+                j++;
             }
+            url = text.slice(urlStart, j);
         }
 
-        if (inBlockquote) {
-            blockquoteResult.push(`<blockquote>${blockquoteContent.join('<br>')}</blockquote>`);
+        skipSpaces();
+        let title = null;
+        if (text[j] === '"' || text[j] === "'" || text[j] === '(') {
+            const close = text.indexOf(text[j] === '(' ? ')' : text[j], j + 1);
+            if (close === -1) return null;
+            title = unescapeText(text.slice(j + 1, close));
+            j = close + 1;
+            skipSpaces();
         }
 
-        return blockquoteResult.join('\n');
+        if (text[j] !== ')') return null;
+        return { url: unescapeText(url), title, end: j + 1 };
     }
 
     /**
-     * Process lists (both ordered and unordered)
+     * Math between explicit delimiters: \( \), \[ \] or $$ $$
      */
-    static processLists(formatted) {
-        const listLines = formatted.split('\n');
-        let listResult = [];
-        let listIdx = 0;
-
-        while (listIdx < listLines.length) {
-            const line = listLines[listIdx];
-            const isUlItem = /^[\-\*]\s+(.*)/.test(line);
-            const isOlItem = /^\d+\.\s+(.*)/.test(line);
-
-            if (isUlItem || isOlItem) {
-                const currentListType = isUlItem ? 'ul' : 'ol';
-                const listItems = [];
-
-                while (listIdx < listLines.length) {
-                    const listLine = listLines[listIdx];
-                    const isListItemUl = /^[\-\*]\s+(.*)/.test(listLine);
-                    const isListItemOl = /^\d+\.\s+(.*)/.exec(listLine);
-
-                    if (isListItemUl) {
-                        const itemContent = listLine.replace(/^[\-\*]\s+/, '');
-                        listItems.push(`<li>${itemContent}</li>`);
-                        listIdx++;
-                    } else if (isListItemOl) {
-                        // Preserve the original number from markdown
-                        const number = isListItemOl[1];
-                        const marker = listLine.match(/^\d+\./)[0];
-                        listItems.push(`<li><span class="list-number">${marker}</span> ${number}</li>`);
-                        listIdx++;
-                    } else if (listLine.trim() === '') {
-                        listIdx++;
-                    } else {
-                        break;
-                    }
-                }
+    static matchDelimitedMath(text, i, closer) {
+        const start = i + 2;
+        const end = text.indexOf(closer, start);
+        if (end === -1 || !text.slice(start, end).trim()) return null;
+        return { tex: text.slice(start, end).trim(), end: end + closer.length };
+    }
 
-                // Join list items without newlines
-                listResult.push(`<${currentListType}>${listItems.join('')}</${currentListType}>`);
-            } else {
-                listResult.push(line);
-                listIdx++;
+    /**
+     * $x$ - no space inside the dollars and no digit right after, so "$5 and $10" stays text
+     */
+    static matchDollarMath(text, i) {
+        if (!text[i + 1] || /\s/.test(text[i + 1])) return null;
+
+        for (let j = i + 1; j < text.length; j++) {
+            if (text[j] === '\n' && text[j + 1] === '\n') return null;
+            if (text[j] === '\\') {
+                j++;
+                continue;
             }
+            if (text[j] !== '$') continue;
+            if (/\s/.test(text[j - 1]) || /\d/.test(text[j + 1] || '')) return null;
+            return { tex: text.slice(i + 1, j), end: j + 1 };
         }
 
-        return listResult.join('\n\n');
+        return null;
     }
 
     /**
-     * Process links (URLs)
+     * http(s):// and www. URLs in running text, without trailing punctuation or unbalanced ")"
      */
-    static processLinks(formatted) {
-        return formatted.replace(/(^|\s)(https?:\/\/[^\s<]+|www\.[^\s<]+)/gi, (match, prefix, url) => {
-            const cleanUrl = url.replace(/[.,;:!?)\]]+$/, '');
-            const fullUrl = cleanUrl.startsWith('www.') ? 'https://' + cleanUrl : cleanUrl;
+    static matchBareUrl(text, i) {
+        if (i > 0 && !/[\s*_~(]/.test(text[i - 1])) return null;
 
-            let displayUrl = cleanUrl;
+        const match = matchAt(BARE_URL, text, i);
+        if (!match) return null;
+
+        let url = match[0];
+        for (;;) {
+            const trimmed = url.replace(/[?!.,:;*_~'"]+$/, '');
+            const opens = (trimmed.match(/\(/g) || []).length;
+            const closes = (trimmed.match(/\)/g) || []).length;
+            url = trimmed.endsWith(')') && closes > opens ? trimmed.slice(0, -1) : trimmed;
+            if (url === trimmed) break;
+        }
+
+        const host = url.replace(/^(?:https?:\/\/|www\.)/i, '');
+        if (!/^[\w-]/.test(host)) return null;
+
+        const fullUrl = /^www\./i.test(url) ? `https://${url}` : url;
+        let display = url;
+        if (url.length > MAX_URL_DISPLAY_LENGTH) {
             try {
-                const urlObj = new URL(fullUrl);
-                if (cleanUrl.length > 50) {
-                    displayUrl = urlObj.hostname + '/...';
-                }
+                display = `${new URL(fullUrl).hostname}/...`;
             } catch (e) {
                 // Invalid URL, use as-is
             }
+        }
 
-            return `${prefix}<a href="${fullUrl}" target="_blank" rel="noopener noreferrer" class="message-link">${displayUrl}</a>`;
-        });
+        return { url: fullUrl, display, length: url.length };
     }
 
+    // ========== RENDERING ==========
+
     /**
-     * Process paragraphs
+     * @param {boolean} tight - list item content: paragraphs without <p>
      */
-    static processParagraphs(formatted) {
-        let paragraphs = formatted.split(/\n\n/);
-        let processedParagraphs = [];
-        let paraIdx = 0;
-
-        while (paraIdx < paragraphs.length) {
-            const para = paragraphs[paraIdx];
-
-            // If this paragraph starts with an unclosed list tag, find the closing tag
-            if ((para.startsWith('<ul>') || para.startsWith('<ol>')) && !para.includes('</ul>') && !para.includes('</ol>')) {
-                let combined = para;
-                paraIdx++;
-                while (paraIdx < paragraphs.length && !combined.includes('</ul>') && !combined.includes('</ol>')) {
-                    combined += '\n\n' + paragraphs[paraIdx];
-                    paraIdx++;
-                }
-                processedParagraphs.push(combined);
-            } else if (!para.trim()) {
-                paraIdx++;
-            } else {
-                processedParagraphs.push(para);
-                paraIdx++;
+    static renderBlocks(blocks, context, tight = false) {
+        return blocks.map(block => this.renderBlock(block, context, tight)).join('\n');
+    }
+
+    static renderBlock(block, context, tight) {
+        switch (block.type) {
+            case 'paragraph': {
+                const html = this.renderInline(this.parseInline(block.text, context), context);
+                return tight ? html : `<p>${html}</p>`;
             }
+            case 'heading':
+                return `<h${block.level}>${this.renderInline(this.parseInline(block.text, context), context)}</h${block.level}>`;
+            case 'code':
+                return CodeBlock.render(block.code, CodeBlock.parseInfoString(block.info));
+            case 'math':
+                return this.renderMath(block.tex, true) || `<p>${HtmlUtils.escapeHtml(block.source).replace(/\n/g, '<br>')}</p>`;
+            case 'hr':
+                return '<hr>';
+            case 'blockquote':
+                return `<blockquote>${this.renderBlocks(block.children, context)}</blockquote>`;
+            case 'list':
+                return this.renderList(block, context);
+            case 'table':
+                return this.renderTable(block, context);
+            default:
+                return '';
         }
+    }
 
-        paragraphs = processedParagraphs.map(para => {
-            // Skip if this is already HTML
-            if (para.match(/^(<[huol]|<pre|<li|<table|<blockquote)/)) {
-                return para;
-            }
+    /**
+     * Ordered items keep a visible number span, as list markers are hidden by the stylesheet
+     */
+    static renderList(list, context) {
+        const items = list.items.map((item, idx) => {
+            const number = list.ordered ? `<span class="list-number">${list.start + idx}${list.delimiter}</span> ` : '';
+            const checkbox = item.checked === null ? '' : `<input type="checkbox" disabled${item.checked ? ' checked' : ''}> `;
+            const className = item.checked === null ? '' : ' class="task-list-item"';
+            return `<li${className}>${number}${checkbox}${this.renderBlocks(item.children, context, !list.loose)}</li>`;
+        }).join('');
+
+        if (!list.ordered) {
+            return `<ul${list.items.some(item => item.checked !== null) ? ' class="task-list"' : ''}>${items}</ul>`;
+        }
+        return `<ol${list.start !== 1 ? ` start="${list.start}"` : ''}>${items}</ol>`;
+    }
+
+    static renderTable(table, context) {
+        const cell = (tag, content, idx) => {
+            const align = table.aligns[idx] ? ` style="text-align: ${table.aligns[idx]}"` : '';
+            return `<${tag}${align}>${this.renderInline(this.parseInline(content || '', context), context)}</${tag}>`;
+        };
 
-            // Preserve leading indentation for code blocks
-            if (para.match(/^(    |\t)/m)) {
-                const lines = para.split('\n');
-                const trimmedLines = lines.map(line => line.replace(/^    /, ''));
-                return `<pre style="white-space: pre-wrap;">${trimmedLines.join('\n')}</pre>`;
+        const header = table.header.map((content, idx) => cell('th', content, idx)).join('');
+        const rows = table.rows.map(row => {
+            return `<tr>${table.header.map((_, idx) => cell('td', row[idx], idx)).join('')}</tr>`;
+        }).join('');
+
+        return `<table><thead><tr>${header}</tr></thead>${rows ? `<tbody>${rows}</tbody>` : ''}</table>`;
+    }
+
+    static renderInline(nodes, context) {
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'text':
+                    return HtmlUtils.escapeHtml(node.text);
+                case 'delimiter':
+                    return HtmlUtils.escapeHtml(node.char.repeat(node.count));
+                case 'code':
+                    return `<code>${HtmlUtils.escapeHtml(node.code)}</code>`;
+                case 'break':
+                    return '<br>';
+                case 'em':
+                case 'strong':
+                case 'del':
+                    return `<${node.type}>${this.renderInline(node.children, context)}</${node.type}>`;
+                case 'math':
+                    return this.renderMath(node.tex, node.display) || HtmlUtils.escapeHtml(node.source);
+                case 'link':
+                    return this.renderLink(node.url, node.title, this.renderInline(node.children, context));
+                case 'image':
+                    return this.renderImage(node, context);
+                case 'citation': {
+                    const citation = context.citations[node.index];
+                    return this.renderLink(citation.url, citation.title, HtmlUtils.escapeHtml(citation.label));
+                }
+                case 'footnoteReference':
+                    return this.renderFootnoteReference(node.label, context);
+                default:
+                    return '';
             }
+        }).join('');
+    }
 
-            // Regular paragraph - convert single line breaks to <br>
-            return `<p>${para.replace(/\n/g, '<br>')}</p>`;
-        });
+    /**
+     * Links with an unsafe scheme (javascript:, data:...) keep only their text
+     */
+    static renderLink(url, title, content) {
+        const href = sanitizeUrl(url);
+        if (!href) return content;
+
+        const titleAttribute = title ? ` title="${HtmlUtils.escapeHtml(title)}"` : '';
+        return `<a href="${HtmlUtils.escapeHtml(href)}" target="_blank" rel="noopener noreferrer" class="message-link"${titleAttribute}>${content || HtmlUtils.escapeHtml(href)}</a>`;
+    }
+
+    /**
+     * Only embedded (data:) images are shown; remote ones become links so opening a chat loads nothing
+     */
+    static renderImage(node, context) {
+        const alt = this.renderInline(node.children, context);
+        const url = (node.url || '').trim();
+        if (SAFE_IMAGE.test(url)) {
+            return `<img src="${HtmlUtils.escapeHtml(url)}" alt="${alt.replace(/<[^>]*>/g, '')}" class="message-image">`;
+        }
+        return this.renderLink(url, node.title, alt);
+    }
 
-        return paragraphs.filter(p => p).join('\n');
+    /**
+     * @returns {string|null} KaTeX HTML, or null when KaTeX is not loaded
+     */
+    static renderMath(tex, displayMode) {
+        if (typeof katex === 'undefined') return null;
+        try {
+            return katex.renderToString(tex, { displayMode, throwOnError: false });
+        } catch (e) {
+            console.error('KaTeX error:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Footnotes are numbered in the order they are first referenced
+     */
+    static renderFootnoteReference(label, context) {
+        const footnote = context.footnotes.get(label);
+        if (!footnote.number) {
+            context.footnoteOrder.push(footnote);
+            footnote.number = context.footnoteOrder.length;
+        }
+        footnote.references++;
+
+        const id = `${context.idPrefix}-fnref-${footnote.number}${footnote.references > 1 ? `-${footnote.references}` : ''}`;
+        return `<sup class="footnote-ref"><a href="#${context.idPrefix}-fn-${footnote.number}" id="${id}">${footnote.number}</a></sup>`;
     }
+
+    static renderFootnotes(context) {
+        // Footnotes may reference further footnotes, which are appended while rendering
+        let items = '';
+        for (let idx = 0; idx < context.footnoteOrder.length; idx++) {
+            const footnote = context.footnoteOrder[idx];
+            const backReference = `<a href="#${context.idPrefix}-fnref-${footnote.number}" class="footnote-backref">↩</a>`;
+            items += `<li id="${context.idPrefix}-fn-${footnote.number}"><span class="list-number">${footnote.number}.</span> ${this.renderBlocks(footnote.blocks, context, true)} ${backReference}</li>`;
+        }
+
+        return items ? `<section class="footnotes"><ol>${items}</ol></section>` : '';
+    }
+}
+
+function isBlank(line) {
+    return line === undefined || !line.trim();
+}
+
+function indentOf(line) {
+    return line.length - line.trimStart().length;
+}
+
+function stripIndent(line, count) {
+    let i = 0;
+    while (i < count && line[i] === ' ') i++;
+    return line.slice(i);
+}
+
+/**
+ * Paragraph text: continuation lines lose their indentation, the last line its trailing spaces
+ */
+function joinParagraph(lines) {
+    return lines.map(line => line.trimStart()).join('\n').trimEnd();
+}
+
+/**
+ * Keep track of whether a fenced code block is open while collecting container lines
+ */
+function trackFence(line, fence) {
+    if (!fence.open) {
+        const open = MarkdownParser.matchFence(line);
+        if (open) fence.open = open[2];
+        return;
+    }
+    const close = FENCE_CLOSE.exec(line);
+    if (close && close[1][0] === fence.open[0] && close[1].length >= fence.open.length) {
+        fence.open = null;
+    }
+}
+
+/**
+ * "Rule of three": a run that can both open and close only pairs with a compatible length
+ */
+function canPairDelimiters(opener, closer) {
+    if (opener.type !== 'delimiter' || opener.char !== closer.char || !opener.canOpen) return false;
+    if (closer.char === '~') return opener.count === closer.count;
+
+    const both = opener.canClose || closer.canOpen;
+    const sum = opener.originalCount + closer.originalCount;
+    return !both || sum % 3 !== 0 || (opener.originalCount % 3 === 0 && closer.originalCount % 3 === 0);
+}
+
+/**
+ * Nesting depth of inline nodes wrapping these children (links, images and emphasis record theirs)
+ */
+function inlineDepth(children) {
+    return 1 + children.reduce((max, child) => Math.max(max, child.depth || 0), 0);
+}
+
+function findBacktickRun(text, from, length) {
+    const pattern = /`+/g;
+    pattern.lastIndex = from;
+    let match;
+    while ((match = pattern.exec(text))) {
+        if (match[0].length === length) return match.index;
+    }
+    return -1;
+}
+
+function matchAt(pattern, text, index) {
+    pattern.lastIndex = index;
+    return pattern.exec(text);
+}
+
+function charBefore(text, index) {
+    const code = text.charCodeAt(index - 1);
+    return code >= 0xDC00 && code <= 0xDFFF && index >= 2 ? text.slice(index - 2, index) : text[index - 1];
+}
+
+function normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function unescapeText(text) {
+    return text.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+}
+
+function decodeEntity(match) {
+    const [, hex, decimal, name] = match;
+    if (name) return NAMED_ENTITIES[name] || null;
+    const codePoint = parseInt(hex || decimal, hex ? 16 : 10);
+    return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : '\uFFFD';
+}
+
+function sanitizeUrl(url) {
+    const href = (url || '').trim().replace(/[\u0000-\u001F\u007F]/g, '');
+    return SAFE_URL.test(href) ? href : null;
 }
@@ -0,0 +1,398 @@
+/**
+ * SearchQuery - Parses the global search syntax into a filter AST and evaluates it
+ *
+ * Syntax:
+ *   word "exact phrase"        text in the title or any message (case-insensitive)
+ *   -word  -field:value        exclude
+ *   a OR b  (a b) OR c         alternatives; terms next to each other must all match
+ *   model:gpt-4o               an answer from a matching model
+ *   source:claude              import source (chatgpt, claude, deepseek, gemini, ...)
+ *   starred:true               starred conversation (starred pair when matching pairs)
+ *   folder:"Work"              conversation in the named folder
+ *   title:word                 text in the title only
+ *   before:2025-01-01          created before the date; after: created on or after it
+ *   created: updated: active:  date ranges on creation, last update or any message:
+ *                              2024-06, >=2024-06-01, <2025, 2024-01-01..2024-03-31
+ *
+ * AST nodes:
+ *   { type: 'and' | 'or', children }   { type: 'not', child }
+ *   { type: 'text', value, phrase }    { type: 'field', field, value }
+ *   { type: 'date', field, from, to }  (timestamps in seconds, from inclusive, to exclusive)
+ */
+
+const TEXT_FIELDS = ['model', 'source', 'starred', 'folder', 'title'];
+const DATE_FIELDS = {
+    created: 'createTime',
+    updated: 'updateTime',
+    active: 'messages'
+};
+const DATE_ALIASES = {
+    before: { field: 'created', op: '<' },
+    after: { field: 'created', op: '>=' }
+};
+
+const DAY_SECONDS = 86400;
+
+export class SearchQuery {
+    /**
+     * Parse a query string into an AST
+     * @returns {Object|null} Root node, or null for an empty query
+     */
+    static parse(text) {
+        const tokens = this.lex(text || '');
+        let position = 0;
+
+        const peek = () => tokens[position];
+        const next = () => tokens[position++];
+
+        const parseOr = () => {
+            const children = [];
+            let current = parseAnd();
+            if (current) children.push(current);
+
+            while (peek() && peek().type === 'or') {
+                next();
+                current = parseAnd();
+                if (current) children.push(current);
+            }
+
+            return this.combine('or', children);
+        };
+
+        const parseAnd = () => {
+            const children = [];
+            while (peek() && peek().type !== 'or' && peek().type !== 'rparen') {
+                const node = parseUnary();
+                if (node) children.push(node);
+            }
+            return this.combine('and', children);
+        };
+
+        const parseUnary = () => {
+            const token = next();
+
+            if (token.type === 'not') {
+                if (!peek() || peek().type === 'or' || peek().type === 'rparen') return null;
+                const child = parseUnary();
+                return child ? { type: 'not', child } : null;
+            }
+
+            if (token.type === 'lparen') {
+                const node = parseOr();
+                if (peek() && peek().type === 'rparen') next();
+                return node;
+            }
+
+            if (token.type === 'field') {
+                return this.buildFieldNode(token);
+            }
+
+            return { type: 'text', value: token.value.toLowerCase(), phrase: token.type === 'phrase' };
+        };
+
+        let root = null;
+        while (position < tokens.length) {
+            const node = parseOr();
+            root = root ? this.combine('and', [root, node].filter(Boolean)) : node;
+            // Skip an unmatched closing parenthesis
+            if (peek() && peek().type === 'rparen') next();
+        }
+
+        return root;
+    }
+
+    /**
+     * Split query text into tokens: word, phrase, field, or, not, lparen, rparen
+     */
+    static lex(text) {
+        const tokens = [];
+        let i = 0;
+
+        const readQuoted = () => {
+            // i is on the opening quote
+            const end = text.indexOf('"', i + 1);
+            const value = end === -1 ? text.slice(i + 1) : text.slice(i + 1, end);
+            i = end === -1 ? text.length : end + 1;
+            return value;
+        };
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '(') {
+                tokens.push({ type: 'lparen' });
+                i++;
+            } else if (char === ')') {
+                tokens.push({ type: 'rparen' });
+                i++;
+            } else if (char === '-' && i + 1 < text.length && !/\s/.test(text[i + 1]) &&
+                       (i === 0 || /[\s(]/.test(text[i - 1]))) {
+                tokens.push({ type: 'not' });
+                i++;
+            } else if (char === '"') {
+                const value = readQuoted();
+                if (value.trim()) tokens.push({ type: 'phrase', value });
+            } else {
+                const start = i;
+                while (i < text.length && !/[\s()"]/.test(text[i])) i++;
+                const word = text.slice(start, i);
+
+                const colon = word.indexOf(':');
+                const field = colon > 0 ? word.slice(0, colon).toLowerCase() : null;
+                const isField = field && (TEXT_FIELDS.includes(field) || DATE_FIELDS[field] || DATE_ALIASES[field]);
+
+                if (isField) {
+                    let value = word.slice(colon + 1);
+                    if (!value && text[i] === '"') {
+                        value = readQuoted();
+                    }
+                    tokens.push({ type: 'field', field, value, raw: word });
+                } else if (word === 'OR' || word === '|') {
+                    tokens.push({ type: 'or' });
+                } else if (word !== 'AND' && word !== '-') {
+                    tokens.push({ type: 'word', value: word });
+                }
+            }
+        }
+
+        return tokens;
+    }
+
+    static combine(type, children) {
+        if (children.length === 0) return null;
+        if (children.length === 1) return children[0];
+        return { type, children };
+    }
+
+    /**
+     * Build the node for field:value (invalid values are searched as plain text)
+     */
+    static buildFieldNode(token) {
+        const { field, value, raw } = token;
+        const rawText = raw.endsWith(':') ? raw + value : raw;
+        const asText = { type: 'text', value: rawText.toLowerCase(), phrase: false };
+
+        if (!value) return null;
+
+        if (DATE_ALIASES[field]) {
+            const alias = DATE_ALIASES[field];
+            return this.buildDateNode(alias.field, alias.op + value) || asText;
+        }
+
+        if (DATE_FIELDS[field]) {
+            return this.buildDateNode(field, value) || asText;
+        }
+
+        if (field === 'starred') {
+            const normalized = value.toLowerCase();
+            if (['true', 'yes', '1'].includes(normalized)) return { type: 'field', field, value: true };
+            if (['false', 'no', '0'].includes(normalized)) return { type: 'field', field, value: false };
+            return asText;
+        }
+
+        return { type: 'field', field, value: value.toLowerCase() };
+    }
+
+    /**
+     * Build a date range node from "2024-06", ">=2024-06-01", "<2025", "2024-01-01..2024-03-31"
+     */
+    static buildDateNode(field, value) {
+        let from = null;
+        let to = null;
+
+        if (value.includes('..')) {
+            const [startText, endText] = value.split('..');
+            const start = startText ? this.parseDate(startText) : null;
+            const end = endText ? this.parseDate(endText) : null;
+            if ((startText && !start) || (endText && !end) || (!start && !end)) return null;
+            from = start ? start.from : null;
+            to = end ? end.to : null;
+        } else {
+            const [, op, dateText] = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+            const range = this.parseDate(dateText);
+            if (!range) return null;
+
+            switch (op) {
+                case '>': from = range.to; break;
+                case '>=': from = range.from; break;
+                case '<': to = range.from; break;
+                case '<=': to = range.to; break;
+                default: from = range.from; to = range.to;
+            }
+        }
+
+        return { type: 'date', field: DATE_FIELDS[field], from, to };
+    }
+
+    /**
+     * Parse YYYY, YYYY-MM or YYYY-MM-DD into the time span it covers
+     * @returns {Object|null} { from, to } in seconds
+     */
+    static parseDate(text) {
+        const match = text.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+        if (!match) return null;
+
+        const year = parseInt(match[1], 10);
+        const month = match[2] ? parseInt(match[2], 10) - 1 : null;
+        const day = match[3] ? parseInt(match[3], 10) : null;
+
+        // UTC like the date inputs of the date filter dialog
+        let start;
+        let end;
+        if (day !== null) {
+            start = Date.UTC(year, month, day);
+            end = start + DAY_SECONDS * 1000;
+        } else if (month !== null) {
+            start = Date.UTC(year, month, 1);
+            end = Date.UTC(year, month + 1, 1);
+        } else {
+            start = Date.UTC(year, 0, 1);
+            end = Date.UTC(year + 1, 0, 1);
+        }
+
+        if (isNaN(start)) return null;
+        return { from: start / 1000, to: end / 1000 };
+    }
+
+    /**
+     * Text that every match must contain (used to narrow candidates with the search index)
+     * @returns {string} Space-separated words and phrases, empty if nothing is required
+     */
+    static getRequiredText(node) {
+        if (!node) return '';
+        if (node.type === 'text') return node.value;
+        if (node.type === 'and') {
+            return node.children
+                .filter(child => child.type === 'text')
+                .map(child => child.value)
+                .join(' ');
+        }
+        return '';
+    }
+
+    /**
+     * Text values worth highlighting in results (everything not excluded with -)
+     * @returns {string[]}
+     */
+    static getHighlightTerms(node) {
+        if (!node) return [];
+        if (node.type === 'text') return [node.value];
+        if (node.type === 'and' || node.type === 'or') {
+            return node.children.flatMap(child => this.getHighlightTerms(child));
+        }
+        return [];
+    }
+
+    // =========================================================================
+    // EVALUATION
+    // =========================================================================
+
+    /**
+     * Check if a conversation matches the query
+     * Text and message fields match if any pair in the conversation matches
+     * @param {Object} context - { folders }
+     */
+    static matchesConversation(node, conv, context = {}) {
+        if (!node) return true;
+        return this.evaluate(node, { conv, pairs: conv.pairs, isPair: false, context });
+    }
+
+    /**
+     * Check if a single pair of a conversation matches the query
+     */
+    static matchesPair(node, conv, pair, context = {}) {
+        if (!node) return true;
+        return this.evaluate(node, { conv, pairs: [pair], isPair: true, context });
+    }
+
+    /**
+     * Check if a conversation matches the query on its title, without any message
+     * Queries with no text or title: condition (e.g. starred:true) never match on the title
+     */
+    static matchesTitle(node, conv, context = {}) {
+        if (!this.hasTitleCondition(node)) return false;
+        return this.evaluate(node, { conv, pairs: [], isPair: false, context });
+    }
+
+    static hasTitleCondition(node) {
+        if (!node) return false;
+        if (node.type === 'text') return true;
+        if (node.type === 'field') return node.field === 'title';
+        if (node.type === 'and' || node.type === 'or') {
+            return node.children.some(child => this.hasTitleCondition(child));
+        }
+        return false;
+    }
+
+    static evaluate(node, scope) {
+        switch (node.type) {
+            case 'and':
+                return node.children.every(child => this.evaluate(child, scope));
+            case 'or':
+                return node.children.some(child => this.evaluate(child, scope));
+            case 'not':
+                return !this.evaluate(node.child, scope);
+            case 'text':
+                return this.matchesText(node.value, scope);
+            case 'date':
+                return this.matchesDate(node, scope);
+            case 'field':
+                return this.matchesField(node, scope);
+            default:
+                return true;
+        }
+    }
+
+    static matchesText(value, scope) {
+        if (!scope.isPair && (scope.conv.title || '').toLowerCase().includes(value)) {
+            return true;
+        }
+        return scope.pairs.some(pair =>
+            (pair.question.content || '').toLowerCase().includes(value) ||
+            pair.answers.some(answer => (answer.content || '').toLowerCase().includes(value))
+        );
+    }
+
+    static matchesDate(node, scope) {
+        const inRange = (timestamp) =>
+            (node.from === null || timestamp >= node.from) &&
+            (node.to === null || timestamp < node.to);
+
+        if (node.field === 'messages') {
+            return scope.pairs.some(pair =>
+                inRange(pair.question.timestamp) ||
+                pair.answers.some(answer => inRange(answer.timestamp))
+            );
+        }
+
+        return inRange(scope.conv[node.field]);
+    }
+
+    static matchesField(node, scope) {
+        const { conv } = scope;
+
+        switch (node.field) {
+            case 'model':
+                return scope.pairs.some(pair =>
+                    pair.answers.some(answer => (answer.model || '').toLowerCase().includes(node.value))
+                );
+            case 'source':
+                return (conv.source || '').toLowerCase().includes(node.value);
+            case 'starred':
+                return scope.isPair
+                    ? !!scope.pairs[0].starred === node.value
+                    : !!conv.starred === node.value;
+            case 'folder': {
+                const folders = scope.context.folders || [];
+                const folder = folders.find(f => f.name.toLowerCase() === node.value);
+                return !!folder && conv.folderId === folder.id;
+            }
+            case 'title':
+                return (conv.title || '').toLowerCase().includes(node.value);
+            default:
+                return true;
+        }
+    }
+}
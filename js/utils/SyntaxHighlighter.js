@@ -0,0 +1,282 @@
+/**
+ * SyntaxHighlighter - Small offline highlighter for the languages that show up in chats
+ *
+ * Each language is a list of [tokenType, pattern] rules tried left to right at every
+ * position (first rule wins); text between matches is plain. Token types map to
+ * CSS classes "tok-<type>" (comment, string, keyword, literal, number, function,
+ * type, tag, attr, property, meta, variable, inserted, deleted).
+ */
+
+import { HtmlUtils } from './HtmlUtils.js';
+
+// Patterns are compiled with the m flag (for line rules like diffs), where $ matches at every line end:
+// unterminated block comments and strings run to the end of the input instead
+const END_OF_INPUT = String.raw`(?![\s\S])`;
+
+const C_COMMENTS = [['comment', String.raw`\/\/[^\n]*`], ['comment', String.raw`\/\*[\s\S]*?(?:\*\/|${END_OF_INPUT})`]];
+const HASH_COMMENT = ['comment', String.raw`#[^\n]*`];
+const DOUBLE_STRING = ['string', String.raw`"(?:[^"\\\n]|\\.)*"`];
+const SINGLE_STRING = ['string', String.raw`'(?:[^'\\\n]|\\.)*'`];
+const NUMBER = ['number', String.raw`\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)[a-zA-Z]*\b`];
+const FUNCTION_CALL = ['function', String.raw`\b[a-zA-Z_$][\w$]*(?=\s*\()`];
+const CAPITALIZED_TYPE = ['type', String.raw`\b[A-Z][\w$]*\b`];
+
+const words = (type, list) => [type, String.raw`\b(?:${list.split(' ').join('|')})\b`];
+
+/**
+ * Rules shared by C-like languages (C, Java, Go, Rust...)
+ */
+function cLike(keywords, literals, extra = []) {
+    return [
+        ...C_COMMENTS,
+        ...extra,
+        DOUBLE_STRING,
+        SINGLE_STRING,
+        words('keyword', keywords),
+        words('literal', literals),
+        NUMBER,
+        FUNCTION_CALL,
+        CAPITALIZED_TYPE
+    ];
+}
+
+const JS_KEYWORDS = 'async await break case catch class const continue debugger default delete do else export extends finally for from function get if import in instanceof let new of return set static super switch this throw try typeof var void while with yield';
+const JS_LITERALS = 'true false null undefined NaN Infinity';
+
+const LANGUAGES = {
+    javascript: cLike(JS_KEYWORDS, JS_LITERALS, [['string', String.raw`\x60(?:[^\x60\\]|\\[\s\S])*\x60`]]),
+    typescript: cLike(
+        `${JS_KEYWORDS} abstract as declare enum implements interface keyof namespace private protected public readonly type`,
+        JS_LITERALS,
+        [['string', String.raw`\x60(?:[^\x60\\]|\\[\s\S])*\x60`], words('type', 'any boolean never number object string symbol unknown void')]
+    ),
+    python: [
+        HASH_COMMENT,
+        ['string', String.raw`[rRbBfFuU]{0,2}(?:"""[\s\S]*?(?:"""|${END_OF_INPUT})|'''[\s\S]*?(?:'''|${END_OF_INPUT}))`],
+        ['string', String.raw`[rRbBfFuU]{0,2}(?:"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')`],
+        ['meta', String.raw`@[\w.]+`],
+        words('keyword', 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield match case'),
+        words('literal', 'True False None'),
+        words('function', 'print len range enumerate zip map filter sorted open isinstance super'),
+        NUMBER,
+        FUNCTION_CALL,
+        CAPITALIZED_TYPE
+    ],
+    json: [
+        ['property', String.raw`"(?:[^"\\\n]|\\.)*"(?=\s*:)`],
+        DOUBLE_STRING,
+        words('literal', 'true false null'),
+        ['number', String.raw`-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b`]
+    ],
+    html: [
+        ['comment', String.raw`<!--[\s\S]*?(?:-->|${END_OF_INPUT})`],
+        ['meta', String.raw`<![^>]*>`],
+        ['tag', String.raw`<\/?[a-zA-Z][\w:.-]*|\/?>`],
+        ['attr', String.raw`\b[a-zA-Z_:@][\w:.-]*(?=\s*=)`],
+        DOUBLE_STRING,
+        SINGLE_STRING,
+        ['literal', String.raw`&[#\w]+;`]
+    ],
+    css: [
+        ['comment', String.raw`\/\*[\s\S]*?(?:\*\/|${END_OF_INPUT})`],
+        ['comment', String.raw`\/\/[^\n]*`],
+        DOUBLE_STRING,
+        SINGLE_STRING,
+        ['keyword', String.raw`@[\w-]+|!important`],
+        ['property', String.raw`(?:--)?[a-zA-Z-]+(?=\s*:(?!:)[^{;]*[;}\n])`],
+        ['number', String.raw`#[\da-fA-F]{3,8}\b|-?\b\d+(?:\.\d+)?(?:%|[a-zA-Z]+)?`],
+        FUNCTION_CALL
+    ],
+    bash: [
+        HASH_COMMENT,
+        DOUBLE_STRING,
+        SINGLE_STRING,
+        ['variable', String.raw`\$(?:\{[^}\n]*\}|\w+|[@#?$!*0-9-])`],
+        words('keyword', 'if then else elif fi for while until do done case esac in function return local export readonly declare source alias unset shift break continue exit'),
+        words('function', 'echo printf cd ls cat grep sed awk find xargs sudo apt brew npm npx yarn pnpm pip pip3 python python3 node git curl wget chmod chown mkdir rm cp mv touch tar unzip docker kubectl make ssh'),
+        ['meta', String.raw`(?:^|\s)--?[\w-]+`],
+        NUMBER
+    ],
+    sql: [
+        ['comment', String.raw`--[^\n]*`],
+        ['comment', String.raw`\/\*[\s\S]*?(?:\*\/|${END_OF_INPUT})`],
+        SINGLE_STRING,
+        DOUBLE_STRING,
+        words('keyword', 'select from where and or not in is as on join inner left right outer full cross group by order having limit offset insert into values update set delete create table view index drop alter add column primary key foreign references unique default distinct union all exists case when then else end with returning begin commit rollback transaction if like between asc desc'),
+        words('literal', 'null true false'),
+        words('type', 'int integer bigint smallint serial text varchar char boolean date timestamp timestamptz decimal numeric real float double json jsonb uuid'),
+        NUMBER,
+        FUNCTION_CALL
+    ],
+    java: cLike(
+        'abstract assert break case catch class continue default do else enum extends final finally for if implements import instanceof interface native new package private protected public return static super switch synchronized this throw throws transient try var void volatile while record yield',
+        'true false null',
+        [['meta', String.raw`@\w+`], words('type', 'boolean byte char double float int long short')]
+    ),
+    c: cLike(
+        'auto break case const continue default do else enum extern for goto if inline register restrict return sizeof static struct switch typedef union volatile while',
+        'true false NULL',
+        [['meta', String.raw`#\s*\w+[^\n]*`], words('type', 'bool char double float int long short signed unsigned void size_t')]
+    ),
+    cpp: cLike(
+        'auto break case catch class const constexpr continue default delete do else enum explicit export extern for friend goto if inline mutable namespace new noexcept operator private protected public return sizeof static struct switch template this throw try typedef typename union using virtual volatile while',
+        'true false nullptr NULL',
+        [['meta', String.raw`#\s*\w+[^\n]*`], words('type', 'bool char double float int long short signed unsigned void size_t string vector map')]
+    ),
+    csharp: cLike(
+        'abstract as async await base break case catch class const continue default delegate do else enum event explicit extern finally fixed for foreach get if implicit in interface internal is lock namespace new operator out override params private protected public readonly record ref return sealed set sizeof static struct switch this throw try typeof using var virtual void volatile while yield',
+        'true false null',
+        [['meta', String.raw`#\w+[^\n]*|\[\w+(?:\([^)\n]*\))?\]`], words('type', 'bool byte char decimal double float int long object sbyte short string uint ulong ushort')]
+    ),
+    go: cLike(
+        'break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var',
+        'true false nil iota',
+        [['string', String.raw`\x60[^\x60]*\x60`], words('type', 'bool byte complex64 complex128 error float32 float64 int int8 int16 int32 int64 rune string uint uint8 uint16 uint32 uint64 uintptr any')]
+    ),
+    rust: cLike(
+        'as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while',
+        'true false None Some Ok Err',
+        [['meta', String.raw`#!?\[[^\]\n]*\]`], ['function', String.raw`\b\w+!`], words('type', 'bool char f32 f64 i8 i16 i32 i64 i128 isize str u8 u16 u32 u64 u128 usize String Vec Option Result Box')]
+    ),
+    kotlin: cLike(
+        'as break class continue do else for fun if import in interface is object override package private protected public return super this throw try typealias val var when while data sealed open companion suspend',
+        'true false null',
+        [['meta', String.raw`@\w+`]]
+    ),
+    swift: cLike(
+        'as associatedtype break case catch class continue default defer do else enum extension fallthrough for func guard if import in init inout internal is let operator private protocol public repeat rethrows return self static struct subscript super switch throw throws try typealias var where while async await',
+        'true false nil',
+        [['meta', String.raw`@\w+`]]
+    ),
+    php: [
+        ...C_COMMENTS,
+        HASH_COMMENT,
+        ['meta', String.raw`<\?php|\?>`],
+        DOUBLE_STRING,
+        SINGLE_STRING,
+        ['variable', String.raw`\$\w+`],
+        words('keyword', 'abstract and as break case catch class clone const continue declare default do echo else elseif empty enum extends final finally fn for foreach function global if implements include interface isset list match namespace new or print private protected public readonly require require_once return static switch throw trait try unset use var while yield'),
+        words('literal', 'true false null TRUE FALSE NULL'),
+        NUMBER,
+        FUNCTION_CALL,
+        CAPITALIZED_TYPE
+    ],
+    ruby: [
+        HASH_COMMENT,
+        DOUBLE_STRING,
+        SINGLE_STRING,
+        ['literal', String.raw`:\w+[?!]?`],
+        ['variable', String.raw`@{1,2}\w+|\$\w+`],
+        words('keyword', 'alias and begin break case class def defined do else elsif end ensure for if in module next not or redo require rescue retry return self super then undef unless until when while yield attr_accessor attr_reader include extend'),
+        words('literal', 'true false nil'),
+        NUMBER,
+        FUNCTION_CALL,
+        CAPITALIZED_TYPE
+    ],
+    yaml: [
+        HASH_COMMENT,
+        ['property', String.raw`[\w.-][\w .-]*(?=:(?:\s|$))`],
+        DOUBLE_STRING,
+        SINGLE_STRING,
+        ['meta', String.raw`[&*][\w-]+|^---$|^\.\.\.$`],
+        words('literal', 'true false null yes no on off'),
+        NUMBER
+    ],
+    diff: [
+        ['meta', String.raw`^(?:@@[^\n]*|diff [^\n]*|index [^\n]*|\+\+\+ [^\n]*|--- [^\n]*)`],
+        ['inserted', String.raw`^\+[^\n]*`],
+        ['deleted', String.raw`^-[^\n]*`]
+    ]
+};
+
+const CASE_INSENSITIVE = new Set(['sql']);
+
+const ALIASES = {
+    js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+    ts: 'typescript', tsx: 'typescript', mts: 'typescript',
+    py: 'python', python3: 'python', py3: 'python',
+    sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash', shellscript: 'bash',
+    xml: 'html', svg: 'html', xhtml: 'html', vue: 'html', htm: 'html',
+    scss: 'css', less: 'css', sass: 'css',
+    h: 'c', hpp: 'cpp', cc: 'cpp', cxx: 'cpp', 'c++': 'cpp',
+    cs: 'csharp', 'c#': 'csharp',
+    golang: 'go', rs: 'rust', kt: 'kotlin', kts: 'kotlin', rb: 'ruby',
+    yml: 'yaml', patch: 'diff', jsonc: 'json', json5: 'json',
+    postgres: 'sql', postgresql: 'sql', mysql: 'sql', sqlite: 'sql'
+};
+
+// Compiled on first use: { pattern, types } where types[i] is the token type of capture group i + 1
+const compiled = new Map();
+
+export class SyntaxHighlighter {
+    /**
+     * Canonical language name for a fence label or file extension, or null if unsupported
+     */
+    static normalizeLanguage(language) {
+        const name = (language || '').toLowerCase();
+        const canonical = ALIASES[name] || name;
+        return LANGUAGES[canonical] ? canonical : null;
+    }
+
+    /**
+     * @returns {Array} [{ type, text }] - type is null for plain text
+     */
+    static tokenize(code, language) {
+        const canonical = this.normalizeLanguage(language);
+        if (!canonical || !code) {
+            return code ? [{ type: null, text: code }] : [];
+        }
+
+        const { pattern, types } = this.compile(canonical);
+        pattern.lastIndex = 0;
+
+        const tokens = [];
+        let position = 0;
+        let match;
+        while ((match = pattern.exec(code)) !== null) {
+            if (match[0] === '') {
+                pattern.lastIndex++;
+                continue;
+            }
+            if (match.index > position) {
+                tokens.push({ type: null, text: code.slice(position, match.index) });
+            }
+            const group = match.findIndex((value, idx) => idx > 0 && value !== undefined);
+            tokens.push({ type: types[group - 1], text: match[0] });
+            position = pattern.lastIndex;
+        }
+        if (position < code.length) {
+            tokens.push({ type: null, text: code.slice(position) });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Highlighted HTML, one string per line (tokens spanning lines are split)
+     */
+    static highlightLines(code, language) {
+        const lines = [''];
+        this.tokenize(code, language).forEach(({ type, text }) => {
+            text.split('\n').forEach((part, idx) => {
+                if (idx > 0) lines.push('');
+                if (!part) return;
+                const escaped = HtmlUtils.escapeHtml(part);
+                lines[lines.length - 1] += type ? `<span class="tok-${type}">${escaped}</span>` : escaped;
+            });
+        });
+        return lines;
+    }
+
+    static compile(language) {
+        if (!compiled.has(language)) {
+            const rules = LANGUAGES[language];
+            const flags = CASE_INSENSITIVE.has(language) ? 'gmi' : 'gm';
+            compiled.set(language, {
+                pattern: new RegExp(rules.map(([, source]) => `(${source})`).join('|'), flags),
+                types: rules.map(([type]) => type)
+            });
+        }
+        return compiled.get(language);
+    }
+}
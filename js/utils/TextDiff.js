@@ -0,0 +1,116 @@
+/**
+ * TextDiff - Sequence and word-level diffs (longest common subsequence)
+ *
+ * Operations: { type: 'equal' | 'insert' | 'delete', ... }
+ * insert = only in the new version, delete = only in the old one
+ */
+
+// Largest LCS table (old length × new length) computed before falling back to a block replace
+const MAX_TABLE_CELLS = 4000000;
+
+// Words and the whitespace between them are separate tokens, so spacing survives a diff
+const TOKEN_PATTERN = /\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu;
+
+export class TextDiff {
+    /**
+     * Align two sequences
+     * @param {Array} oldItems
+     * @param {Array} newItems
+     * @param {Function} [equals] - (a, b) => boolean, defaults to ===
+     * @returns {Array} [{ type, oldIndex, newIndex }] - indexes are -1 on the side an item is missing from
+     */
+    static diffSequences(oldItems, newItems, equals = (a, b) => a === b) {
+        // Common prefix and suffix need no table
+        let start = 0;
+        while (start < oldItems.length && start < newItems.length && equals(oldItems[start], newItems[start])) {
+            start++;
+        }
+        let oldEnd = oldItems.length;
+        let newEnd = newItems.length;
+        while (oldEnd > start && newEnd > start && equals(oldItems[oldEnd - 1], newItems[newEnd - 1])) {
+            oldEnd--;
+            newEnd--;
+        }
+
+        const ops = [];
+        for (let i = 0; i < start; i++) {
+            ops.push({ type: 'equal', oldIndex: i, newIndex: i });
+        }
+
+        const n = oldEnd - start;
+        const m = newEnd - start;
+        if (n * m > MAX_TABLE_CELLS) {
+            // Too large to align: the whole middle is replaced
+            for (let i = start; i < oldEnd; i++) ops.push({ type: 'delete', oldIndex: i, newIndex: -1 });
+            for (let j = start; j < newEnd; j++) ops.push({ type: 'insert', oldIndex: -1, newIndex: j });
+        } else {
+            ops.push(...this.alignMiddle(oldItems, newItems, start, oldEnd, newEnd, equals));
+        }
+
+        for (let k = 0; k < oldItems.length - oldEnd; k++) {
+            ops.push({ type: 'equal', oldIndex: oldEnd + k, newIndex: newEnd + k });
+        }
+
+        return ops;
+    }
+
+    /**
+     * LCS table over old[start, oldEnd) × new[start, newEnd), then walk it forwards
+     */
+    static alignMiddle(oldItems, newItems, start, oldEnd, newEnd, equals) {
+        const n = oldEnd - start;
+        const m = newEnd - start;
+        const width = m + 1;
+
+        // lengths[i * width + j] = LCS length of old[i..] and new[j..]
+        const lengths = new Uint32Array((n + 1) * width);
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lengths[i * width + j] = equals(oldItems[start + i], newItems[start + j])
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+
+        const ops = [];
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && equals(oldItems[start + i], newItems[start + j])) {
+                ops.push({ type: 'equal', oldIndex: start + i, newIndex: start + j });
+                i++;
+                j++;
+            } else if (j < m && (i === n || lengths[i * width + j + 1] >= lengths[(i + 1) * width + j])) {
+                ops.push({ type: 'insert', oldIndex: -1, newIndex: start + j });
+                j++;
+            } else {
+                ops.push({ type: 'delete', oldIndex: start + i, newIndex: -1 });
+                i++;
+            }
+        }
+
+        return ops;
+    }
+
+    /**
+     * Word-level diff of two texts
+     * @returns {Array} [{ type, text }] - consecutive tokens of the same type are joined
+     */
+    static diffWords(oldText, newText) {
+        const oldTokens = (oldText || '').match(TOKEN_PATTERN) || [];
+        const newTokens = (newText || '').match(TOKEN_PATTERN) || [];
+
+        const parts = [];
+        this.diffSequences(oldTokens, newTokens).forEach(op => {
+            const text = op.type === 'insert' ? newTokens[op.newIndex] : oldTokens[op.oldIndex];
+            const last = parts[parts.length - 1];
+            if (last && last.type === op.type) {
+                last.text += text;
+            } else {
+                parts.push({ type: op.type, text });
+            }
+        });
+
+        return parts;
+    }
+}
@@ -0,0 +1,188 @@
+/**
+ * ZipReader - Minimal in-browser ZIP archive reader
+ * Reads the central directory and extracts entries on demand
+ * Supports stored and deflated entries (via DecompressionStream) and ZIP64 archives
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+// End of central directory record is 22 bytes plus an optional comment of up to 64KB
+const EOCD_MAX_SEARCH = 22 + 0xffff;
+
+export class ZipReader {
+    constructor(blob, entries) {
+        this.blob = blob;
+        this.entries = entries;
+    }
+
+    /**
+     * Check if the browser can inflate ZIP entries
+     */
+    static isSupported() {
+        return typeof DecompressionStream !== 'undefined';
+    }
+
+    /**
+     * Check if a file looks like a ZIP archive (by name or type)
+     */
+    static isZipFile(file) {
+        return file.name.toLowerCase().endsWith('.zip') ||
+               file.type === 'application/zip' ||
+               file.type === 'application/x-zip-compressed';
+    }
+
+    /**
+     * Open a ZIP archive and read its central directory
+     * @param {Blob} blob - ZIP file
+     * @returns {Promise<ZipReader>}
+     */
+    static async open(blob) {
+        const tailStart = Math.max(0, blob.size - EOCD_MAX_SEARCH);
+        const tail = new DataView(await blob.slice(tailStart).arrayBuffer());
+
+        // Scan backwards for the end of central directory record
+        let eocdOffset = -1;
+        for (let i = tail.byteLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === EOCD_SIGNATURE) {
+                eocdOffset = i;
+                break;
+            }
+        }
+        if (eocdOffset === -1) {
+            throw new Error('Not a valid ZIP archive');
+        }
+
+        let entryCount = tail.getUint16(eocdOffset + 10, true);
+        let directorySize = tail.getUint32(eocdOffset + 12, true);
+        let directoryOffset = tail.getUint32(eocdOffset + 16, true);
+
+        // ZIP64: the real values live in the ZIP64 end of central directory record
+        const locatorOffset = eocdOffset - 20;
+        if (locatorOffset >= 0 && tail.getUint32(locatorOffset, true) === ZIP64_EOCD_LOCATOR_SIGNATURE) {
+            const zip64Offset = this.readUint64(tail, locatorOffset + 8);
+            const zip64 = new DataView(await blob.slice(zip64Offset, zip64Offset + 56).arrayBuffer());
+            if (zip64.getUint32(0, true) !== ZIP64_EOCD_SIGNATURE) {
+                throw new Error('Invalid ZIP64 end of central directory');
+            }
+            entryCount = this.readUint64(zip64, 32);
+            directorySize = this.readUint64(zip64, 40);
+            directoryOffset = this.readUint64(zip64, 48);
+        }
+
+        const directory = new DataView(
+            await blob.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer()
+        );
+        const entries = this.parseCentralDirectory(directory, entryCount);
+
+        return new ZipReader(blob, entries);
+    }
+
+    /**
+     * Parse central directory file headers
+     */
+    static parseCentralDirectory(view, entryCount) {
+        const entries = [];
+        const utf8 = new TextDecoder('utf-8');
+        let offset = 0;
+
+        for (let i = 0; i < entryCount && offset + 46 <= view.byteLength; i++) {
+            if (view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+
+            const method = view.getUint16(offset + 10, true);
+            let compressedSize = view.getUint32(offset + 20, true);
+            let size = view.getUint32(offset + 24, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            let localHeaderOffset = view.getUint32(offset + 42, true);
+
+            const nameBytes = new Uint8Array(view.buffer, view.byteOffset + offset + 46, nameLength);
+            const name = utf8.decode(nameBytes);
+
+            // ZIP64 extended information extra field (only present for values that overflowed)
+            let extraOffset = offset + 46 + nameLength;
+            const extraEnd = extraOffset + extraLength;
+            while (extraOffset + 4 <= extraEnd) {
+                const headerId = view.getUint16(extraOffset, true);
+                const dataSize = view.getUint16(extraOffset + 2, true);
+                if (headerId === 0x0001) {
+                    let fieldOffset = extraOffset + 4;
+                    if (size === 0xffffffff) {
+                        size = this.readUint64(view, fieldOffset);
+                        fieldOffset += 8;
+                    }
+                    if (compressedSize === 0xffffffff) {
+                        compressedSize = this.readUint64(view, fieldOffset);
+                        fieldOffset += 8;
+                    }
+                    if (localHeaderOffset === 0xffffffff) {
+                        localHeaderOffset = this.readUint64(view, fieldOffset);
+                    }
+                }
+                extraOffset += 4 + dataSize;
+            }
+
+            if (!name.endsWith('/')) {
+                entries.push({ name, method, compressedSize, size, localHeaderOffset });
+            }
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    static readUint64(view, offset) {
+        const low = view.getUint32(offset, true);
+        const high = view.getUint32(offset + 4, true);
+        return high * 0x100000000 + low;
+    }
+
+    /**
+     * Extract an entry as a Blob
+     * @param {Object} entry - Entry from this.entries
+     * @param {string} type - Optional MIME type for the resulting Blob
+     */
+    async readBlob(entry, type = '') {
+        const header = new DataView(
+            await this.blob.slice(entry.localHeaderOffset, entry.localHeaderOffset + 30).arrayBuffer()
+        );
+        if (header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+            throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+        }
+
+        // Local header name/extra lengths can differ from the central directory
+        const dataStart = entry.localHeaderOffset + 30 +
+            header.getUint16(26, true) + header.getUint16(28, true);
+        const data = this.blob.slice(dataStart, dataStart + entry.compressedSize);
+
+        if (entry.method === METHOD_STORED) {
+            return new Blob([data], { type });
+        }
+
+        if (entry.method === METHOD_DEFLATE) {
+            const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            const inflated = await new Response(stream).blob();
+            return new Blob([inflated], { type });
+        }
+
+        throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.name}`);
+    }
+
+    /**
+     * Extract an entry as a File (keeps the base name so importers can detect its type)
+     */
+    async readFile(entry, type = '') {
+        const blob = await this.readBlob(entry, type);
+        return new File([blob], entry.name.split('/').pop(), { type });
+    }
+}
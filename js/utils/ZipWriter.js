@@ -0,0 +1,128 @@
+/**
+ * ZipWriter - Minimal in-browser ZIP archive writer
+ * Entries are stored uncompressed (exports are small text files)
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const EOCD_SIGNATURE = 0x06054b50;
+
+const METHOD_STORED = 0;
+const VERSION = 20;
+// General purpose flag bit 11: file names are UTF-8
+const FLAG_UTF8 = 0x0800;
+
+let crcTable = null;
+
+export class ZipWriter {
+    constructor() {
+        this.entries = [];
+        this.encoder = new TextEncoder();
+    }
+
+    /**
+     * Add a file to the archive
+     * @param {string} name - Path inside the archive
+     * @param {string|Uint8Array} content - Text is encoded as UTF-8
+     * @param {Date} [date] - Modification time
+     */
+    addFile(name, content, date = new Date()) {
+        const data = typeof content === 'string' ? this.encoder.encode(content) : content;
+        this.entries.push({
+            name: this.encoder.encode(name),
+            data,
+            crc: ZipWriter.crc32(data),
+            date
+        });
+    }
+
+    /**
+     * Build the archive
+     * @returns {Blob}
+     */
+    toBlob() {
+        const parts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        this.entries.forEach(entry => {
+            const { time, date } = ZipWriter.toDosDateTime(entry.date);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+            local.setUint16(4, VERSION, true);
+            local.setUint16(6, FLAG_UTF8, true);
+            local.setUint16(8, METHOD_STORED, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, entry.crc, true);
+            local.setUint32(18, entry.data.length, true);
+            local.setUint32(22, entry.data.length, true);
+            local.setUint16(26, entry.name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+            central.setUint16(4, VERSION, true);
+            central.setUint16(6, VERSION, true);
+            central.setUint16(8, FLAG_UTF8, true);
+            central.setUint16(10, METHOD_STORED, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, entry.crc, true);
+            central.setUint32(20, entry.data.length, true);
+            central.setUint32(24, entry.data.length, true);
+            central.setUint16(28, entry.name.length, true);
+            // Extra field, comment, disk number, attributes: all zero
+            central.setUint32(42, offset, true);
+
+            parts.push(local, entry.name, entry.data);
+            centralParts.push(central, entry.name);
+            offset += 30 + entry.name.length + entry.data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+
+        const eocd = new DataView(new ArrayBuffer(22));
+        eocd.setUint32(0, EOCD_SIGNATURE, true);
+        eocd.setUint16(8, this.entries.length, true);
+        eocd.setUint16(10, this.entries.length, true);
+        eocd.setUint32(12, centralSize, true);
+        eocd.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...centralParts, eocd], { type: 'application/zip' });
+    }
+
+    /**
+     * CRC-32 checksum of the data
+     */
+    static crc32(data) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Convert a date to MS-DOS time and date fields (local time, 2-second precision)
+     */
+    static toDosDateTime(value) {
+        const year = Math.max(1980, value.getFullYear());
+        return {
+            time: (value.getHours() << 11) | (value.getMinutes() << 5) | (value.getSeconds() >> 1),
+            date: ((year - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+        };
+    }
+}
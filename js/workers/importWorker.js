@@ -0,0 +1,218 @@
+/**
+ * Import Worker - Streams a JSON export file and parses it off the UI thread
+ *
+ * The top-level array is split into one conversation at a time, so the whole
+ * export never has to be held as a single parsed object.
+ *
+ * Messages in:  { type: 'start', file }
+ * Messages out: { type: 'progress', progress }
+ *               { type: 'batch', conversations, progress }
+ *               { type: 'done', warnings, project, progress }
+ *                 (project: the parsed file when it is a Save Project file, restored as a whole)
+ *               { type: 'error', message }
+ */
+
+// Classic worker: reuse the same parsers as the main thread
+importScripts('../../indexeddb.js', '../../searchindex.js', '../../htmlmarkdown.js', '../../data.js');
+
+const BATCH_SIZE = 50;
+const PROGRESS_INTERVAL_MS = 200;
+
+/**
+ * Incremental splitter for a top-level JSON array
+ * Calls onElement with the raw JSON text of each array element
+ * Falls back to buffering the whole text if the root is not an array
+ */
+class JSONArrayStreamSplitter {
+    constructor(onElement) {
+        this.onElement = onElement;
+        this.mode = 'start'; // 'start' | 'array' | 'buffer' | 'done'
+        this.depth = 0;
+        this.inString = false;
+        this.escapeNext = false;
+        this.pending = '';
+        this.buffer = [];
+    }
+
+    write(chunk) {
+        let i = 0;
+
+        if (this.mode === 'start') {
+            // Skip whitespace before the root value (\s also matches a BOM)
+            while (i < chunk.length && /\s/.test(chunk[i])) {
+                i++;
+            }
+            if (i >= chunk.length) return;
+
+            if (chunk[i] === '[') {
+                this.mode = 'array';
+                i++;
+            } else {
+                this.mode = 'buffer';
+            }
+        }
+
+        if (this.mode === 'buffer') {
+            this.buffer.push(chunk.slice(i));
+            return;
+        }
+
+        if (this.mode !== 'array') return;
+
+        // An element may continue from the previous chunk
+        let elementStart = this.depth > 0 ? i : -1;
+
+        for (; i < chunk.length; i++) {
+            const char = chunk[i];
+
+            // Between elements: skip whitespace and commas
+            if (this.depth === 0) {
+                if (char === '{' || char === '[') {
+                    this.depth = 1;
+                    elementStart = i;
+                } else if (char === ']') {
+                    this.mode = 'done';
+                    return;
+                }
+                continue;
+            }
+
+            if (this.inString) {
+                if (this.escapeNext) {
+                    this.escapeNext = false;
+                } else if (char === '\\') {
+                    this.escapeNext = true;
+                } else if (char === '"') {
+                    this.inString = false;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                this.inString = true;
+            } else if (char === '{' || char === '[') {
+                this.depth++;
+            } else if (char === '}' || char === ']') {
+                this.depth--;
+                if (this.depth === 0) {
+                    const elementText = this.pending + chunk.slice(elementStart, i + 1);
+                    this.pending = '';
+                    elementStart = -1;
+                    this.onElement(elementText);
+                }
+            }
+        }
+
+        if (this.depth > 0 && elementStart !== -1) {
+            this.pending += chunk.slice(elementStart);
+        }
+    }
+
+    /**
+     * Get the buffered text when the root value was not an array
+     */
+    getBufferedText() {
+        return this.mode === 'buffer' ? this.buffer.join('') : null;
+    }
+}
+
+async function streamImport(file) {
+    const startTime = Date.now();
+    const warnings = [];
+    let project = null;
+    let batch = [];
+    const geminiRecords = []; // grouped into conversations once the whole file is read
+    let elementIndex = 0;
+    let parsedCount = 0;
+    let bytesRead = 0;
+    let lastProgressTime = 0;
+
+    const getProgress = () => ({
+        conversations: parsedCount,
+        bytesRead,
+        totalBytes: file.size,
+        elapsedMs: Date.now() - startTime
+    });
+
+    const flushBatch = () => {
+        if (batch.length > 0) {
+            self.postMessage({ type: 'batch', conversations: batch, progress: getProgress() });
+            batch = [];
+        }
+    };
+
+    const addConversation = (conversation) => {
+        batch.push(conversation);
+        parsedCount++;
+        if (batch.length >= BATCH_SIZE) {
+            flushBatch();
+        }
+    };
+
+    const splitter = new JSONArrayStreamSplitter((elementText) => {
+        const index = elementIndex++;
+        try {
+            const element = JSON.parse(elementText);
+            if (chatData.isGeminiFormat(element)) {
+                geminiRecords.push({ record: element, index });
+                return;
+            }
+            const parsed = chatData.parseSingleConversation(element);
+            if (parsed) {
+                addConversation(parsed);
+            } else {
+                warnings.push(`Conversation at index ${index} could not be parsed`);
+            }
+        } catch (error) {
+            warnings.push(`Conversation at index ${index}: ${error.message}`);
+        }
+    });
+
+    const reader = file.stream().getReader();
+    const decoder = new TextDecoder();
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        bytesRead += value.byteLength;
+        splitter.write(decoder.decode(value, { stream: true }));
+
+        const now = Date.now();
+        if (now - lastProgressTime >= PROGRESS_INTERVAL_MS) {
+            lastProgressTime = now;
+            flushBatch();
+            self.postMessage({ type: 'progress', progress: getProgress() });
+        }
+    }
+    splitter.write(decoder.decode());
+
+    // Root was an object (e.g. { conversations: [...] } or a single mapping export)
+    const bufferedText = splitter.getBufferedText();
+    if (bufferedText !== null) {
+        const jsonData = JSON.parse(bufferedText);
+        if (chatData.isProjectFile(jsonData)) {
+            project = jsonData;
+        } else {
+            const result = chatData.parseJSONExport(jsonData);
+            result.conversations.forEach(addConversation);
+            warnings.push(...result.warnings);
+        }
+    }
+
+    chatData.groupGeminiActivity(geminiRecords, warnings).forEach(addConversation);
+
+    flushBatch();
+    self.postMessage({ type: 'done', warnings, project, progress: getProgress() });
+}
+
+self.onmessage = async (event) => {
+    const { type, file } = event.data;
+    if (type !== 'start') return;
+
+    try {
+        await streamImport(file);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,303 @@
+// Full-text Search Index for ChatGPT Parser
+// Persisted inverted index (term -> conversations) stored in IndexedDB
+
+// CJK scripts have no spaces between words, so they are indexed as single characters and bigrams
+const CJK_RUN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]+/g;
+const WORD_RUN = /[\p{L}\p{N}_]+/gu;
+
+const MAX_TERM_LENGTH = 40;
+const MIN_PREFIX_LENGTH = 2;
+const TITLE_WEIGHT = 3;
+
+// Conversations indexed per IndexedDB transaction
+const INDEX_BATCH_SIZE = 200;
+
+// BM25 ranking parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+class SearchIndex {
+    constructor(idbStorage) {
+        this.idbStorage = idbStorage;
+        this.docLengths = new Map(); // conversationId -> indexed term count
+        this.queue = Promise.resolve(); // Index updates run one at a time
+        this.pendingUpdates = 0;
+        this.loaded = false;
+    }
+
+    // =========================================================================
+    // TOKENIZING
+    // =========================================================================
+
+    /**
+     * Split text into index terms
+     * Latin/Cyrillic/etc. words are lowercased; CJK runs become characters and bigrams
+     * @returns {string[]}
+     */
+    static tokenize(text) {
+        const terms = [];
+        if (!text) return terms;
+
+        const normalized = text.normalize('NFKC').toLowerCase();
+        for (const [word] of normalized.matchAll(WORD_RUN)) {
+            SearchIndex.splitWord(word).forEach(segment => {
+                if (segment.cjk) {
+                    const chars = Array.from(segment.text);
+                    chars.forEach((char, idx) => {
+                        terms.push(char);
+                        if (idx < chars.length - 1) {
+                            terms.push(char + chars[idx + 1]);
+                        }
+                    });
+                } else if (segment.text.length <= MAX_TERM_LENGTH) {
+                    terms.push(segment.text);
+                }
+            });
+        }
+
+        return terms;
+    }
+
+    /**
+     * Split query text into lookup terms
+     * The last word is matched as a prefix while the user is still typing it
+     * @returns {Array} [{ term, prefix }]
+     */
+    static tokenizeQuery(text) {
+        const terms = [];
+        if (!text) return terms;
+
+        const normalized = text.normalize('NFKC').toLowerCase();
+        const words = Array.from(normalized.matchAll(WORD_RUN), match => match[0]);
+        const endsWithWord = /[\p{L}\p{N}_]$/u.test(normalized);
+
+        words.forEach((word, wordIdx) => {
+            const segments = SearchIndex.splitWord(word);
+            segments.forEach((segment, segmentIdx) => {
+                if (segment.cjk) {
+                    // Bigrams only: every character pair must appear
+                    const chars = Array.from(segment.text);
+                    if (chars.length === 1) {
+                        terms.push({ term: chars[0], prefix: false });
+                    }
+                    for (let i = 0; i < chars.length - 1; i++) {
+                        terms.push({ term: chars[i] + chars[i + 1], prefix: false });
+                    }
+                } else {
+                    const isLast = wordIdx === words.length - 1 && segmentIdx === segments.length - 1;
+                    terms.push({
+                        term: segment.text.slice(0, MAX_TERM_LENGTH),
+                        prefix: isLast && endsWithWord && segment.text.length >= MIN_PREFIX_LENGTH
+                    });
+                }
+            });
+        });
+
+        // Drop repeated terms
+        const seen = new Set();
+        return terms.filter(({ term, prefix }) => {
+            const key = `${term}|${prefix}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Check if the index can find a query word as it is typed
+     * Words with punctuation ("c++", "node.js") or longer than an index term are split or dropped by tokenize
+     */
+    static isIndexable(word) {
+        const normalized = word.normalize('NFKC').toLowerCase();
+        return /^[\p{L}\p{N}_]+$/u.test(normalized) &&
+            SearchIndex.splitWord(normalized).every(segment => segment.cjk || segment.text.length <= MAX_TERM_LENGTH);
+    }
+
+    /**
+     * Split a word into CJK and non-CJK segments (e.g. "gpt4模型" -> "gpt4", "模型")
+     */
+    static splitWord(word) {
+        const segments = [];
+        let lastIndex = 0;
+
+        for (const match of word.matchAll(CJK_RUN)) {
+            if (match.index > lastIndex) {
+                segments.push({ text: word.slice(lastIndex, match.index), cjk: false });
+            }
+            segments.push({ text: match[0], cjk: true });
+            lastIndex = match.index + match[0].length;
+        }
+        if (lastIndex < word.length) {
+            segments.push({ text: word.slice(lastIndex), cjk: false });
+        }
+
+        return segments;
+    }
+
+    /**
+     * Build the index document for a conversation
+     * @returns {Object} { id, hash, length, terms: { term: frequency } }
+     */
+    static buildDocument(conv) {
+        const terms = {};
+        let length = 0;
+        const addText = (text, weight) => {
+            SearchIndex.tokenize(text).forEach(term => {
+                terms[term] = (terms[term] || 0) + weight;
+                length++;
+            });
+        };
+
+        addText(conv.title, TITLE_WEIGHT);
+        const contentParts = [conv.title || ''];
+        (conv.pairs || []).forEach(pair => {
+            addText(pair.question.content, 1);
+            contentParts.push(pair.question.content || '');
+            pair.answers.forEach(answer => {
+                addText(answer.content, 1);
+                contentParts.push(answer.content || '');
+            });
+        });
+
+        return { id: conv.id, hash: SearchIndex.hashText(contentParts.join('\u0000')), length, terms };
+    }
+
+    // FNV-1a: lets unchanged conversations (e.g. after a star toggle) skip re-indexing
+    static hashText(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16);
+    }
+
+    // =========================================================================
+    // UPDATING
+    // =========================================================================
+
+    /**
+     * Check if the index covers every conversation and can answer queries
+     */
+    isReady() {
+        return this.loaded && this.pendingUpdates === 0;
+    }
+
+    /**
+     * Load document stats and bring the index in line with the stored conversations
+     * (indexes conversations imported before the index existed, drops stale entries)
+     */
+    sync(conversations) {
+        return this.enqueue(async () => {
+            this.docLengths = await this.idbStorage.loadSearchDocLengths();
+            this.loaded = true;
+
+            const ids = new Set(conversations.map(conv => conv.id));
+            const missing = conversations.filter(conv => !this.docLengths.has(conv.id));
+            const staleIds = Array.from(this.docLengths.keys()).filter(id => !ids.has(id));
+            await this.applyUpdates(missing, staleIds);
+        });
+    }
+
+    /**
+     * Re-index changed conversations and remove deleted ones
+     */
+    update(conversations, deletedIds = []) {
+        return this.enqueue(() => this.applyUpdates(conversations, deletedIds));
+    }
+
+    enqueue(task) {
+        this.pendingUpdates++;
+        this.queue = this.queue
+            .then(task)
+            .catch(error => console.error('Search index update failed:', error))
+            .finally(() => {
+                this.pendingUpdates--;
+            });
+        return this.queue;
+    }
+
+    async applyUpdates(conversations, deletedIds) {
+        for (let i = 0; i < conversations.length; i += INDEX_BATCH_SIZE) {
+            const docs = conversations.slice(i, i + INDEX_BATCH_SIZE).map(SearchIndex.buildDocument);
+            const written = await this.idbStorage.updateSearchIndex(docs, []);
+            written.forEach(doc => this.docLengths.set(doc.id, doc.length));
+        }
+
+        if (deletedIds.length > 0) {
+            await this.idbStorage.updateSearchIndex([], deletedIds);
+            deletedIds.forEach(id => this.docLengths.delete(id));
+        }
+    }
+
+    reset() {
+        this.docLengths.clear();
+    }
+
+    // =========================================================================
+    // QUERYING
+    // =========================================================================
+
+    /**
+     * Find conversations containing every query term, best matches first (BM25)
+     * @returns {Promise<Array>} [{ id, score }]
+     */
+    async search(queryText) {
+        const queryTerms = SearchIndex.tokenizeQuery(queryText);
+        if (queryTerms.length === 0) return [];
+
+        const docCount = this.docLengths.size;
+        if (docCount === 0) return [];
+
+        let totalLength = 0;
+        this.docLengths.forEach(length => {
+            totalLength += length;
+        });
+        const avgLength = totalLength / docCount || 1;
+
+        let scores = null;
+        for (const { term, prefix } of queryTerms) {
+            const postingsList = prefix
+                ? await this.idbStorage.loadSearchTermsByPrefix(term)
+                : [await this.idbStorage.loadSearchTerm(term)].filter(Boolean);
+
+            // Merge postings of all terms matching this query term
+            const termScores = new Map();
+            postingsList.forEach(({ postings }) => {
+                const docIds = Object.keys(postings);
+                const idf = Math.log(1 + (docCount - docIds.length + 0.5) / (docIds.length + 0.5));
+
+                docIds.forEach(id => {
+                    const tf = postings[id];
+                    const length = this.docLengths.get(id) || avgLength;
+                    const score = idf * (tf * (BM25_K1 + 1)) /
+                        (tf + BM25_K1 * (1 - BM25_B + BM25_B * length / avgLength));
+                    termScores.set(id, Math.max(termScores.get(id) || 0, score));
+                });
+            });
+
+            // Every query term must match
+            if (scores === null) {
+                scores = termScores;
+            } else {
+                const merged = new Map();
+                scores.forEach((score, id) => {
+                    if (termScores.has(id)) {
+                        merged.set(id, score + termScores.get(id));
+                    }
+                });
+                scores = merged;
+            }
+
+            if (scores.size === 0) break;
+        }
+
+        return Array.from(scores, ([id, score]) => ({ id, score }))
+            .sort((a, b) => b.score - a.score);
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchIndex;
+}
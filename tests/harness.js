@@ -0,0 +1,64 @@
+/**
+ * Minimal test harness shared by the Node runner (tests/run.mjs) and the browser page (tests/index.html)
+ * No dependencies: suites call runner.test() and throw on failure
+ */
+
+export class TestRunner {
+    constructor() {
+        this.results = []; // { suite, name, passed, error }
+        this.suite = '';
+    }
+
+    describe(suite) {
+        this.suite = suite;
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ suite: this.suite, name, passed: true });
+        } catch (error) {
+            this.results.push({ suite: this.suite, name, passed: false, error });
+        }
+    }
+
+    skip(name, reason) {
+        this.results.push({ suite: this.suite, name, passed: true, skipped: reason });
+    }
+
+    get failures() {
+        return this.results.filter(result => !result.passed);
+    }
+}
+
+/**
+ * One line per test, then a summary line
+ */
+export function formatResults(runner) {
+    const lines = runner.results.map(result => {
+        const status = result.skipped ? 'skip' : result.passed ? 'ok  ' : 'FAIL';
+        const detail = result.skipped || (result.error ? result.error.message : '');
+        return `${status} ${result.suite} > ${result.name}${detail ? ` - ${detail}` : ''}`;
+    });
+    const failed = runner.failures.length;
+    const skipped = runner.results.filter(result => result.skipped).length;
+    lines.push('', `${runner.results.length - failed - skipped} passed, ${failed} failed, ${skipped} skipped`);
+    return lines.join('\n');
+}
+
+export function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || 'Assertion failed');
+    }
+}
+
+/**
+ * Compare values structurally (JSON), reporting both sides on failure
+ */
+export function assertEqual(actual, expected, message) {
+    const actualJson = JSON.stringify(actual);
+    const expectedJson = JSON.stringify(expected);
+    if (actualJson !== expectedJson) {
+        throw new Error(`${message ? message + ': ' : ''}expected ${expectedJson}, got ${actualJson}`);
+    }
+}
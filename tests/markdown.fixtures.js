@@ -0,0 +1,68 @@
+/**
+ * Markdown fixtures: input and the HTML MarkdownParser.format() must produce
+ * Code fences and footnotes are left out: their HTML depends on translations and page-wide ids
+ */
+
+export const MARKDOWN_FIXTURES = [
+    {
+        name: 'nested bullet lists',
+        markdown: '- a\n  - b\n    - c\n- d',
+        html: '<ul><li>a\n<ul><li>b\n<ul><li>c</li></ul></li></ul></li><li>d</li></ul>'
+    },
+    {
+        name: 'ordered list with nested bullets and a loose item',
+        markdown: '1. First\n   - sub *one*\n   - sub two\n2. Second\n\n   More text',
+        html: '<ol><li><span class="list-number">1.</span> <p>First</p>\n<ul><li>sub <em>one</em></li><li>sub two</li></ul></li><li><span class="list-number">2.</span> <p>Second</p>\n<p>More text</p></li></ol>'
+    },
+    {
+        name: 'asterisks in code spans are not emphasis',
+        markdown: 'Use `a * b` and `*ptr` here, *not* this',
+        html: '<p>Use <code>a * b</code> and <code>*ptr</code> here, <em>not</em> this</p>'
+    },
+    {
+        name: 'underscores inside words are not emphasis',
+        markdown: 'snake_case_name and __init__ and _em_',
+        html: '<p>snake_case_name and <strong>init</strong> and <em>em</em></p>'
+    },
+    {
+        name: 'list in a blockquote with a lazy line',
+        markdown: '> Note:\n> - one\n> - two\nlazy line',
+        html: '<blockquote><p>Note:</p>\n<ul><li>one</li><li>two<br>lazy line</li></ul></blockquote>'
+    },
+    {
+        name: 'nested blockquotes',
+        markdown: '> quote\n> > nested',
+        html: '<blockquote><p>quote</p>\n<blockquote><p>nested</p></blockquote></blockquote>'
+    },
+    {
+        name: 'pipes in table code spans and escaped pipes',
+        markdown: '| Op | Syntax |\n|:--|--:|\n| or | `a | b` |\n| esc | a \\| b |',
+        html: '<table><thead><tr><th style="text-align: left">Op</th><th style="text-align: right">Syntax</th></tr></thead><tbody><tr><td style="text-align: left">or</td><td style="text-align: right"><code>a | b</code></td></tr><tr><td style="text-align: left">esc</td><td style="text-align: right">a | b</td></tr></tbody></table>'
+    },
+    {
+        name: 'task list',
+        markdown: '- [ ] todo\n- [x] done',
+        html: '<ul class="task-list"><li class="task-list-item"><input type="checkbox" disabled> todo</li><li class="task-list-item"><input type="checkbox" disabled checked> done</li></ul>'
+    },
+    {
+        name: 'reference links',
+        markdown: '[ref link][r] and [r]\n\n[r]: https://ref.example "RT"',
+        html: '<p><a href="https://ref.example" target="_blank" rel="noopener noreferrer" class="message-link" title="RT">ref link</a> and <a href="https://ref.example" target="_blank" rel="noopener noreferrer" class="message-link" title="RT">r</a></p>'
+    },
+    {
+        name: 'raw HTML is shown as text and unsafe links are dropped',
+        markdown: '<script>alert(1)</script> [x](javascript:alert(1))',
+        html: '<p>&lt;script&gt;alert(1)&lt;/script&gt; x</p>'
+    },
+    {
+        name: 'citation',
+        markdown: 'see the source here',
+        answer: { metadata: { content_references: [{ matched_text: 'the source', items: [{ url: 'https://a.example', title: 'A' }] }] } },
+        html: '<p>see <a href="https://a.example" target="_blank" rel="noopener noreferrer" class="message-link" title="A">[1]</a> here</p>'
+    },
+    {
+        name: 'citation placeholder without a citation stays text',
+        markdown: 'see \uE0007\uE001 here',
+        html: '<p>see \uE0007\uE001 here</p>'
+    }
+];
@@ -0,0 +1,40 @@
+/**
+ * Markdown rendering: the fixtures must render to their expected HTML, and hostile
+ * input must neither take long nor overflow the stack
+ */
+
+import { assert, assertEqual } from './harness.js';
+import { MARKDOWN_FIXTURES } from './markdown.fixtures.js';
+
+// Generous: each takes well under 200 ms, where unbounded parsing took seconds or threw
+const HOSTILE_INPUT_LIMIT_MS = 2000;
+
+const HOSTILE_INPUTS = [
+    ['unclosed link destinations', () => '[a]('.repeat(10000)],
+    ['deeply nested brackets', () => '['.repeat(20000) + 'a' + ']'.repeat(20000)],
+    ['deeply nested blockquotes', () => '>'.repeat(5000) + ' a'],
+    ['deeply nested list items', () => '- '.repeat(5000) + 'a'],
+    ['deeply nested emphasis', () => '*'.repeat(20000) + 'a' + '*'.repeat(20000)],
+    ['deeply nested images', () => '!['.repeat(5000) + 'a' + '](b)'.repeat(5000)],
+    ['alternating emphasis runs', () => '*_'.repeat(10000) + 'a' + '_*'.repeat(10000)]
+];
+
+export async function runMarkdownTests(runner, MarkdownParser) {
+    runner.describe('Markdown');
+    for (const fixture of MARKDOWN_FIXTURES) {
+        await runner.test(fixture.name, () => {
+            assertEqual(MarkdownParser.format(fixture.markdown, fixture.answer || null), fixture.html);
+        });
+    }
+
+    runner.describe('Markdown hostile input');
+    for (const [name, build] of HOSTILE_INPUTS) {
+        await runner.test(name, () => {
+            const input = build();
+            const start = performance.now();
+            MarkdownParser.format(input);
+            const elapsed = performance.now() - start;
+            assert(elapsed < HOSTILE_INPUT_LIMIT_MS, `took ${Math.round(elapsed)} ms`);
+        });
+    }
+}
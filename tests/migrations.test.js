@@ -0,0 +1,147 @@
+/**
+ * IndexedDB schema migrations: databases created by every earlier version are upgraded
+ * to the current one with their data intact
+ */
+
+import { assert, assertEqual } from './harness.js';
+
+const LATEST_STORES = ['assets', 'conversations', 'folders', 'searchDocs', 'searchTerms', 'settings'];
+
+function request(idbRequest) {
+    return new Promise((resolve, reject) => {
+        idbRequest.onsuccess = () => resolve(idbRequest.result);
+        idbRequest.onerror = () => reject(idbRequest.error);
+    });
+}
+
+function putRecords(db, storeName, records) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readwrite');
+        records.forEach(record => transaction.objectStore(storeName).put(record));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+function getByIndex(db, storeName, indexName, key) {
+    return request(db.transaction([storeName], 'readonly').objectStore(storeName).index(indexName).get(key));
+}
+
+function sampleConversation(id, pairIds) {
+    return {
+        id,
+        title: `Conversation ${id}`,
+        createTime: 1700000000,
+        updateTime: 1700000100,
+        starred: false,
+        source: 'chatgpt',
+        pairs: pairIds.map((pairId, idx) => ({
+            id: pairId,
+            index: idx + 1,
+            question: { id: `${pairId}-q`, content: 'Question' },
+            answers: [{ id: `${pairId}-a`, content: 'Answer' }]
+        }))
+    };
+}
+
+/**
+ * Create a database at an old version and fill it the way that version stored data
+ */
+async function createOldDatabase(IndexedDBStorage, name, version) {
+    const storage = new IndexedDBStorage(name, version);
+    const db = await storage.init();
+
+    // Before version 3 conversations had no pairIds and folders lived in one settings entry
+    const conversations = [sampleConversation('c1', ['p1', 'p2']), sampleConversation('c2', ['p3'])];
+    await putRecords(db, 'conversations', version < 3
+        ? conversations
+        : conversations.map(conv => IndexedDBStorage.toConversationRecord(conv)));
+    if (version < 3) {
+        await putRecords(db, 'settings', [{
+            key: 'folders',
+            value: [
+                { id: 'f-work', name: 'Work', color: '#f00', order: 1 },
+                { id: 'f-misc', name: 'Misc', color: '#00f', order: 0 },
+                { id: 'f-home', name: 'Home', color: '#0f0' } // Saved before folders had an order
+            ]
+        }]);
+    } else {
+        await putRecords(db, 'folders', [{ id: 'f-work', name: 'Work', color: '#f00', order: 0 }]);
+    }
+    await putRecords(db, 'settings', [{ key: 'currentSort', value: 'alphabetical' }]);
+    if (version >= 2) {
+        await putRecords(db, 'assets', [{ id: 'file-abc', name: 'photo.png', mimeType: 'image/png', size: 3 }]);
+    }
+
+    db.close();
+}
+
+async function deleteDatabase(name) {
+    await request(indexedDB.deleteDatabase(name));
+}
+
+export async function runMigrationTests(runner, IndexedDBStorage) {
+    runner.describe('IndexedDB migrations');
+    const latestVersion = new IndexedDBStorage().version;
+
+    await runner.test('fresh install creates every store at the latest version', async () => {
+        const name = `migration-test-fresh-${Date.now()}`;
+        const storage = new IndexedDBStorage(name);
+        const db = await storage.init();
+        assertEqual(db.version, latestVersion);
+        assertEqual(Array.from(db.objectStoreNames).sort(), LATEST_STORES);
+        db.close();
+        await deleteDatabase(name);
+    });
+
+    for (let fromVersion = 1; fromVersion < latestVersion; fromVersion++) {
+        await runner.test(`upgrade from version ${fromVersion} keeps conversations, folders, settings and assets`, async () => {
+            const name = `migration-test-v${fromVersion}-${Date.now()}`;
+            await createOldDatabase(IndexedDBStorage, name, fromVersion);
+
+            const storage = new IndexedDBStorage(name);
+            const db = await storage.init();
+            assertEqual(db.version, latestVersion);
+            assertEqual(Array.from(db.objectStoreNames).sort(), LATEST_STORES);
+
+            const conversations = await storage.loadConversations();
+            assertEqual(conversations.map(conv => conv.id).sort(), ['c1', 'c2']);
+            assert(conversations.every(conv => !('pairIds' in conv)), 'pairIds must not reach the app');
+
+            // The pairs index finds a conversation from one of its pair ids
+            const byPair = await getByIndex(db, 'conversations', 'pairs', 'p2');
+            assertEqual(byPair && byPair.id, 'c1', 'pairs index');
+
+            const folders = await storage.loadFolders();
+            if (fromVersion < 3) {
+                // A folder without an order is kept, placed by its position in the old list
+                assertEqual(folders.map(folder => folder.id), ['f-misc', 'f-work', 'f-home']);
+                assertEqual(await storage.loadSetting('folders'), null, 'folders removed from settings');
+            } else {
+                assertEqual(folders.map(folder => folder.id), ['f-work']);
+            }
+
+            assertEqual(await storage.loadSetting('currentSort'), 'alphabetical');
+            if (fromVersion >= 2) {
+                const asset = await storage.loadAsset('file-abc');
+                assertEqual(asset && asset.name, 'photo.png', 'asset kept');
+            }
+
+            db.close();
+            await deleteDatabase(name);
+        });
+    }
+
+    await runner.test('folders saved without an order are still loaded', async () => {
+        const name = `migration-test-folders-${Date.now()}`;
+        const storage = new IndexedDBStorage(name);
+        const db = await storage.init();
+
+        await storage.saveFolders([{ id: 'b', name: 'B' }, { id: 'a', name: 'A', order: 0 }]);
+        const folders = await storage.loadFolders();
+        assertEqual(folders.map(folder => folder.id).sort(), ['a', 'b']);
+
+        db.close();
+        await deleteDatabase(name);
+    });
+}
@@ -0,0 +1,41 @@
+/**
+ * Node runner: node tests/run.mjs (Markdown, syntax highlighting and IndexedDB migration suites)
+ * The IndexedDB suite needs fake-indexeddb (npm install --no-save fake-indexeddb) and is
+ * skipped without it; tests/index.html runs the same suites against a browser's IndexedDB
+ */
+
+import { createRequire } from 'module';
+import { TestRunner, formatResults } from './harness.js';
+import { runMigrationTests } from './migrations.test.js';
+import { runMarkdownTests } from './markdown.test.js';
+import { runSyntaxHighlighterTests } from './syntaxHighlighter.test.js';
+import { MarkdownParser } from '../js/utils/MarkdownParser.js';
+import { SyntaxHighlighter } from '../js/utils/SyntaxHighlighter.js';
+
+const require = createRequire(import.meta.url);
+const runner = new TestRunner();
+
+// The storage code logs every migration and save
+const log = console.log;
+console.log = () => {};
+
+await runMarkdownTests(runner, MarkdownParser);
+await runSyntaxHighlighterTests(runner, SyntaxHighlighter);
+
+let hasIndexedDB = true;
+try {
+    await import('fake-indexeddb/auto');
+} catch (error) {
+    hasIndexedDB = false;
+}
+
+if (hasIndexedDB) {
+    await runMigrationTests(runner, require('../indexeddb.js'));
+} else {
+    runner.describe('IndexedDB migrations');
+    runner.skip('all tests', 'fake-indexeddb is not installed');
+}
+
+console.log = log;
+console.log(formatResults(runner));
+process.exitCode = runner.failures.length > 0 ? 1 : 0;
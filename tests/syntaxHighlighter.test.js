@@ -0,0 +1,49 @@
+/**
+ * Syntax highlighting: tokens that span lines stay one token, and line rules still match per line
+ */
+
+import { assertEqual } from './harness.js';
+
+// Non-plain tokens only, as [type, text]
+function highlighted(SyntaxHighlighter, code, language) {
+    return SyntaxHighlighter.tokenize(code, language)
+        .filter(token => token.type)
+        .map(token => [token.type, token.text]);
+}
+
+export async function runSyntaxHighlighterTests(runner, SyntaxHighlighter) {
+    runner.describe('Syntax highlighting');
+
+    await runner.test('multi-line block comment', () => {
+        assertEqual(highlighted(SyntaxHighlighter, '/* a\n if b */\nif', 'javascript'), [
+            ['comment', '/* a\n if b */'],
+            ['keyword', 'if']
+        ]);
+    });
+
+    await runner.test('unterminated block comment runs to the end', () => {
+        assertEqual(highlighted(SyntaxHighlighter, 'x /* a\nif b\nreturn', 'java'), [
+            ['comment', '/* a\nif b\nreturn']
+        ]);
+    });
+
+    await runner.test('multi-line docstring', () => {
+        assertEqual(highlighted(SyntaxHighlighter, '"""doc\nif x"""\nif', 'python'), [
+            ['string', '"""doc\nif x"""'],
+            ['keyword', 'if']
+        ]);
+    });
+
+    await runner.test('multi-line HTML comment', () => {
+        assertEqual(highlighted(SyntaxHighlighter, '<!-- a\n<b> -->', 'html'), [
+            ['comment', '<!-- a\n<b> -->']
+        ]);
+    });
+
+    await runner.test('diff lines', () => {
+        assertEqual(highlighted(SyntaxHighlighter, ' a\n+b\n-c', 'diff'), [
+            ['inserted', '+b'],
+            ['deleted', '-c']
+        ]);
+    });
+}